@@ -0,0 +1,274 @@
+/**
+ * Tile Tracker - Tile accounts.
+ *
+ * The account in TILE_EMAIL / TILE_PASSWORD is the "default" account. More
+ * accounts are listed in the TILE_ACCOUNTS property (a user property, like the
+ * other credentials; see Credentials.js), a JSON array of
+ * { name, email, password, client_uuid }; client_uuid is optional and generated
+ * once if missing. Each account logs in with its own client UUID and keeps its
+ * own stored session and name->UUID cache. The default account uses the
+ * original property names (CLIENT_UUID, TILE_SESSION, TILE_UUID_CACHE); other
+ * accounts use the same names with ":<account name>" appended.
+ *
+ * A tracked Tile is updated through the account in its "account" column, or
+ * else the first account that has a Tile with that name. A Tile shared between
+ * accounts has the same UUID on each, so it is only updated once per run. An
+ * account that fails to log in only fails the Tiles that need it.
+ */
+
+// --- Constants ---
+var TILE_ACCOUNTS_KEY = 'TILE_ACCOUNTS';
+var DEFAULT_ACCOUNT_NAME = 'default';
+
+// Accounts read during this execution (see getTileAccounts)
+var loadedTileAccounts = null;
+
+/**
+ * Returns the configured Tile accounts: the default account first (if TILE_EMAIL and TILE_PASSWORD are set),
+ * then the TILE_ACCOUNTS entries. Entries reusing a name, email or client UUID are skipped with a warning.
+ * @return {Object[]} Array of { name, email, password, clientUuid }.
+ */
+function getTileAccounts() {
+  if (loadedTileAccounts) { return loadedTileAccounts; }
+  var accounts = [];
+  if (TILE_EMAIL && TILE_PASSWORD) {
+    accounts.push({ name: DEFAULT_ACCOUNT_NAME, email: TILE_EMAIL, password: TILE_PASSWORD, clientUuid: getClientUuid() });
+  }
+
+  var json = getCredentialProperty(TILE_ACCOUNTS_KEY);
+  var parsed = json ? tryParseJson(json) : [];
+  if (!Array.isArray(parsed)) {
+    logMessage("ERROR: " + TILE_ACCOUNTS_KEY + " property must be a JSON array. Ignoring it.");
+    parsed = [];
+  }
+  parsed.forEach(function(raw) {
+    var account = normalizeTileAccount(raw);
+    if (!account) { return; }
+    var clash = accounts.filter(function(other) {
+      return other.name === account.name || other.email.toLowerCase() === account.email.toLowerCase() ||
+             (account.clientUuid && other.clientUuid === account.clientUuid);
+    })[0];
+    if (clash) {
+      logMessage("Warning: Skipping Tile account '" + account.name + "': it has the same name, email or client UUID as '" +
+                 clash.name + "'.");
+      return;
+    }
+    account.clientUuid = account.clientUuid || getAccountClientUuid(account.name);
+    accounts.push(account);
+  });
+
+  accounts.forEach(function(account) { registerSecret(account.password); });
+  warnAboutScriptPropertyCredentials();
+  loadedTileAccounts = accounts;
+  return accounts;
+}
+
+/**
+ * Normalizes a TILE_ACCOUNTS entry. Accepts snake_case or camelCase keys, as the Tiles config does.
+ * @param {Object} raw e.g. { name: 'work', email: 'me@example.com', password: '...', client_uuid: '...' }.
+ * @return {Object|null} { name, email, password, clientUuid: string|null }, or null if name, email or password is missing.
+ */
+function normalizeTileAccount(raw) {
+  if (!raw || typeof raw !== 'object') { return null; }
+  var name = String(raw.name || '').trim();
+  var email = String(raw.email || '').trim();
+  var password = raw.password ? String(raw.password) : '';
+  if (!name || !email || !password) {
+    logMessage("Warning: Skipping a " + TILE_ACCOUNTS_KEY + " entry without a name, email and password" +
+               (name ? " ('" + name + "')" : "") + ".");
+    return null;
+  }
+  var clientUuid = pickConfigValue(raw, 'client_uuid', 'clientUuid');
+  return { name: name, email: email, password: password, clientUuid: clientUuid ? String(clientUuid).trim() : null };
+}
+
+/**
+ * Gets an account's client UUID, generating and storing one if necessary. See getClientUuid() for the default account.
+ * @param {string} accountName The account name.
+ * @return {string} The client UUID.
+ */
+function getAccountClientUuid(accountName) {
+  var key = accountPropertyName('CLIENT_UUID', accountName);
+  var clientUuid = SCRIPT_PROPS.getProperty(key);
+  if (!clientUuid) {
+    clientUuid = Utilities.getUuid();
+    SCRIPT_PROPS.setProperty(key, clientUuid);
+    logMessage("Generated and stored new " + key + ": " + clientUuid);
+  }
+  return clientUuid;
+}
+
+/**
+ * Script property holding an account's copy of some state.
+ * @param {string} baseKey Property name used by the default account, e.g. 'TILE_SESSION'.
+ * @param {string|null} accountName The account name; null or 'default' for the default account.
+ * @return {string} e.g. 'TILE_SESSION' or 'TILE_SESSION:work'.
+ */
+function accountPropertyName(baseKey, accountName) {
+  return !accountName || accountName === DEFAULT_ACCOUNT_NAME ? baseKey : baseKey + ':' + accountName;
+}
+
+/**
+ * Like accountPropertyName(), for the account using a client UUID. Unknown client UUIDs (e.g. during setup,
+ * before the account is saved) map to the default account's property.
+ * @param {string} baseKey Property name used by the default account.
+ * @param {string} clientUuid The client UUID of the account.
+ * @return {string} The property name.
+ */
+function getAccountPropertyKey(baseKey, clientUuid) {
+  var account = getTileAccounts().filter(function(candidate) { return candidate.clientUuid === clientUuid; })[0];
+  return accountPropertyName(baseKey, account ? account.name : null);
+}
+
+
+// --- Sessions ---
+
+/**
+ * Logs in to every account and lists its Tiles. A failing account is recorded in its entry and the others still open.
+ * @return {Object[]} One entry per account: { account, tileSession, tileStates, error, errorMessage }. error is an
+ *     apiError() (and tileSession/tileStates are null) if the login or the Tile listing failed; errorMessage says which.
+ */
+function openAccountSessions() {
+  var accounts = getTileAccounts();
+  return accounts.map(function(account) {
+    var entry = { account: account, tileSession: null, tileStates: null, error: null, errorMessage: null };
+    var label = accounts.length > 1 ? " for account '" + account.name + "'" : "";
+    if (label) {
+      logMessage("Opening Tile account '" + account.name + "' (" + account.email + ").");
+    }
+    var tileSession = openTileSession(account.clientUuid, account.email, account.password);
+    if (isApiError(tileSession)) {
+      logMessage("ERROR: Failed to establish session or get cookies from Tile API" + label + ". " + describeApiError(tileSession));
+      entry.error = tileSession;
+      entry.errorMessage = "Login to the Tile API failed: " + describeApiError(tileSession);
+      return entry;
+    }
+
+    var tileStates = callWithSessionRetry(tileSession, function(authInfo) {
+      return fetchTileStates(account.clientUuid, authInfo);
+    });
+    if (isApiError(tileStates)) {
+      logMessage("ERROR: Failed to list Tiles" + label + ". " + describeApiError(tileStates));
+      entry.error = tileStates;
+      entry.errorMessage = "Listing Tiles (tiles/tile_states) failed: " + describeApiError(tileStates);
+      return entry;
+    }
+    entry.tileSession = tileSession;
+    entry.tileStates = tileStates;
+    return entry;
+  });
+}
+
+/**
+ * Combines the Tile listings of the accounts that opened, keeping one entry per Tile, and logs Tiles shared
+ * between accounts.
+ * @param {Object[]} accountSessions Entries from openAccountSessions().
+ * @return {Object[]} tile_states entries, each Tile once (from the first account listing it).
+ */
+function mergeAccountTileStates(accountSessions) {
+  var merged = [];
+  var accountsByUuid = {};
+  accountSessions.forEach(function(accountSession) {
+    (accountSession.tileStates || []).forEach(function(tileState) {
+      if (!accountsByUuid[tileState.tile_id]) {
+        accountsByUuid[tileState.tile_id] = [];
+        merged.push(tileState);
+      }
+      accountsByUuid[tileState.tile_id].push(accountSession.account.name);
+    });
+  });
+  Object.keys(accountsByUuid).forEach(function(tileUuid) {
+    if (accountsByUuid[tileUuid].length > 1) {
+      logMessage("Tile " + tileUuid + " is shared between accounts " + accountsByUuid[tileUuid].join(", ") + ".");
+    }
+  });
+  return merged;
+}
+
+/**
+ * Finds the account and UUID to update a tracked Tile with: the account named in its config, or else the first account
+ * whose name->UUID cache has the Tile, or else the first account with a Tile of that name (fetching details as needed).
+ * Checking every cache first keeps a Tile on a later account from refetching the earlier accounts' details each run.
+ * @param {Object[]} accountSessions Entries from openAccountSessions().
+ * @param {Object} tileConfig Tile config from getTileConfigs().
+ * @param {Object=} claimedUuids Map of Tile UUID to the config it was resolved for earlier in the run. A Tile already
+ *     claimed by another config row (e.g. shared between accounts and listed for both, under any name) is a
+ *     duplicate_tile error; otherwise it is claimed for this one.
+ * @return {Object} { accountSession, tileUuid }, or an apiError() if no usable account has the Tile.
+ */
+function resolveTileAccount(accountSessions, tileConfig, claimedUuids) {
+  var tileName = tileConfig.tileName;
+  var candidates = accountSessions;
+  if (tileConfig.account) {
+    candidates = accountSessions.filter(function(accountSession) { return accountSession.account.name === tileConfig.account; });
+    if (candidates.length === 0) {
+      logMessage("ERROR: Tile '" + tileName + "' is assigned to account '" + tileConfig.account + "', which is not configured.");
+      return apiError(API_ERROR.TILE_NOT_FOUND, null, "No Tile account named '" + tileConfig.account + "'.");
+    }
+  }
+  var usable = candidates.filter(function(accountSession) { return !accountSession.error; });
+  var unavailable = candidates.filter(function(accountSession) { return accountSession.error; });
+  if (usable.length === 0) {
+    logMessage("ERROR: No account to look up Tile '" + tileName + "' with. Skipping.");
+    return unavailable[0].error;
+  }
+
+  var resolved = null;
+  usable.forEach(function(accountSession) {
+    if (resolved) { return; }
+    var cachedUuids = getCachedTileUuids(tileName, accountSession.account.clientUuid);
+    var tileIds = accountSession.tileStates.map(function(tileState) { return tileState.tile_id; });
+    if (cachedUuids && cachedUuids.length === 1 && tileIds.indexOf(cachedUuids[0]) !== -1) {
+      recordApiStatus('details', 'cached');
+      resolved = { accountSession: accountSession, tileUuid: cachedUuids[0] };
+    }
+  });
+
+  var lastError = null;
+  for (var i = 0; i < usable.length && !resolved; i++) {
+    var accountSession = usable[i];
+    var tileUuid = callWithSessionRetry(accountSession.tileSession, function(authInfo) {
+      return getTileUuidByName(accountSession.account.clientUuid, authInfo, tileName, accountSession.tileStates);
+    });
+    if (!isApiError(tileUuid)) {
+      resolved = { accountSession: accountSession, tileUuid: tileUuid };
+    } else if (tileUuid.type === API_ERROR.TILE_NOT_FOUND) {
+      lastError = tileUuid;
+    } else {
+      lastError = tileUuid;
+      break; // e.g. an ambiguous name: report it rather than picking a Tile on another account
+    }
+  }
+
+  if (!resolved) {
+    if (lastError.type === API_ERROR.TILE_NOT_FOUND && unavailable.length > 0) {
+      lastError = apiError(API_ERROR.TILE_NOT_FOUND, null, "No Tile named '" + tileName + "' on the accounts that opened (" +
+                           unavailable.map(function(entry) { return entry.account.name; }).join(", ") + " could not be checked).");
+    }
+    logMessage("ERROR: Failed to find Tile UUID for name: '" + tileName + "'. Skipping. " + describeApiError(lastError));
+    return lastError;
+  }
+  logMessage("Found UUID: '" + resolved.tileUuid + "' for Tile: '" + tileName + "'" +
+             (accountSessions.length > 1 ? " on account '" + resolved.accountSession.account.name + "'" : ""));
+
+  if (claimedUuids) {
+    var claimedBy = claimedUuids[resolved.tileUuid];
+    if (claimedBy) {
+      var earlier = "'" + claimedBy.tileName + "' (tab '" + claimedBy.sheetName + "')";
+      logMessage("ERROR: Tile '" + tileName + "' (tab '" + tileConfig.sheetName + "') is the same device as " + earlier +
+                 ". Skipping it; track each Tile once.");
+      return apiError(API_ERROR.DUPLICATE_TILE, null, "Same Tile as " + earlier + ".");
+    }
+    claimedUuids[resolved.tileUuid] = tileConfig;
+  }
+  return resolved;
+}
+
+/**
+ * Alert subject for failures of one account, used when more than one account is configured.
+ * @param {string} accountName The account name.
+ * @return {string} e.g. '(account work)'.
+ */
+function getAccountAlertSubject(accountName) {
+  return '(account ' + accountName + ')';
+}
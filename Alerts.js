@@ -0,0 +1,135 @@
+/**
+ * Tile Tracker - "Not seen" and failure alerts.
+ *
+ * Two conditions are alerted on: a Tile whose newest point is older than its
+ * stale_after_hours, and an update that failed FAILURE_ALERT_AFTER_RUNS runs in a
+ * row (tracked separately for the run as a whole and for each Tile). Each
+ * condition sends one alert when it starts and one recovery notice when it
+ * clears. Alert state is kept in the ALERT_STATE script property.
+ *
+ * Alerts go to ALERT_EMAIL (or the script owner if unset) and, if set, ALERT_WEBHOOK_URL.
+ */
+
+// --- Constants ---
+var ALERT_STATE_KEY = 'ALERT_STATE';
+var RUN_ALERT_SUBJECT = '(all Tiles)'; // Failures that stop the whole run, e.g. login
+var DEFAULT_STALE_AFTER_HOURS = 24;    // Overridable with STALE_AFTER_HOURS or the Tiles config
+var DEFAULT_FAILURE_ALERT_AFTER_RUNS = 3; // Overridable with FAILURE_ALERT_AFTER_RUNS
+
+/**
+ * Records a failed update and alerts once the failure streak reaches the threshold.
+ * @param {string} subject Tile name, or RUN_ALERT_SUBJECT for run-level failures.
+ * @param {string} errorMessage What went wrong.
+ */
+function recordUpdateFailure(subject, errorMessage) {
+  var state = loadAlertState();
+  var failure = state.failures[subject] || { count: 0, alerted: false, since: Date.now() };
+  failure.count++;
+  failure.lastError = errorMessage || 'Unknown error';
+  state.failures[subject] = failure;
+
+  var threshold = Number(SCRIPT_PROPS.getProperty('FAILURE_ALERT_AFTER_RUNS')) || DEFAULT_FAILURE_ALERT_AFTER_RUNS;
+  logMessage("Failure " + failure.count + "/" + threshold + " in a row for " + subject + ": " + failure.lastError);
+  if (!failure.alerted && failure.count >= threshold) {
+    failure.alerted = sendAlert(
+      "Tile Tracker: updates failing for " + subject,
+      "The Tile location update has failed " + failure.count + " runs in a row for " + subject + " since " +
+      new Date(failure.since).toISOString() + ".\nLast error: " + failure.lastError,
+      { type: 'failure', subject: subject, count: failure.count, error: failure.lastError }
+    );
+  }
+  saveAlertState(state);
+}
+
+/**
+ * Records a successful update, sending a recovery notice if a failure alert was active.
+ * @param {string} subject Tile name, or RUN_ALERT_SUBJECT for run-level failures.
+ */
+function recordUpdateSuccess(subject) {
+  var state = loadAlertState();
+  var failure = state.failures[subject];
+  if (!failure) { return; }
+  if (failure.alerted) {
+    sendAlert(
+      "Tile Tracker: updates recovered for " + subject,
+      "The Tile location update for " + subject + " succeeded again after " + failure.count + " failed run(s).",
+      { type: 'failure_recovered', subject: subject, count: failure.count }
+    );
+  }
+  delete state.failures[subject];
+  saveAlertState(state);
+}
+
+/**
+ * Alerts when a Tile's newest point is older than its stale_after_hours, and when it reports again.
+ * @param {Object} tileConfig Tile config from getTileConfigs().
+ * @param {Date|null} latestTimestamp Newest point in the Tile's sheet.
+ */
+function checkTileStaleness(tileConfig, latestTimestamp) {
+  if (!tileConfig.staleAfterHours || !latestTimestamp) { return; }
+  var tileName = tileConfig.tileName;
+  var ageHours = (Date.now() - latestTimestamp.getTime()) / (60 * 60 * 1000);
+  var isStale = ageHours > tileConfig.staleAfterHours;
+
+  var state = loadAlertState();
+  var stale = state.stale[tileName];
+  if (isStale && (!stale || !stale.alerted)) {
+    var alerted = sendAlert(
+      "Tile Tracker: " + tileName + " not seen for " + Math.floor(ageHours) + " hours",
+      tileName + " has not reported a location since " + latestTimestamp.toISOString() +
+      " (threshold: " + tileConfig.staleAfterHours + " hours).",
+      { type: 'stale', tile: tileName, last_seen: latestTimestamp.toISOString(), hours: Math.floor(ageHours) }
+    );
+    state.stale[tileName] = { since: latestTimestamp.getTime(), alerted: alerted }; // Retried next run if not sent
+    saveAlertState(state);
+  } else if (!isStale && stale) {
+    if (stale.alerted) {
+      sendAlert(
+        "Tile Tracker: " + tileName + " seen again",
+        tileName + " reported a location again at " + latestTimestamp.toISOString() + ".",
+        { type: 'stale_recovered', tile: tileName, last_seen: latestTimestamp.toISOString() }
+      );
+    }
+    delete state.stale[tileName];
+    saveAlertState(state);
+  }
+}
+
+/**
+ * Sends an alert to ALERT_EMAIL (or the script owner) and ALERT_WEBHOOK_URL.
+ * @param {string} subject Email subject.
+ * @param {string} body Email body.
+ * @param {Object} payload Webhook JSON payload.
+ * @return {boolean} True if the alert was sent on at least one channel.
+ */
+function sendAlert(subject, body, payload) {
+  var emailTo = SCRIPT_PROPS.getProperty('ALERT_EMAIL');
+  if (!emailTo) {
+    try { emailTo = Session.getEffectiveUser().getEmail(); } catch (e) {}
+  }
+  logMessage("Sending alert: " + subject);
+  return sendNotification({
+    subject: subject,
+    body: body,
+    emailTo: emailTo,
+    webhookUrl: SCRIPT_PROPS.getProperty('ALERT_WEBHOOK_URL'),
+    payload: payload
+  });
+}
+
+/**
+ * @return {Object} Alert state { failures: Object, stale: Object }.
+ */
+function loadAlertState() {
+  var state = tryParseJson(SCRIPT_PROPS.getProperty(ALERT_STATE_KEY) || '') || {};
+  state.failures = state.failures || {};
+  state.stale = state.stale || {};
+  return state;
+}
+
+/**
+ * @param {Object} state Alert state from loadAlertState().
+ */
+function saveAlertState(state) {
+  SCRIPT_PROPS.setProperty(ALERT_STATE_KEY, JSON.stringify(state));
+}
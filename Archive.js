@@ -0,0 +1,231 @@
+/**
+ * Tile Tracker - Retention and archiving.
+ *
+ * Keeps the live Tile tabs small: rows older than RETENTION_MONTHS are moved to
+ * yearly archive tabs named after the live tab, e.g. "Milkdud3_2025". The
+ * archive tabs live in the spreadsheet given by ARCHIVE_SPREADSHEET_ID, or in
+ * the tracker spreadsheet itself if that property is not set. Run
+ * archiveOldLocations() on a daily time-driven trigger.
+ *
+ * Rows are copied first, then read back from the archive tab and compared, and
+ * only removed from the live tab once every one of them was found. A run that
+ * stops halfway leaves rows in both places; the next run skips the copies that
+ * already exist and finishes the move. The newest row always stays in the live
+ * tab, since updateSingleTile() resumes from it.
+ *
+ * readLocationPointsWithArchive() reads a time range across the live tab and
+ * its archive tabs, so exports, the dashboard and the rebuild functions see the
+ * whole history.
+ */
+
+// --- Constants ---
+var ARCHIVE_SHEET_NAME_PATTERN = /^(.+)_(\d{4})$/; // <live tab name>_<year>
+
+/**
+ * Moves rows older than RETENTION_MONTHS from every configured Tile's tab to its yearly archive tabs.
+ * Does nothing unless RETENTION_MONTHS is set. Stops before the Apps Script time limit; the next run continues.
+ * Skipped while an update holds the run lock (see Scheduler.js).
+ */
+function archiveOldLocations() {
+  var months = readNumberProperty('RETENTION_MONTHS', 0);
+  if (months <= 0) {
+    logMessage("Archiving is off. Set the RETENTION_MONTHS script property to enable it.");
+    return;
+  }
+  var lock = acquireRunLock();
+  if (!lock) {
+    logMessage("An update is still running. Archiving will run next time.");
+    return;
+  }
+  try {
+    archiveOldLocationsLocked(months);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs archiveOldLocations() while holding the lock that keeps it from overlapping an update.
+ * @param {number} months RETENTION_MONTHS.
+ */
+function archiveOldLocationsLocked(months) {
+  var cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - months);
+
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var archiveSs = getArchiveSpreadsheet(ss);
+  var timeZone = ss.getSpreadsheetTimeZone();
+  logMessage("Archiving rows older than " + cutoff.toISOString() + " to " +
+             (archiveSs.getId() === ss.getId() ? "this spreadsheet" : "spreadsheet " + archiveSs.getId()) + ".");
+
+  getTileConfigs(ss).forEach(function(tileConfig) {
+    if (Date.now() - EXECUTION_STARTED_AT > BACKFILL_TIME_BUDGET_MS) {
+      logMessage("Archive time budget used. '" + tileConfig.tileName + "' will be archived on the next run.");
+      return;
+    }
+    var sheet = ss.getSheetByName(tileConfig.sheetName);
+    if (!sheet || !ensureLocationSheetSchema(sheet)) { return; }
+    try {
+      archiveLocationSheet(sheet, archiveSs, cutoff.getTime(), timeZone);
+    } catch (e) {
+      logMessage("ERROR archiving '" + tileConfig.tileName + "': " + e);
+    }
+  });
+}
+
+/**
+ * Moves one live tab's rows older than the cutoff to its archive tabs, one year at a time, oldest first.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's live cache sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} archiveSs Spreadsheet holding the archive tabs.
+ * @param {number} cutoffMillis Rows with an earlier timestamp are archived.
+ * @param {string} timeZone Time zone for year boundaries.
+ * @return {number} Number of rows moved.
+ */
+function archiveLocationSheet(sheet, archiveSs, cutoffMillis, timeZone) {
+  var width = getLocationHeaders().length;
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 3) { return 0; } // Nothing to archive besides the newest row
+
+  var values = sheet.getRange(2, 1, lastRow - 1, width).getValues();
+  var newestIndex = -1;
+  values.forEach(function(row, i) {
+    if (row[0] instanceof Date && (newestIndex < 0 || row[0].getTime() > values[newestIndex][0].getTime())) { newestIndex = i; }
+  });
+
+  var byYear = {}; // year -> indexes into values
+  values.forEach(function(row, i) {
+    if (i === newestIndex || !(row[0] instanceof Date) || row[0].getTime() >= cutoffMillis) { return; }
+    var year = Utilities.formatDate(row[0], timeZone, 'yyyy');
+    (byYear[year] = byYear[year] || []).push(i);
+  });
+
+  var moved = [];
+  var years = Object.keys(byYear).sort();
+  for (var y = 0; y < years.length; y++) {
+    if (Date.now() - EXECUTION_STARTED_AT > BACKFILL_TIME_BUDGET_MS) {
+      logMessage("Archive time budget used. The rest of '" + sheet.getName() + "' will be archived on the next run.");
+      break;
+    }
+    var archiveName = sheet.getName() + '_' + years[y];
+    var rows = byYear[years[y]].map(function(i) { return values[i]; });
+    if (!copyRowsToArchive(archiveSs, archiveName, rows)) {
+      logMessage("ERROR: Archive tab '" + archiveName + "' is missing rows after copying. Not deleting them from '" + sheet.getName() + "'.");
+      break;
+    }
+    moved = moved.concat(byYear[years[y]]);
+  }
+
+  deleteLiveRows(sheet, moved);
+  if (moved.length > 0) {
+    logMessage("Archived " + moved.length + " row(s) from '" + sheet.getName() + "' (" + years.join(", ") + ").");
+  }
+  return moved.length;
+}
+
+/**
+ * Appends rows to an archive tab, skipping timestamps it already holds, then verifies every row is there.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} archiveSs Spreadsheet holding the archive tabs.
+ * @param {string} archiveName Archive tab name.
+ * @param {Array[]} rows Live rows to archive, in the current schema.
+ * @return {boolean} True if every row's timestamp and coordinates were read back from the archive tab.
+ */
+function copyRowsToArchive(archiveSs, archiveName, rows) {
+  var archiveSheet = archiveSs.getSheetByName(archiveName);
+  if (!archiveSheet) {
+    archiveSheet = archiveSs.insertSheet(archiveName);
+    logMessage("Created archive sheet: " + archiveName);
+  }
+  if (!ensureLocationSheetSchema(archiveSheet)) { return false; }
+
+  var archived = readArchivedCoordinates(archiveSheet);
+  var toAppend = rows.filter(function(row) { return !archived.hasOwnProperty(row[0].getTime()); });
+  if (toAppend.length > 0) {
+    toAppend.sort(function(a, b) { return a[0].getTime() - b[0].getTime(); });
+    archiveSheet.getRange(archiveSheet.getLastRow() + 1, 1, toAppend.length, toAppend[0].length).setValues(toAppend);
+    archiveSheet.getRange(2, 1, archiveSheet.getLastRow() - 1, archiveSheet.getLastColumn()).sort({ column: 1, ascending: true });
+    SpreadsheetApp.flush();
+    archived = readArchivedCoordinates(archiveSheet);
+  }
+
+  return rows.every(function(row) {
+    return archived[row[0].getTime()] === row[1] + ',' + row[2];
+  });
+}
+
+/**
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} archiveSheet An archive tab.
+ * @return {Object} Map of timestamp millis to "latitude,longitude".
+ */
+function readArchivedCoordinates(archiveSheet) {
+  var coordinates = {};
+  var lastRow = archiveSheet.getLastRow();
+  if (lastRow < 2) { return coordinates; }
+  archiveSheet.getRange(2, 1, lastRow - 1, 3).getValues().forEach(function(row) {
+    if (row[0] instanceof Date) { coordinates[row[0].getTime()] = row[1] + ',' + row[2]; }
+  });
+  return coordinates;
+}
+
+/**
+ * Deletes rows from the live tab, in consecutive blocks from the bottom up so row numbers stay valid.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's live cache sheet.
+ * @param {number[]} indexes 0-based indexes of data rows (row 2 is index 0).
+ */
+function deleteLiveRows(sheet, indexes) {
+  var sorted = indexes.slice().sort(function(a, b) { return b - a; });
+  var i = 0;
+  while (i < sorted.length) {
+    var blockEnd = sorted[i];
+    var blockStart = blockEnd;
+    while (i + 1 < sorted.length && sorted[i + 1] === blockStart - 1) {
+      blockStart = sorted[++i];
+    }
+    sheet.deleteRows(blockStart + 2, blockEnd - blockStart + 1); // Delete consecutive rows in one call
+    i++;
+  }
+}
+
+/**
+ * Reads the points of a Tile within a time range from its live tab and, where the range reaches back
+ * before the live tab's oldest row, from its archive tabs. Oldest first, one point per timestamp.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's live cache sheet.
+ * @param {Date} from Start of the range (inclusive).
+ * @param {Date} to End of the range (inclusive).
+ * @return {Object[]} Points as returned by readLocationPoints().
+ */
+function readLocationPointsWithArchive(sheet, from, to) {
+  var points = readLocationPoints(sheet, from, to);
+  // The tab is sorted, so row 2 holds its oldest timestamp
+  var liveOldest = sheet.getLastRow() >= 2 ? toTimestampMillis(sheet.getRange(2, 1).getValue()) : null;
+  if (liveOldest === null) { liveOldest = Infinity; }
+  if (from.getTime() >= liveOldest) { return points; }
+
+  var ss = sheet.getParent();
+  var archiveSs = getArchiveSpreadsheet(ss);
+  var timeZone = ss.getSpreadsheetTimeZone();
+  var fromYear = Utilities.formatDate(from, timeZone, 'yyyy');
+  var toYear = Utilities.formatDate(new Date(Math.min(to.getTime(), liveOldest, Date.now())), timeZone, 'yyyy');
+  var seen = {};
+  points.forEach(function(point) { seen[point.timestamp.getTime()] = true; });
+
+  archiveSs.getSheets().forEach(function(archiveSheet) {
+    var match = ARCHIVE_SHEET_NAME_PATTERN.exec(archiveSheet.getName());
+    if (!match || match[1] !== sheet.getName() || match[2] < fromYear || match[2] > toYear) { return; }
+    readLocationPoints(archiveSheet, from, to).forEach(function(point) {
+      if (seen[point.timestamp.getTime()]) { return; } // Left in both places by an interrupted archive run
+      seen[point.timestamp.getTime()] = true;
+      points.push(point);
+    });
+  });
+  points.sort(function(a, b) { return a.timestamp.getTime() - b.timestamp.getTime(); });
+  return points;
+}
+
+/**
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The tracker spreadsheet.
+ * @return {GoogleAppsScript.Spreadsheet.Spreadsheet} The ARCHIVE_SPREADSHEET_ID spreadsheet, or ss if it is not set.
+ */
+function getArchiveSpreadsheet(ss) {
+  var archiveId = SCRIPT_PROPS.getProperty('ARCHIVE_SPREADSHEET_ID');
+  return archiveId && archiveId !== ss.getId() ? SpreadsheetApp.openById(archiveId) : ss;
+}
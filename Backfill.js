@@ -0,0 +1,167 @@
+/**
+ * Tile Tracker - Resumable, chunked history backfill.
+ *
+ * Large history ranges are fetched in windows (backfill_window_days per Tile,
+ * default 7) instead of one request. A checkpoint is saved in script properties
+ * after every window, and the run stops before the Apps Script time limit; the
+ * next execution resumes from the checkpoint. Rows go through the Tile's
+ * location store, which skips timestamps it already has, so overlapping or
+ * repeated windows never create duplicates.
+ */
+
+// --- Constants ---
+var BACKFILL_CHECKPOINTS_KEY = 'BACKFILL_CHECKPOINTS';
+var BACKFILL_REQUEST_KEY = 'BACKFILL_REQUEST';
+var BACKFILL_KIND_INITIAL = 'initial'; // Started automatically for an empty sheet
+var BACKFILL_KIND_MANUAL = 'manual';   // Requested via backfillTileRange()
+var BACKFILL_TIME_BUDGET_MS = 4 * 60 * 1000; // Leave headroom under the 6 minute execution limit
+
+// Start of this execution, used for the time budget
+var EXECUTION_STARTED_AT = Date.now();
+
+/**
+ * Runs backfill windows for a Tile from its checkpoint until the range is done or time runs out.
+ * @param {Object} tileSession Session from openTileSession().
+ * @param {string} tileUuid The unique identifier (UUID) of the Tile.
+ * @param {Object} store The Tile's location store (see LocationStore.js).
+ * @param {Object} tileConfig Tile config from getTileConfigs().
+ * @return {boolean|Object} An apiError() if a window failed to fetch (the checkpoint is kept for the next run), true otherwise.
+ */
+function runBackfill(tileSession, tileUuid, store, tileConfig) {
+  var tileName = tileConfig.tileName;
+  var checkpoint = getBackfillCheckpoint(tileName);
+  if (!checkpoint) { return true; }
+
+  var windowMs = tileConfig.backfillWindowDays * 24 * 60 * 60 * 1000;
+  logMessage("Backfill (" + checkpoint.kind + ") for '" + tileName + "': resuming at " + new Date(checkpoint.next).toISOString() +
+             ", range ends " + new Date(checkpoint.to).toISOString() + ".");
+
+  while (checkpoint.next < checkpoint.to) {
+    if (Date.now() - EXECUTION_STARTED_AT > BACKFILL_TIME_BUDGET_MS) {
+      logMessage("Backfill time budget used. '" + tileName + "' will resume from " + new Date(checkpoint.next).toISOString() + " on the next run.");
+      return true;
+    }
+
+    var windowStart = new Date(checkpoint.next);
+    var windowEnd = new Date(Math.min(checkpoint.next + windowMs, checkpoint.to));
+    logMessage("Backfill window " + windowStart.toISOString() + " to " + windowEnd.toISOString());
+    var added = fetchAndStoreHistory(tileSession, tileUuid, store, windowStart, windowEnd);
+    if (isApiError(added)) {
+      logMessage("Backfill window failed for '" + tileName + "'. Will retry from " + windowStart.toISOString() + " on the next run.");
+      return added;
+    }
+
+    checkpoint.next = windowEnd.getTime();
+    checkpoint.added = (checkpoint.added || 0) + added;
+    saveBackfillCheckpoint(tileName, checkpoint);
+    var percent = Math.round(100 * (checkpoint.next - checkpoint.from) / Math.max(1, checkpoint.to - checkpoint.from));
+    logMessage("Backfill for '" + tileName + "': " + percent + "% done, " + checkpoint.added + " row(s) added so far.");
+  }
+
+  clearBackfillCheckpoint(tileName);
+  logMessage("Backfill (" + checkpoint.kind + ") for '" + tileName + "' complete: " + (checkpoint.added || 0) + " row(s) added.");
+  return true;
+}
+
+/**
+ * Requests a backfill of a date range for a Tile, then starts processing it.
+ * Windows that do not fit into this execution are picked up by later runs of updateTileLocationData().
+ * @param {string} tileName The Tile name as listed in the Tiles config.
+ * @param {Date|string|number} from Start of the range (Date, ISO string or epoch millis).
+ * @param {Date|string|number} to End of the range; defaults to now.
+ */
+function backfillTileRange(tileName, from, to) {
+  var fromDate = from instanceof Date ? from : new Date(from);
+  var toDate = to == null || to === '' ? new Date() : (to instanceof Date ? to : new Date(to));
+  if (!tileName || isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    logMessage("ERROR: backfillTileRange needs a tile name and valid from/to dates.");
+    return;
+  }
+  if (toDate.getTime() > Date.now()) { toDate = new Date(); }
+  if (fromDate.getTime() >= toDate.getTime()) {
+    logMessage("ERROR: Backfill start " + fromDate.toISOString() + " is not before end " + toDate.toISOString() + ".");
+    return;
+  }
+  var existing = getBackfillCheckpoint(tileName);
+  if (existing) {
+    logMessage("ERROR: A " + existing.kind + " backfill for '" + tileName + "' is already in progress (at " +
+               new Date(existing.next).toISOString() + "). Run cancelBackfill('" + tileName + "') first to replace it.");
+    return;
+  }
+
+  saveBackfillCheckpoint(tileName, { kind: BACKFILL_KIND_MANUAL, from: fromDate.getTime(), to: toDate.getTime(), next: fromDate.getTime() });
+  logMessage("Registered backfill for '" + tileName + "' from " + fromDate.toISOString() + " to " + toDate.toISOString() + ".");
+  updateTileLocationData();
+}
+
+/**
+ * Editor-friendly wrapper for backfillTileRange(): reads the BACKFILL_REQUEST script property,
+ * e.g. {"tile_name": "Milkdud3", "from": "2025-01-01", "to": "2025-03-01"}, and removes it once registered.
+ */
+function startBackfillFromProperty() {
+  var json = SCRIPT_PROPS.getProperty(BACKFILL_REQUEST_KEY);
+  if (!json) {
+    logMessage("ERROR: Set the " + BACKFILL_REQUEST_KEY + " script property, e.g. {\"tile_name\": \"Milkdud3\", \"from\": \"2025-01-01\", \"to\": \"2025-03-01\"}.");
+    return;
+  }
+  var request = tryParseJson(json);
+  if (!request || !request.tile_name || !request.from) {
+    logMessage("ERROR: " + BACKFILL_REQUEST_KEY + " must be JSON with tile_name, from and optionally to.");
+    return;
+  }
+  SCRIPT_PROPS.deleteProperty(BACKFILL_REQUEST_KEY);
+  backfillTileRange(request.tile_name, request.from, request.to);
+}
+
+/**
+ * Cancels an in-progress backfill for a Tile. Rows already written are kept.
+ * @param {string} tileName The Tile name as listed in the Tiles config.
+ */
+function cancelBackfill(tileName) {
+  if (!getBackfillCheckpoint(tileName)) {
+    logMessage("No backfill in progress for '" + tileName + "'.");
+    return;
+  }
+  clearBackfillCheckpoint(tileName);
+  logMessage("Cancelled backfill for '" + tileName + "'.");
+}
+
+
+// --- Checkpoint Storage ---
+
+/**
+ * Reads all backfill checkpoints.
+ * @return {Object} Map of Tile name to checkpoint { kind, from, to, next, added } (epoch millis).
+ */
+function getBackfillCheckpoints() {
+  var json = SCRIPT_PROPS.getProperty(BACKFILL_CHECKPOINTS_KEY);
+  return (json && tryParseJson(json)) || {};
+}
+
+/**
+ * @param {string} tileName The Tile name.
+ * @return {Object|null} The Tile's checkpoint, or null if no backfill is in progress.
+ */
+function getBackfillCheckpoint(tileName) {
+  return getBackfillCheckpoints()[tileName] || null;
+}
+
+/**
+ * @param {string} tileName The Tile name.
+ * @param {Object} checkpoint Checkpoint { kind, from, to, next, added }.
+ */
+function saveBackfillCheckpoint(tileName, checkpoint) {
+  var checkpoints = getBackfillCheckpoints();
+  checkpoint.updatedAt = Date.now();
+  checkpoints[tileName] = checkpoint;
+  SCRIPT_PROPS.setProperty(BACKFILL_CHECKPOINTS_KEY, JSON.stringify(checkpoints));
+}
+
+/**
+ * @param {string} tileName The Tile name.
+ */
+function clearBackfillCheckpoint(tileName) {
+  var checkpoints = getBackfillCheckpoints();
+  delete checkpoints[tileName];
+  SCRIPT_PROPS.setProperty(BACKFILL_CHECKPOINTS_KEY, JSON.stringify(checkpoints));
+}
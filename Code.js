@@ -11,26 +11,43 @@
  */
 
 // --- Configuration ---
-// USE SCRIPT PROPERTIES (Recommended for credentials & configuration)
+// USE SCRIPT PROPERTIES for configuration, and Tile Tracker > Setup… in the sheet for credentials (see Setup.js).
 // Go to File -> Project properties -> Script properties in the Apps Script editor.
-// Add properties for: TILE_EMAIL, TILE_PASSWORD, TILE_NAME, SPREADSHEET_ID, SHEET_NAME
+// Setup saves SPREADSHEET_ID as a script property and TILE_EMAIL, TILE_PASSWORD as user properties, which only you can read.
+// Credentials are read from user properties first, then script properties (see Credentials.js).
+// Tiles to track are listed in a "Tiles" sheet or the TILES_CONFIG property (see Tiles.js).
+// Legacy: TILE_NAME / SHEET_NAME are still honored when neither of those exists.
 // Optional: Add CLIENT_UUID if you want to reuse a specific one, otherwise one will be generated/stored.
+// More Tile accounts can be added in TILE_ACCOUNTS (see Accounts.js).
 var SCRIPT_PROPS = PropertiesService.getScriptProperties();
-var TILE_EMAIL = SCRIPT_PROPS.getProperty('TILE_EMAIL');
-var TILE_PASSWORD = SCRIPT_PROPS.getProperty('TILE_PASSWORD');
-var TILE_NAME = SCRIPT_PROPS.getProperty('TILE_NAME');
+var USER_PROPS = PropertiesService.getUserProperties(); // Credentials and stored sessions
+var TILE_EMAIL = getCredentialProperty('TILE_EMAIL');
+var TILE_PASSWORD = getCredentialProperty('TILE_PASSWORD');
+var TILE_NAME = SCRIPT_PROPS.getProperty('TILE_NAME'); // Legacy single-tile config
 var SPREADSHEET_ID = SCRIPT_PROPS.getProperty('SPREADSHEET_ID'); // The ID of the Google Sheet
-var SHEET_NAME = SCRIPT_PROPS.getProperty('SHEET_NAME'); // Name of the sheet tab for caching
+var SHEET_NAME = SCRIPT_PROPS.getProperty('SHEET_NAME'); // Legacy single-tile config: sheet tab for caching
 
 // --- Constants based on pytile api.py/const.py ---
+// The app identity can be overridden with script properties of the same name, to follow app updates without code edits.
 var BASE_API_URL = "https://production.tile-api.com/api/v1";
-var TILE_API_VERSION = "1.0"; // From DEFAULT_API_VERSION
-var TILE_APP_ID = "ios-tile-production"; // From DEFAULT_APP_ID
-var TILE_APP_VERSION = "2.89.1.4774"; // From DEFAULT_APP_VERSION
-var TILE_LOCALE = "en-US"; // From DEFAULT_LOCALE
-var TILE_USER_AGENT = "Tile/4774 CFNetwork/1312 Darwin/21.0.0"; // From DEFAULT_USER_AGENT
+var TILE_API_VERSION = SCRIPT_PROPS.getProperty('TILE_API_VERSION') || "1.0"; // From DEFAULT_API_VERSION
+var TILE_APP_ID = SCRIPT_PROPS.getProperty('TILE_APP_ID') || "ios-tile-production"; // From DEFAULT_APP_ID
+var TILE_APP_VERSION = SCRIPT_PROPS.getProperty('TILE_APP_VERSION') || "2.89.1.4774"; // From DEFAULT_APP_VERSION
+var TILE_LOCALE = SCRIPT_PROPS.getProperty('TILE_LOCALE') || "en-US"; // From DEFAULT_LOCALE
+var TILE_USER_AGENT = SCRIPT_PROPS.getProperty('TILE_USER_AGENT') || "Tile/4774 CFNetwork/1312 Darwin/21.0.0"; // From DEFAULT_USER_AGENT
+
+// --- Helper Functions to Read Credentials and Manage Client UUID ---
+/**
+ * Reads a credential property from the user's properties, falling back to script properties
+ * (where older versions kept them; see moveCredentialsToUserProperties()).
+ * @param {string} key e.g. 'TILE_PASSWORD'.
+ * @return {string|null} The value, or null if neither has it.
+ */
+function getCredentialProperty(key) {
+  var value = USER_PROPS.getProperty(key);
+  return value != null && value !== '' ? value : SCRIPT_PROPS.getProperty(key);
+}
 
-// --- Helper Function to Manage Client UUID ---
 /**
  * Gets the client UUID, generating and storing one if necessary.
  * @return {string} The client UUID.
@@ -40,12 +57,33 @@ function getClientUuid() {
   if (!clientUuid) {
     clientUuid = Utilities.getUuid(); // Generate a new UUID
     SCRIPT_PROPS.setProperty('CLIENT_UUID', clientUuid);
-    Logger.log("Generated and stored new CLIENT_UUID: " + clientUuid);
+    logMessage("Generated and stored new CLIENT_UUID: " + clientUuid);
   }
   return clientUuid;
 }
 
 // --- Helper Function to Parse Set-Cookie Headers ---
+/**
+ * Normalizes a Set-Cookie header value into one string per cookie.
+ * @param {string|string[]} setCookieHeader The value from response.getHeaders()['Set-Cookie'] or similar key.
+ * @return {string[]|null} One entry per cookie, or null for an unexpected type.
+ */
+function splitSetCookieHeader(setCookieHeader) {
+  if (!setCookieHeader) {
+    return [];
+  }
+  if (Array.isArray(setCookieHeader)) {
+    return setCookieHeader;
+  }
+  if (typeof setCookieHeader === 'string') {
+    // Handle potential joining of multiple headers in one string (less common in GAS)
+    // Split by comma only if followed by a key= token (avoids splitting expires dates like "Wed, 21 Oct")
+    return setCookieHeader.split(/,\s*(?=[^;,\s]+=)/);
+  }
+  return null;
+}
+
+
 /**
  * Parses the Set-Cookie header(s) from UrlFetchApp response headers
  * into a single Cookie header string suitable for subsequent requests.
@@ -58,15 +96,9 @@ function parseSetCookieHeaders(setCookieHeader) {
   }
 
   var cookies = [];
-  var headers = [];
-
-  if (Array.isArray(setCookieHeader)) {
-    headers = setCookieHeader;
-  } else if (typeof setCookieHeader === 'string') {
-    // Handle potential joining of multiple headers in one string (less common in GAS)
-     headers = setCookieHeader.split(/,\s*(?=[^;]+?=)/); // Split by comma only if followed by key= (avoids splitting expires dates)
-  } else {
-     Logger.log("Warning: Unexpected Set-Cookie header type: " + (typeof setCookieHeader));
+  var headers = splitSetCookieHeader(setCookieHeader);
+  if (headers === null) {
+     logMessage("Warning: Unexpected Set-Cookie header type: " + (typeof setCookieHeader));
      return "";
   }
 
@@ -77,147 +109,320 @@ function parseSetCookieHeaders(setCookieHeader) {
        if (parts.length > 0 && parts[0].includes('=')) {
           // Trim whitespace from the key=value part
           cookies.push(parts[0].trim());
+          registerSecret(parts[0].substring(parts[0].indexOf('=') + 1).trim());
        }
     }
   });
 
    var cookieString = cookies.join('; '); // Join multiple cookies with '; '
-   Logger.log("Parsed cookies for request header: " + cookieString);
+   // Names only: the values are the session
+   logMessage("Parsed cookies for request header: " + cookies.map(function(cookie) { return cookie.split('=')[0]; }).join(', '));
    return cookieString;
 }
 
-
 /**
- * Wrapper function to update location data for Milkdud3.
+ * Finds the earliest expiry among Set-Cookie headers (Max-Age takes precedence over Expires, per RFC 6265).
+ * @param {Object|string|string[]} setCookieHeader The value from response.getHeaders()['Set-Cookie'] or similar key.
+ * @return {number|null} Expiry time in epoch millis, or null if no cookie carries one.
  */
-function updateMilkdud3Location() {
-  TILE_NAME = 'Milkdud3';
-  SHEET_NAME = 'Milkdud3';
-  updateTileLocationData();
-}
+function parseSetCookieExpiry(setCookieHeader) {
+  var headers = splitSetCookieHeader(setCookieHeader) || [];
+  var earliest = null;
 
-/**
- * Wrapper function to update location data for Milkdud4.
- */
-function updateMilkdud4Location() {
-  TILE_NAME = 'Milkdud4';
-  SHEET_NAME = 'Milkdud4';
-  updateTileLocationData();
+  headers.forEach(function(header) {
+    if (typeof header !== 'string') { return; }
+    var expiresMillis = null;
+    var maxAgeMillis = null;
+    header.split(';').slice(1).forEach(function(attribute) {
+      var eq = attribute.indexOf('=');
+      if (eq === -1) { return; }
+      var name = attribute.substring(0, eq).trim().toLowerCase();
+      var value = attribute.substring(eq + 1).trim();
+      if (name === 'max-age' && !isNaN(Number(value))) {
+        maxAgeMillis = Date.now() + Number(value) * 1000;
+      } else if (name === 'expires') {
+        var parsed = new Date(value);
+        if (!isNaN(parsed.getTime())) { expiresMillis = parsed.getTime(); }
+      }
+    });
+    var cookieExpiry = maxAgeMillis !== null ? maxAgeMillis : expiresMillis;
+    if (cookieExpiry !== null && (earliest === null || cookieExpiry < earliest)) {
+      earliest = cookieExpiry;
+    }
+  });
+  return earliest;
 }
 
+
 // --- Main Function ---
 /**
- * Main function to orchestrate fetching Tile data and updating the sheet.
+ * Main entry point: logs in once per Tile account, then updates every enabled Tile from the Tiles config.
+ * A failure on one Tile or account is logged and the remaining Tiles are still processed.
+ * Each run appends one row per Tile to the "Runs" tab (see RunLog.js).
+ * New points are sent on to the endpoints in FORWARD_ENDPOINTS (see Forwarding.js).
+ * Runs hold the script lock; a run started while another one is still going is skipped (see Scheduler.js).
+ * @param {string[]=} tileNames Only update these Tiles (used by scheduledUpdate()). All enabled Tiles if omitted;
+ *     a trigger's event object is ignored.
  */
-function updateTileLocationData() {
+function updateTileLocationData(tileNames) {
   // Verify essential configuration is present
-  if (!TILE_EMAIL || !TILE_PASSWORD || !TILE_NAME || !SPREADSHEET_ID || !SHEET_NAME) {
-    Logger.log("ERROR: Script properties (TILE_EMAIL, TILE_PASSWORD, TILE_NAME, SPREADSHEET_ID, SHEET_NAME) are not set correctly.");
+  if (getTileAccounts().length === 0 || !SPREADSHEET_ID) {
+    logMessage("ERROR: Script properties (TILE_EMAIL, TILE_PASSWORD, SPREADSHEET_ID) are not set correctly.");
     try { SpreadsheetApp.getUi().alert("ERROR: Script properties are not set."); } catch (uiError) {}
     return;
   }
-  Logger.log("Starting Tile location update for Tile: " + TILE_NAME + " (User: " + TILE_EMAIL + ")");
+  if (typeof SPREADSHEET_ID !== 'string' || SPREADSHEET_ID.trim() === "") {
+    logMessage("ERROR: Invalid SPREADSHEET_ID retrieved from properties.");
+    try { SpreadsheetApp.getUi().alert("ERROR: The SPREADSHEET_ID script property is missing or invalid."); } catch (uiError) {}
+    return;
+  }
 
+  var lock = acquireRunLock();
+  if (!lock) {
+    logMessage("Another update is still running. Skipping this run.");
+    recordSkippedRun(SpreadsheetApp.openById(SPREADSHEET_ID), "Another update was still running.");
+    return;
+  }
+  try {
+    runTileUpdate(Array.isArray(tileNames) ? tileNames : null);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs one update while holding the lock. See updateTileLocationData().
+ * @param {string[]|null} tileNames Only update these Tiles, or null for all enabled Tiles.
+ */
+function runTileUpdate(tileNames) {
+  logMessage("Starting Tile location update (User: " + getTileAccounts().map(function(account) { return account.email; }).join(", ") + ")");
+
+  startRunLog();
+  recordUpdateAttempt(RUN_ALERT_SUBJECT);
   var ss = null;
-  var sheet = null;
-  var clientUuid = getClientUuid(); // Get or generate Client UUID
 
   try {
-    // --- Setup Sheet ---
-    Logger.log("Accessing Spreadsheet ID: '" + SPREADSHEET_ID + "'");
-     if (typeof SPREADSHEET_ID !== 'string' || SPREADSHEET_ID.trim() === "") {
-       Logger.log("ERROR: Invalid SPREADSHEET_ID retrieved from properties.");
-       try { SpreadsheetApp.getUi().alert("ERROR: The SPREADSHEET_ID script property is missing or invalid."); } catch (uiError) {}
-       return;
-     }
+    logMessage("Accessing Spreadsheet ID: '" + SPREADSHEET_ID + "'");
     ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-    sheet = ss.getSheetByName(SHEET_NAME);
-    if (!sheet) {
-      sheet = ss.insertSheet(SHEET_NAME);
-      // Add headers if the sheet is new
-      sheet.appendRow(['timestamp', 'latitude', 'longitude']);
-      SpreadsheetApp.flush(); // Ensure sheet changes are saved before proceeding
-      Logger.log("Created new sheet: " + SHEET_NAME);
-    }
 
-
-    // --- Calculate Time Range ---
-    var latestTimestamp = getLatestTimestampFromSheet(sheet);
-    var startTime = null;
-    var endTime = new Date(); // Now
-    if (latestTimestamp) {
-      // Fetch data since the last recorded time, minus a buffer to avoid gaps
-      startTime = new Date(latestTimestamp.getTime() - 5 * 60 * 1000); // Subtract 5 minutes buffer
-      Logger.log("Fetching history since (approx): " + startTime.toISOString());
-       // Ensure start time is not in the future
-       if (startTime.getTime() > endTime.getTime()) {
-         Logger.log("Warning: Calculated start time is in the future. Adjusting to 1 hour ago.");
-         startTime = new Date(endTime.getTime() - 60 * 60 * 1000); // 1 hour ago
-       }
-    } else {
-      // No cache, fetch last 120 days (or desired default)
-      startTime = new Date(endTime.getTime() - 120 * 24 * 60 * 60 * 1000); // 120 days ago default
-      Logger.log("No cache found or cache empty. Fetching history for the last 7 days ("+ startTime.toISOString() + " to " + endTime.toISOString() +")");
+    var allTileConfigs = getTileConfigs(ss);
+    var tileConfigs = allTileConfigs.filter(function(config) {
+      return config.enabled && (!tileNames || tileNames.indexOf(config.tileName) !== -1);
+    });
+    if (tileConfigs.length === 0) {
+      logMessage("ERROR: No enabled Tiles configured. Add rows to the '" + TILES_CONFIG_SHEET_NAME + "' sheet or set TILES_CONFIG / TILE_NAME.");
+      finishRunLog(ss, apiError(API_ERROR.UNEXPECTED, null, "No enabled Tiles configured."));
+      return;
     }
 
 
-    // --- Authenticate with Tile API (2-Step Login & Get Cookies) ---
-    var authInfo = establishSessionAndGetCookies(clientUuid, TILE_EMAIL, TILE_PASSWORD);
-    if (!authInfo || !authInfo.cookies) { // Check for cookies specifically
-      Logger.log("ERROR: Failed to establish session or get cookies from Tile API. Stopping execution.");
+    // --- Authenticate with each Tile account (stored session, or 2-Step Login & Get Cookies) and list its Tiles ---
+    var accountSessions = openAccountSessions();
+    var openSessions = accountSessions.filter(function(accountSession) { return !accountSession.error; });
+    if (openSessions.length === 0) {
+      logMessage("ERROR: No Tile account could be used. Stopping execution.");
+      recordUpdateFailure(RUN_ALERT_SUBJECT, accountSessions.map(function(accountSession) {
+        return (accountSessions.length > 1 ? accountSession.account.name + ": " : "") + accountSession.errorMessage;
+      }).join("\n"));
+      finishRunLog(ss, accountSessions[0].error);
       return;
     }
-    Logger.log("Successfully established session and obtained cookies.");
-
+    if (accountSessions.length > 1) {
+      accountSessions.forEach(function(accountSession) {
+        var subject = getAccountAlertSubject(accountSession.account.name);
+        if (accountSession.error) {
+          recordUpdateFailure(subject, accountSession.errorMessage);
+        } else {
+          recordUpdateSuccess(subject);
+        }
+      });
+    }
+    logMessage("Tile session ready.");
+    recordUpdateSuccess(RUN_ALERT_SUBJECT);
+
+
+    // --- Update each Tile ---
+    var failedTiles = [];
+    var claimedUuids = {}; // So a Tile shared between accounts is only updated once (see resolveTileAccount)
+    tileConfigs.forEach(function(tileConfig) {
+      var result;
+      beginTileRunLog(tileConfig.tileName);
+      recordUpdateAttempt(tileConfig.tileName);
+      try {
+        var resolved = resolveTileAccount(accountSessions, tileConfig, claimedUuids);
+        result = isApiError(resolved) ? { ok: false, error: resolved }
+                                      : updateSingleTile(ss, resolved.accountSession.tileSession, resolved.tileUuid, tileConfig);
+      } catch (tileError) {
+        logMessage("ERROR updating Tile '" + tileConfig.tileName + "': " + tileError);
+        logMessage("Stack Trace: " + tileError.stack);
+        result = { ok: false, error: apiError(API_ERROR.UNEXPECTED, null, String(tileError)) };
+      }
+      endTileRunLog(result.ok ? null : result.error);
+      if (result.ok) {
+        recordUpdateSuccess(tileConfig.tileName);
+        checkTileStaleness(tileConfig, getHighWaterMark(ss.getSheetByName(tileConfig.sheetName)));
+      } else {
+        failedTiles.push(tileConfig.tileName);
+        recordUpdateFailure(tileConfig.tileName, describeApiError(result.error));
+      }
+      // Also after a failed update, to retry points an endpoint did not accept earlier
+      forwardNewPoints(ss, tileConfig);
+    });
+
+    // --- Snapshot the account's tile_states into the Status tab (see Status.js) ---
+    recordTileStatus(ss, mergeAccountTileStates(accountSessions), allTileConfigs,
+                     accountSessions.some(function(accountSession) { return accountSession.error; }));
+
+    // --- Refresh the Devices tab if this run fetched every account's Tile details anyway ---
+    var directories = openSessions.map(function(accountSession) {
+      return { accountName: accountSession.account.name, directory: lastTileDirectories[accountSession.account.clientUuid] };
+    });
+    if (directories.every(function(entry) { return entry.directory; })) {
+      writeDevicesSheet(ss, mergeTileDirectories(directories));
+    }
 
-    // --- Get Tile UUID ---
-    var tileUuid = getTileUuidByName(clientUuid, authInfo, TILE_NAME); // Pass clientUuid and authInfo (with cookies)
-     if (!tileUuid) {
-      Logger.log("ERROR: Failed to find Tile UUID for name: '" + TILE_NAME + "'. Stopping execution.");
-      return;
+    if (failedTiles.length > 0) {
+      logMessage("Tile location update finished with failures for: " + failedTiles.join(", "));
+    } else {
+      logMessage("Tile location update finished successfully for " + tileConfigs.length + " Tile(s).");
     }
-    Logger.log("Found UUID: '" + tileUuid + "' for Tile: '" + TILE_NAME + "'");
+    finishRunLog(ss, null);
 
+  } catch (error) {
+    logMessage("FATAL ERROR in updateTileLocationData: " + error);
+    logMessage("Stack Trace: " + error.stack);
+    recordUpdateFailure(RUN_ALERT_SUBJECT, "Unexpected error: " + error);
+    if (ss) { finishRunLog(ss, apiError(API_ERROR.UNEXPECTED, null, String(error))); }
+  }
+}
 
-    // --- Fetch Location History from Tile API ---
-    // Pass clientUuid and authInfo (with cookies)
-    var historyResponse = fetchTileHistoryFromAPI(clientUuid, authInfo, tileUuid, startTime, endTime);
-    if (historyResponse === null) { // Check specifically for null (indicates fetch failure)
-      Logger.log("Stopping execution due to history fetch failure.");
-      return;
+/**
+ * Fetches and caches location history for a single configured Tile in its tab, creating or migrating the tab first.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {Object} tileSession Session from openTileSession(), for the account the Tile is on.
+ * @param {string} tileUuid The Tile's UUID, from resolveTileAccount().
+ * @param {Object} tileConfig Tile config from getTileConfigs().
+ * @return {Object} { ok: boolean, error: Object|null }. ok is true if the Tile was updated, even with no new points;
+ *     otherwise error is an apiError() describing what failed.
+ */
+function updateSingleTile(ss, tileSession, tileUuid, tileConfig) {
+  var tileName = tileConfig.tileName;
+  var sheetName = tileConfig.sheetName;
+  logMessage("--- Updating Tile: " + tileName + " (sheet: " + sheetName + ") ---");
+
+  // --- Setup Sheet ---
+  var sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    logMessage("Created new sheet: " + sheetName);
+  }
+  // Add headers if the sheet is new, or migrate an older header row in place
+  if (!ensureLocationSheetSchema(sheet)) {
+    return { ok: false, error: apiError(API_ERROR.SHEET_ERROR, null, "Sheet '" + sheetName + "' has an unrecognized header row.") };
+  }
+  SpreadsheetApp.flush(); // Ensure sheet changes are saved before proceeding
+
+  return updateTileStore(tileSession, tileUuid, tileConfig, createSheetLocationStore(sheet, tileName));
+}
+
+/**
+ * Fetches new location history for a single configured Tile into a location store: the initial backfill for an
+ * empty store, then everything since its newest point. Shared by the sheet update and the Node.js CLI.
+ * @param {Object} tileSession Session from openTileSession(), for the account the Tile is on.
+ * @param {string} tileUuid The Tile's UUID, from resolveTileAccount().
+ * @param {Object} tileConfig Tile config from getTileConfigs().
+ * @param {Object} store Location store, e.g. from createSheetLocationStore() (see LocationStore.js).
+ * @return {Object} { ok: boolean, error: Object|null }, as for updateSingleTile().
+ */
+function updateTileStore(tileSession, tileUuid, tileConfig, store) {
+  var tileName = tileConfig.tileName;
+
+  // --- Calculate Time Range ---
+  var latestTimestamp = store.getLatestTimestamp();
+  var endTime = new Date(); // Now
+  if (!latestTimestamp && !getBackfillCheckpoint(tileName)) {
+    // No cache: backfill the Tile's configured window in chunks (see Backfill.js)
+    var backfillStart = new Date(endTime.getTime() - tileConfig.backfillDays * 24 * 60 * 60 * 1000);
+    logMessage("No cache found or cache empty. Starting backfill of the last " + tileConfig.backfillDays + " days ("+ backfillStart.toISOString() + " to " + endTime.toISOString() +")");
+    saveBackfillCheckpoint(tileName, { kind: BACKFILL_KIND_INITIAL, from: backfillStart.getTime(), to: endTime.getTime(), next: backfillStart.getTime() });
+  }
+
+  var checkpoint = getBackfillCheckpoint(tileName);
+  if (checkpoint) {
+    var backfillResult = runBackfill(tileSession, tileUuid, store, tileConfig);
+    if (isApiError(backfillResult)) {
+      return { ok: false, error: backfillResult };
     }
-     Logger.log("Successfully fetched raw history data object.");
+    // Until the initial backfill completes, the sheet's latest timestamp is mid-range, so skip the incremental fetch
+    if (checkpoint.kind === BACKFILL_KIND_INITIAL && getBackfillCheckpoint(tileName)) {
+      return { ok: true, error: null };
+    }
+    latestTimestamp = store.getLatestTimestamp();
+  }
+  if (!latestTimestamp) {
+    logMessage("Store '" + store.getName() + "' is still empty after backfill. Nothing to update incrementally.");
+    return { ok: true, error: null };
+  }
 
+  // Fetch data since the last recorded time, minus a buffer to avoid gaps
+  var startTime = new Date(latestTimestamp.getTime() - 5 * 60 * 1000); // Subtract 5 minutes buffer
+  logMessage("Fetching history since (approx): " + startTime.toISOString());
+   // Ensure start time is not in the future
+   if (startTime.getTime() > endTime.getTime()) {
+     logMessage("Warning: Calculated start time is in the future. Adjusting to 1 hour ago.");
+     startTime = new Date(endTime.getTime() - 60 * 60 * 1000); // 1 hour ago
+   }
 
-    // --- Process History Data ---
-    // Process the response object returned by fetchTileHistoryFromAPI
-    var newData = processHistoryData(historyResponse);
-    Logger.log("Processed " + newData.length + " new location entries.");
+  var added = fetchAndStoreHistory(tileSession, tileUuid, store, startTime, endTime);
+  if (isApiError(added)) {
+    return { ok: false, error: added };
+  }
+  return { ok: true, error: null };
+}
 
+/**
+ * Fetches one time range of history for a Tile and adds the new, unique points to its location store.
+ * @param {Object} tileSession Session from openTileSession().
+ * @param {string} tileUuid The unique identifier (UUID) of the Tile.
+ * @param {Object} store Location store, e.g. from createSheetLocationStore() (see LocationStore.js).
+ * @param {Date} startTime The start time for the history fetch.
+ * @param {Date} endTime The end time for the history fetch.
+ * @return {number|Object} Number of rows added, or an apiError() if the history fetch failed.
+ */
+function fetchAndStoreHistory(tileSession, tileUuid, store, startTime, endTime) {
+  // --- Fetch Location History from Tile API ---
+  var historyResponse = callWithSessionRetry(tileSession, function(authInfo) {
+    return fetchTileHistoryFromAPI(tileSession.clientUuid, authInfo, tileUuid, startTime, endTime);
+  });
+  if (isApiError(historyResponse)) {
+    logMessage("History fetch failed for store '" + store.getName() + "': " + describeApiError(historyResponse));
+    return historyResponse;
+  }
+   logMessage("Successfully fetched raw history data object.");
 
-    // --- Update Google Sheet ---
-    if (newData.length > 0) {
-      updateSheet(sheet, newData);
-      Logger.log("Successfully updated sheet.");
-    } else {
-      Logger.log("No new, unique location entries found to add to the sheet.");
-    }
 
-    Logger.log("Tile location update finished successfully.");
+  // --- Process History Data ---
+  var newData = processHistoryData(historyResponse);
+  logMessage("Processed " + newData.length + " new location entries.");
 
-  } catch (error) {
-    Logger.log("FATAL ERROR in updateTileLocationData: " + error);
-    Logger.log("Stack Trace: " + error.stack);
-    // Optional: Send an email notification on failure
-    // MailApp.sendEmail("your_alert_email@example.com", "Tile Tracker Script Failed", "Error: " + error + "\nStack: " + error.stack);
+
+  // --- Update the Store ---
+  if (newData.length > 0) {
+    var added = store.addRows(newData);
+    recordRowsAdded(added);
+    logMessage("Successfully updated store '" + store.getName() + "'.");
+    return added;
   }
+  logMessage("No new, unique location entries found to add to the store.");
+  return 0;
 }
 
 
-// --- Helper Functions (getLatestTimestampFromSheet, updateSheet - Unchanged) ---
+// --- Helper Functions (getLatestTimestampFromSheet; updateSheet is in LocationStore.js) ---
 
 /**
- * Reads the sheet and finds the latest timestamp. (No changes from previous version)
+ * Reads the whole sheet and finds the latest timestamp. Runs use the stored mark from getHighWaterMark() instead;
+ * this is the fallback when there is no mark yet.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Google Sheet object.
  * @return {Date|null} The latest Date object found, or null if no data/error.
  */
@@ -226,7 +431,7 @@ function getLatestTimestampFromSheet(sheet) {
   try {
     var dataRange = sheet.getDataRange();
     var values = dataRange.getValues();
-    if (values.length <= 1) { Logger.log("Sheet is empty or contains only headers. No latest timestamp found."); return null; }
+    if (values.length <= 1) { logMessage("Sheet is empty or contains only headers. No latest timestamp found."); return null; }
     var latestTimestampMillis = 0;
     // Start from 1 to skip header row
     for (var i = 1; i < values.length; i++) {
@@ -242,7 +447,7 @@ function getLatestTimestampFromSheet(sheet) {
          if (!isNaN(parsedDate.getTime())) {
              currentMillis = parsedDate.getTime();
          } else {
-            // Logger.log("Warning: Could not parse date in cell A" + (i+1) + ": " + timestampCell);
+            // logMessage("Warning: Could not parse date in cell A" + (i+1) + ": " + timestampCell);
          }
       }
 
@@ -253,91 +458,46 @@ function getLatestTimestampFromSheet(sheet) {
 
     if (latestTimestampMillis > 0) {
       var latestDate = new Date(latestTimestampMillis);
-      Logger.log("Latest timestamp found in sheet: " + latestDate.toISOString());
+      logMessage("Latest timestamp found in sheet: " + latestDate.toISOString());
       return latestDate;
     } else {
-      Logger.log("No valid timestamps found in sheet data.");
+      logMessage("No valid timestamps found in sheet data.");
       return null;
     }
   } catch (e) {
-    Logger.log("Error reading latest timestamp from sheet: " + e);
+    logMessage("Error reading latest timestamp from sheet: " + e);
     return null;
   }
 }
 
-/**
- * Appends new data rows to the sheet, avoiding duplicates based on timestamp. Sorts afterwards. (No changes from previous version)
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Google Sheet object.
- * @param {Array[]} newData An array of new rows, e.g., [[timestampDate, lat, lon], ...].
- */
-function updateSheet(sheet, newData) {
-  // ... (code is identical to the previous version) ...
-   if (!newData || newData.length === 0) { Logger.log("updateSheet: No new data provided."); return; }
-  try {
-    var dataRange = sheet.getDataRange(); var values = dataRange.getValues(); var existingTimestamps = new Set(); var numHeaderRows = 1;
-    // Populate set with existing timestamps (milliseconds)
-    for (var i = numHeaderRows; i < values.length; i++) {
-      var tsCell = values[i][0]; // Assuming timestamp is in column A
-      if (!tsCell) continue; // Skip empty cells
-
-      if (tsCell instanceof Date) {
-        existingTimestamps.add(tsCell.getTime());
-      } else {
-         var parsedDate = new Date(tsCell);
-         if (!isNaN(parsedDate.getTime())) {
-             existingTimestamps.add(parsedDate.getTime());
-         }
-      }
-    }
-    Logger.log("Found " + existingTimestamps.size + " existing timestamps in the sheet.");
-    var rowsToAdd = []; var addedCount = 0;
-    for (var j = 0; j < newData.length; j++) {
-      var newRow = newData[j]; var newTimestamp = newRow[0]; // Assuming timestamp Date object is the first element
-      if (!(newTimestamp instanceof Date) || isNaN(newTimestamp.getTime())) { Logger.log("Warning: Skipping invalid date in new data row " + j); continue; }
-      var tsMillis = newTimestamp.getTime();
-      if (!existingTimestamps.has(tsMillis)) { rowsToAdd.push(newRow); existingTimestamps.add(tsMillis); addedCount++; }
-    }
-    if (rowsToAdd.length > 0) {
-       Logger.log("Attempting to append " + rowsToAdd.length + " new unique rows.");
-       sheet.getRange(sheet.getLastRow() + 1, 1, rowsToAdd.length, rowsToAdd[0].length).setValues(rowsToAdd);
-       Logger.log("Appended " + rowsToAdd.length + " rows.");
-       var lastRowToSort = sheet.getLastRow();
-       if (lastRowToSort > numHeaderRows) {
-           sheet.getRange(numHeaderRows + 1, 1, lastRowToSort - numHeaderRows, sheet.getLastColumn())
-                .sort({column: 1, ascending: true}); // Sort data rows only (excluding header)
-           Logger.log("Sorted sheet by timestamp (Column 1).");
-       } else { Logger.log("Skipping sort: Not enough data rows."); }
-    } else { Logger.log("No unique new rows found to add."); }
-  } catch (e) { Logger.log("Error updating sheet: " + e); Logger.log("Error Stack: " + e.stack); }
-}
-
 // --- CORRECTED processHistoryData Function ---
 /**
  * Processes the raw history data object from the Tile API into a structured array for the sheet.
  * Extracts location points from the 'result.location_updates' array within the input object. // <-- Corrected path description
  * @param {Object} historyResponse Raw data object from the Tile API fetch, expected to have a 'result.location_updates' property containing an array.
- * @return {Array[]} Array of rows: [[timestampDate, latitude, longitude], ...]. Returns empty array on error or if no data found.
+ * @return {Array[]} Array of rows in LOCATION_COLUMNS order: [[timestampDate, latitude, longitude, accuracy, ...], ...]. Returns empty array on error or if no data found.
  */
 function processHistoryData(historyResponse) {
   var records = [];
   var entries = [];
+  var includeRawJson = isRawJsonEnabled();
 
   // CORRECTED CHECK: Look for result.location_updates as the array
   if (historyResponse && historyResponse.result && Array.isArray(historyResponse.result.location_updates)) {
       entries = historyResponse.result.location_updates; // Assign the correct array
-      Logger.log("Found " + entries.length + " entries in historyResponse.result.location_updates array.");
+      logMessage("Found " + entries.length + " entries in historyResponse.result.location_updates array.");
   } else {
-     Logger.log("Warning: Could not find 'result.location_updates' array in historyData structure or historyResponse was null/invalid.");
+     logMessage("Warning: Could not find 'result.location_updates' array in historyData structure or historyResponse was null/invalid.");
      // Log the structure without assuming 'result' exists if the primary check failed
      var responseSample = historyResponse ? JSON.stringify(historyResponse).substring(0, 500) : "null response";
-     Logger.log("Received data structure sample: " + responseSample);
+     logMessage("Received data structure sample: " + responseSample);
      return []; // Return empty if structure is wrong or data is null
   }
 
   // --- The rest of the processing loop remains the same ---
   var successfulPoints = 0; var warningCount = 0; var maxWarnings = 5;
   for (var i = 0; i < entries.length; i++) {
-    var entry = entries[i]; if (!entry || typeof entry !== 'object') { if (warningCount < maxWarnings) Logger.log("Warning: Skipping invalid entry at index " + i); warningCount++; continue; }
+    var entry = entries[i]; if (!entry || typeof entry !== 'object') { if (warningCount < maxWarnings) logMessage("Warning: Skipping invalid entry at index " + i); warningCount++; continue; }
     try {
       // Key names seem consistent with the logged sample ('location_timestamp', 'latitude', 'longitude')
       var timestampMillis = entry.location_timestamp || entry.timestamp;
@@ -354,315 +514,171 @@ function processHistoryData(historyResponse) {
              latFloat >= -90 && latFloat <= 90 && lonFloat >= -180 && lonFloat <= 180)
          {
              var timestampDate = new Date(tsNum); // Create Date object from valid millis
-             records.push([timestampDate, latFloat, lonFloat]);
+             records.push(buildLocationRow(entry, timestampDate, latFloat, lonFloat, includeRawJson));
              successfulPoints++;
          } else {
             if (warningCount < maxWarnings) {
-               Logger.log("Warning: Invalid data values - Timestamp: " + timestampMillis + " ("+tsNum+"), Lat: " + latitude + " ("+latFloat+"), Lon: " + longitude + " ("+lonFloat+")");
+               logMessage("Warning: Invalid data values - Timestamp: " + timestampMillis + " ("+tsNum+"), Lat: " + latitude + " ("+latFloat+"), Lon: " + longitude + " ("+lonFloat+")");
             }
             warningCount++;
          }
       } else {
          if (warningCount < maxWarnings) {
-            Logger.log("Warning: Missing data fields in entry: " + JSON.stringify(entry));
+            logMessage("Warning: Missing data fields in entry: " + JSON.stringify(entry));
          }
          warningCount++;
       }
     } catch (e) {
        if (warningCount < maxWarnings) {
-          Logger.log("Error processing entry: " + e + " - Entry: " + JSON.stringify(entry));
+          logMessage("Error processing entry: " + e + " - Entry: " + JSON.stringify(entry));
        }
        warningCount++;
     }
   }
   if (warningCount > maxWarnings) {
-      Logger.log("... additional " + (warningCount - maxWarnings) + " processing warnings suppressed.");
+      logMessage("... additional " + (warningCount - maxWarnings) + " processing warnings suppressed.");
   }
-  Logger.log("Successfully processed " + successfulPoints + " valid location points from API response.");
+  logMessage("Successfully processed " + successfulPoints + " valid location points from API response.");
+  recordHistoryStats(entries.length, successfulPoints, Math.max(0, warningCount - maxWarnings));
   return records;
 }
 
 
-// --- Tile API Interaction Functions (Unchanged from previous version) ---
+// --- Typed API Errors ---
+// API helpers return their value on success, or an error object from apiError() on failure,
+// so callers (and the Runs log) can tell bad credentials apart from rate limiting or a changed API.
+var API_ERROR = {
+  BAD_CREDENTIALS: 'bad_credentials',             // Login rejected
+  VERIFICATION_REQUIRED: 'verification_required', // Login needs a two-factor code
+  SESSION_REJECTED: 'session_rejected',           // 401/403 on an authenticated request
+  RATE_LIMITED: 'rate_limited',                   // HTTP 429
+  SERVER_ERROR: 'server_error',                   // HTTP 5xx
+  HTTP_ERROR: 'http_error',                       // Any other unexpected status
+  SCHEMA_CHANGED: 'schema_changed',               // 2xx, but the body is not shaped as expected
+  NETWORK_ERROR: 'network_error',                 // UrlFetchApp threw
+  TILE_NOT_FOUND: 'tile_not_found',
+  AMBIGUOUS_NAME: 'ambiguous_name',
+  DUPLICATE_TILE: 'duplicate_tile',               // Tracked twice, e.g. a Tile shared between accounts
+  SHEET_ERROR: 'sheet_error',
+  UNEXPECTED: 'unexpected'
+};
 
 /**
- * Establishes a session with the Tile API (2-step) and captures authentication cookies.
- * @param {string} clientUuid The unique identifier for this client.
- * @param {string} email User's Tile email.
- * @param {string} password User's Tile password.
- * @return {Object|null} Object containing { userUuid: string, cookies: string } on success, or null on failure.
+ * Creates a typed error result.
+ * @param {string} type One of API_ERROR.
+ * @param {number|null} status HTTP status, if the error came from a response.
+ * @param {string} message Human-readable detail.
+ * @return {Object} { apiError: true, type, status, message }.
  */
-function establishSessionAndGetCookies(clientUuid, email, password) {
-  var headersStep1 = {
-    'User-Agent': TILE_USER_AGENT,
-    'tile_api_version': TILE_API_VERSION,
-    'tile_app_id': TILE_APP_ID,
-    'tile_app_version': TILE_APP_VERSION,
-    'tile_client_uuid': clientUuid
-    // No Content-Type needed for form-encoded payload below
-  };
-  var payloadStep1 = { // Payload for PUT client - form encoded by UrlFetchApp
-    'app_id': TILE_APP_ID,
-    'app_version': TILE_APP_VERSION,
-    'locale': TILE_LOCALE
-  };
-  var optionsStep1 = {
-    'method': 'put',
-    'headers': headersStep1,
-    'payload': payloadStep1,
-    'muteHttpExceptions': true
-  };
-  var urlStep1 = BASE_API_URL + "/clients/" + clientUuid;
+function apiError(type, status, message) {
+  return { apiError: true, type: type, status: status == null ? null : status, message: message };
+}
 
-  try {
-    // --- Step 1: Register/Establish Client ---
-    Logger.log("Attempting PUT Client to: " + urlStep1);
-    var responseStep1 = UrlFetchApp.fetch(urlStep1, optionsStep1);
-    var responseCodeStep1 = responseStep1.getResponseCode();
-    Logger.log("PUT Client Response Code: " + responseCodeStep1);
-    // Logger.log("PUT Client Response Body: " + responseStep1.getContentText()); // Usually empty on success
-
-    // Check for success (e.g., 200 OK, 201 Created, or 204 No Content)
-    if (responseCodeStep1 < 200 || responseCodeStep1 >= 300) {
-      Logger.log("PUT Client failed: HTTP " + responseCodeStep1 + ". Body: " + responseStep1.getContentText().substring(0,500));
-      return null;
-    }
-    Logger.log("PUT Client successful.");
-
-    // --- Step 2: Create Session (Login) ---
-     var headersStep2 = { // Headers are the same as step 1 for consistency
-        'User-Agent': TILE_USER_AGENT,
-        'tile_api_version': TILE_API_VERSION,
-        'tile_app_id': TILE_APP_ID,
-        'tile_app_version': TILE_APP_VERSION,
-        'tile_client_uuid': clientUuid
-        // No Content-Type needed for form-encoded payload
-     };
-     var payloadStep2 = { // Payload for POST session - form encoded
-        'email': email,
-        'password': password
-     };
-     var optionsStep2 = {
-        'method': 'post',
-        'headers': headersStep2,
-        'payload': payloadStep2,
-        'muteHttpExceptions': true
-     };
-     var urlStep2 = BASE_API_URL + "/clients/" + clientUuid + "/sessions";
-
-     Logger.log("Attempting POST Session to: " + urlStep2);
-     var responseStep2 = UrlFetchApp.fetch(urlStep2, optionsStep2);
-     var responseCodeStep2 = responseStep2.getResponseCode();
-     var responseBodyStep2 = responseStep2.getContentText();
-     var responseHeadersStep2 = responseStep2.getHeaders(); // Get all headers
-     Logger.log("POST Session Response Code: " + responseCodeStep2);
-
-     if (responseCodeStep2 >= 200 && responseCodeStep2 < 300) {
-        var jsonResponse = JSON.parse(responseBodyStep2);
-        // Check for expected data in response
-        if (jsonResponse && jsonResponse.result && jsonResponse.result.user && jsonResponse.result.user.user_uuid) {
-           // CRITICAL: Capture and parse cookies
-           // Header key might be 'Set-Cookie' or 'set-cookie'
-           var setCookieHeader = responseHeadersStep2['Set-Cookie'] || responseHeadersStep2['set-cookie'];
-           var cookieString = parseSetCookieHeaders(setCookieHeader);
-
-           if (!cookieString) {
-               Logger.log("Warning: POST Session successful, but no Set-Cookie header found or parsed. Subsequent requests might fail.");
-               // Proceed anyway, but log warning
-           } else {
-               Logger.log("Successfully parsed cookies.");
-           }
-
-           return {
-              userUuid: jsonResponse.result.user.user_uuid,
-              cookies: cookieString // Return the parsed cookie string
-           };
-        } else {
-           Logger.log("POST Session failed: user_uuid not found in expected response structure. Body sample: " + responseBodyStep2.substring(0, 500));
-           return null;
-        }
-     } else {
-        Logger.log("POST Session failed: HTTP " + responseCodeStep2 + ". Body sample: " + responseBodyStep2.substring(0, 500));
-        return null;
-     }
+/**
+ * @param {*} value A helper's return value.
+ * @return {boolean} True if the value is an error from apiError().
+ */
+function isApiError(value) {
+  return !!(value && value.apiError === true);
+}
+
+/**
+ * Builds the typed error for a non-success HTTP response.
+ * @param {number} responseCode HTTP status code.
+ * @param {string} step Short name of the request, for the message.
+ * @param {string} responseBody Response body (a sample is included in the message).
+ * @return {Object} Error from apiError().
+ */
+function httpApiError(responseCode, step, responseBody) {
+  var type = API_ERROR.HTTP_ERROR;
+  if (isSessionRejectedCode(responseCode)) { type = API_ERROR.SESSION_REJECTED; }
+  else if (responseCode === 429) { type = API_ERROR.RATE_LIMITED; }
+  else if (responseCode >= 500) { type = API_ERROR.SERVER_ERROR; }
+  return apiError(type, responseCode, step + " failed: HTTP " + responseCode + ". Body sample: " +
+                  redactSensitiveText(String(responseBody || '').substring(0, 200)));
+}
+
+/**
+ * Formats a typed error for logs and alerts.
+ * @param {Object} error Error from apiError().
+ * @return {string} e.g. "[rate_limited] History fetch failed: HTTP 429 ...".
+ */
+function describeApiError(error) {
+  return "[" + error.type + "] " + error.message;
+}
 
+
+// --- Tile API Interaction Functions (requests are in TileClient.js) ---
+
+/**
+ * Parses a response body as JSON without throwing.
+ * @param {string} text The response body.
+ * @return {Object|null} The parsed value, or null if the body is not JSON.
+ */
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
   } catch (e) {
-    Logger.log("Establish session exception: " + e);
-    Logger.log("Stack: " + e.stack);
     return null;
   }
 }
 
 
 /**
- * Gets the Tile's unique identifier (UUID) based on its name using the revised API flow.
+ * Gets the Tile's unique identifier (UUID) based on its name.
+ * Uses the cached name->UUID map first; on a miss (or a cached UUID no longer on the account)
+ * fetches details for every Tile, refreshes the cache, and reports labels and duplicate names.
  * @param {string} clientUuid The unique identifier for this client.
  * @param {Object} authInfo Authentication info object containing { cookies: string }.
  * @param {string} tileName The exact name of the Tile device.
- * @return {string|null} The Tile UUID string on success, or null on failure/not found.
+ * @param {Object[]=} tileStates Optional entries from fetchTileStates(); fetched here if omitted.
+ * @return {string|Object} The Tile UUID string on success, or an apiError() on failure/not found/ambiguous.
  */
-function getTileUuidByName(clientUuid, authInfo, tileName) {
+function getTileUuidByName(clientUuid, authInfo, tileName, tileStates) {
   if (!authInfo || !authInfo.cookies) {
-     Logger.log("getTileUuidByName Error: Missing authInfo.cookies");
-     return null;
+     logMessage("getTileUuidByName Error: Missing authInfo.cookies");
+     return apiError(API_ERROR.SESSION_REJECTED, null, "Missing session cookies.");
   }
 
-  // --- Step 1: Get Tile States ---
-  var urlStates = BASE_API_URL + "/tiles/tile_states";
-  var headers = { // Base headers + Cookie
-     'User-Agent': TILE_USER_AGENT,
-     'tile_api_version': TILE_API_VERSION,
-     'tile_app_id': TILE_APP_ID,
-     'tile_app_version': TILE_APP_VERSION,
-     'tile_client_uuid': clientUuid,
-     'Cookie': authInfo.cookies // Add the captured cookies
-  };
-  var optionsStates = {
-    'method': 'get',
-    'headers': headers,
-    'muteHttpExceptions': true
-  };
-
-  var tileIds = [];
-  try {
-     Logger.log("Attempting GET Tile States from: " + urlStates);
-     var responseStates = UrlFetchApp.fetch(urlStates, optionsStates);
-     var responseCodeStates = responseStates.getResponseCode();
-     var responseBodyStates = responseStates.getContentText();
-     Logger.log("Get Tile States Response Code: " + responseCodeStates);
-
-     if (responseCodeStates === 200) {
-        var jsonStates = JSON.parse(responseBodyStates);
-        if (jsonStates && Array.isArray(jsonStates.result)) {
-           tileIds = jsonStates.result.map(function(tileState) { return tileState.tile_id; });
-           Logger.log("Found " + tileIds.length + " tile IDs from tile_states.");
-        } else {
-           Logger.log("Get Tile States failed: 'result' array not found or invalid. Body sample: " + responseBodyStates.substring(0,500));
-           return null;
-        }
-     } else {
-        Logger.log("Get Tile States failed: HTTP " + responseCodeStates + ". Body sample: " + responseBodyStates.substring(0, 500));
-        return null;
-     }
-  } catch (e) {
-     Logger.log("Get Tile States exception: " + e);
-     Logger.log("Stack: " + e.stack);
-     return null;
+  // --- Step 1: Get Tile States (unless the caller already has them) ---
+  if (!tileStates) {
+    tileStates = fetchTileStates(clientUuid, authInfo);
+    if (isApiError(tileStates)) { return tileStates; }
   }
+  var tileIds = tileStates.map(function(tileState) { return tileState.tile_id; });
 
   if (tileIds.length === 0) {
-      Logger.log("No tile IDs found, cannot search for name.");
-      return null;
+      logMessage("No tile IDs found, cannot search for name.");
+      return apiError(API_ERROR.TILE_NOT_FOUND, null, "The account has no Tiles.");
   }
 
-  // --- Step 2: Get Details for Each Tile to Find Name ---
-  Logger.log("Fetching details for each tile to find name: '" + tileName + "'");
-  for (var i = 0; i < tileIds.length; i++) {
-     var currentTileUuid = tileIds[i];
-     if (!currentTileUuid) { continue; } // Skip if somehow a null/empty ID got in
-     var urlDetails = BASE_API_URL + "/tiles/" + currentTileUuid;
-     var optionsDetails = { // Headers are the same (include Cookie)
-        'method': 'get',
-        'headers': headers, // Reuse headers object from above (includes Cookie)
-        'muteHttpExceptions': true
-     };
-
-     try {
-        //Logger.log("Attempting GET Tile Details for: " + currentTileUuid); // Can be very verbose
-        var responseDetails = UrlFetchApp.fetch(urlDetails, optionsDetails);
-        var responseCodeDetails = responseDetails.getResponseCode();
-        var responseBodyDetails = responseDetails.getContentText();
-
-        // Handle Tile Labels which return 412 Precondition Failed (as noted in pytile)
-        if (responseCodeDetails === 412) {
-            //Logger.log("Skipping Tile " + currentTileUuid + " (likely a label, HTTP 412)");
-            continue; // Skip this one, it doesn't have full details
-        }
+  // --- Step 2: Cached name->UUID map ---
+  var cachedUuids = getCachedTileUuids(tileName, clientUuid);
+  if (cachedUuids && cachedUuids.length === 1 && tileIds.indexOf(cachedUuids[0]) !== -1) {
+     logMessage("Using cached UUID for Tile '" + tileName + "'.");
+     recordApiStatus('details', 'cached');
+     return cachedUuids[0];
+  }
 
-        if (responseCodeDetails === 200) {
-           var jsonDetails = JSON.parse(responseBodyDetails);
-           if (jsonDetails && jsonDetails.result && jsonDetails.result.name === tileName) {
-              Logger.log("Found matching Tile UUID: " + currentTileUuid + " for name: '" + tileName + "'");
-              return currentTileUuid; // Found it!
-           }
-            // else { Logger.log("Tile " + currentTileUuid + " name mismatch: '" + (jsonDetails && jsonDetails.result ? jsonDetails.result.name : 'N/A') + "'"); }
-        } else {
-           // Don't log every failure here unless debugging, can be noisy if some tiles are deactivated
-           // Logger.log("Get Tile Details failed for " + currentTileUuid + ": HTTP " + responseCodeDetails + ". Body sample: " + responseBodyDetails.substring(0, 300));
-           // Don't stop the loop, continue checking other tiles
-        }
-     } catch (e) {
-        Logger.log("Get Tile Details exception for " + currentTileUuid + ": " + e);
-        // Continue checking other tiles
-     }
-     // Optional: Add a small sleep to avoid hitting rate limits if there are many tiles
-     // Utilities.sleep(100);
+  // --- Step 3: Cache miss - get details for every Tile and refresh the cache ---
+  logMessage("Tile '" + tileName + "' not in UUID cache. Fetching details for each tile to find it.");
+  var directory = getTileDirectory(clientUuid, authInfo, tileStates);
+  if (isApiError(directory)) { return directory; }
+
+  var matches = directory.nameToUuids[tileName] || [];
+  if (matches.length > 1) {
+     logMessage("ERROR: Tile name '" + tileName + "' is ambiguous: " + matches.length + " Tiles share it (" + matches.join(", ") +
+                "). Rename one in the Tile app so each tracked name is unique.");
+     return apiError(API_ERROR.AMBIGUOUS_NAME, null, matches.length + " Tiles are named '" + tileName + "'.");
+  }
+  if (matches.length === 1) {
+     logMessage("Found matching Tile UUID: " + matches[0] + " for name: '" + tileName + "'");
+     return matches[0];
   }
 
-  // If loop finishes without finding the name
-  Logger.log("Tile UUID not found after checking details for all tiles with name: '" + tileName + "'");
-  return null;
+  // If no details record matched the name
+  logMessage("Tile UUID not found after checking details for all tiles with name: '" + tileName + "'" +
+             (directory.labelCount > 0 ? " (" + directory.labelCount + " Tile label(s) have no details and were not checked)" : ""));
+  return apiError(API_ERROR.TILE_NOT_FOUND, null, "No Tile named '" + tileName + "' on the account.");
 }
 
-
-/**
- * Fetches location history for a specific Tile UUID using cookies for auth.
- * @param {string} clientUuid The unique identifier for this client.
- * @param {Object} authInfo Authentication info object containing { cookies: string }.
- * @param {string} tileUuid The unique identifier (UUID) of the Tile.
- * @param {Date} startTime The start time for the history fetch.
- * @param {Date} endTime The end time for the history fetch.
- * @return {Object|null} Raw history response object or null on failure.
- */
-function fetchTileHistoryFromAPI(clientUuid, authInfo, tileUuid, startTime, endTime) {
-   if (!authInfo || !authInfo.cookies) { Logger.log("fetchTileHistoryFromAPI Error: Missing authInfo.cookies"); return null; }
-   if (!tileUuid) { Logger.log("fetchTileHistoryFromAPI Error: Missing tileUuid"); return null; }
-   if (!(startTime instanceof Date) || !(endTime instanceof Date)) { Logger.log("fetchTileHistoryFromAPI Error: Invalid startTime or endTime"); return null; }
-
-   var startTimeMillis = startTime.getTime();
-   var endTimeMillis = endTime.getTime();
-   // CORRECTED URL construction with /location/
-   var url = Utilities.formatString(BASE_API_URL + "/tiles/location/history/%s?start_timestamp_ms=%s&end_timestamp_ms=%s",
-                                   tileUuid, startTimeMillis, endTimeMillis);
-   var headers = { // Base headers + Cookie
-     'User-Agent': TILE_USER_AGENT,
-     'tile_api_version': TILE_API_VERSION,
-     'tile_app_id': TILE_APP_ID,
-     'tile_app_version': TILE_APP_VERSION,
-     'tile_client_uuid': clientUuid,
-     'Cookie': authInfo.cookies // Add the captured cookies
-  };
-   var options = {
-     'method': 'get',
-     'headers': headers,
-     'muteHttpExceptions': true
-   };
-
-   try {
-     Logger.log("Attempting GET History from: " + url);
-     var response = UrlFetchApp.fetch(url, options);
-     var responseCode = response.getResponseCode();
-     var responseBody = response.getContentText();
-     Logger.log("Get History Response Code: " + responseCode);
-
-     if (responseCode === 200) {
-       var jsonResponse = JSON.parse(responseBody);
-       // Check if the expected structure is present before returning
-       if (jsonResponse && jsonResponse.hasOwnProperty('result') && jsonResponse.result.hasOwnProperty('location_updates')) {
-          var resultLength = Array.isArray(jsonResponse.result.location_updates) ? jsonResponse.result.location_updates.length : 'N/A';
-          Logger.log("Tile history fetch successful. Found " + resultLength + " items in result.location_updates.");
-          return jsonResponse; // Return the whole object
-       } else {
-          Logger.log("Tile history fetch warning: 'result.location_updates' structure not found or invalid. Body sample: " + responseBody.substring(0,500));
-          return { result: { location_updates: [] } }; // Return empty but valid structure
-       }
-     } else {
-       Logger.log("Tile history fetch failed: HTTP " + responseCode + ". Body sample: " + responseBody.substring(0, 500));
-       return null; // Indicate failure
-     }
-   } catch (e) {
-     Logger.log("Tile history fetch exception: " + e);
-     Logger.log("Stack: " + e.stack);
-     return null; // Indicate failure
-   }
-}
\ No newline at end of file
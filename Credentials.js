@@ -0,0 +1,135 @@
+/**
+ * Tile Tracker - Credential storage.
+ *
+ * Tile credentials (TILE_EMAIL, TILE_PASSWORD, TILE_ACCOUNTS) and stored
+ * sessions are kept in user properties, which only the user who saved them
+ * can read, instead of script properties, which every editor of the project
+ * can read. Time-driven triggers run as the user who installed them, so that
+ * user must be the one who saves the credentials (Setup… does this).
+ *
+ * Credentials still found in script properties, where older versions kept
+ * them, are used with a warning until moveCredentialsToUserProperties() moves
+ * them. rotateTileCredentials() replaces a password (e.g. after changing it in
+ * the Tile app) and starts a fresh session; forgetTileSessions() drops the
+ * stored sessions so the next run logs in again.
+ */
+
+// --- Constants ---
+var CREDENTIAL_PROPERTY_KEYS = ['TILE_EMAIL', 'TILE_PASSWORD', 'TILE_ACCOUNTS'];
+
+// Whether this execution already warned about credentials in script properties
+var warnedAboutScriptCredentials = false;
+
+/**
+ * Logs a warning, once per execution, if credentials are still in script properties.
+ */
+function warnAboutScriptPropertyCredentials() {
+  // Under Node.js both are the config file (see node/runtime.js)
+  if (warnedAboutScriptCredentials || USER_PROPS === SCRIPT_PROPS) { return; }
+  warnedAboutScriptCredentials = true;
+  var keys = CREDENTIAL_PROPERTY_KEYS.filter(function(key) { return SCRIPT_PROPS.getProperty(key); });
+  if (keys.length > 0) {
+    logMessage("Warning: " + keys.join(", ") + " are in script properties, where every editor can read them. " +
+               "Run moveCredentialsToUserProperties() (Tile Tracker > Move credentials to user properties) as the user " +
+               "who installed the schedule.");
+  }
+}
+
+/**
+ * Moves the credentials and stored sessions from script properties to the current user's properties.
+ * Values the user has already saved are kept; the script property copies are deleted either way.
+ * @return {string[]} Report lines, e.g. for a menu alert.
+ */
+function moveCredentialsToUserProperties() {
+  var lines = [];
+  CREDENTIAL_PROPERTY_KEYS.forEach(function(key) {
+    var value = SCRIPT_PROPS.getProperty(key);
+    if (!value) { return; }
+    if (USER_PROPS.getProperty(key)) {
+      lines.push(key + ": kept your saved value, removed the script property.");
+    } else {
+      USER_PROPS.setProperty(key, value);
+      lines.push(key + ": moved to your user properties.");
+    }
+    SCRIPT_PROPS.deleteProperty(key);
+  });
+  // Sessions are not copied: the next run logs in once and stores a new one
+  SCRIPT_PROPS.getKeys().forEach(function(key) {
+    if (key === SESSION_PROPERTY_KEY || key.indexOf(SESSION_PROPERTY_KEY + ':') === 0) {
+      SCRIPT_PROPS.deleteProperty(key);
+      lines.push(key + ": removed.");
+    }
+  });
+  if (lines.length === 0) { lines.push("No credentials or sessions were in script properties."); }
+  lines.forEach(function(line) { logMessage(line); });
+  loadedTileAccounts = null;
+  return lines;
+}
+
+/**
+ * Replaces an account's password and stored session. The new password is checked with a login first; if that
+ * fails nothing is changed. Without a new password, only the session is replaced.
+ * @param {string} accountName The account name ('default' for TILE_EMAIL / TILE_PASSWORD).
+ * @param {string=} password The new password.
+ * @return {Object} { ok: boolean, lines: string[] }.
+ */
+function rotateTileCredentials(accountName, password) {
+  var account = getTileAccounts().filter(function(candidate) { return candidate.name === (accountName || DEFAULT_ACCOUNT_NAME); })[0];
+  if (!account) {
+    return { ok: false, lines: ["No Tile account named '" + (accountName || DEFAULT_ACCOUNT_NAME) + "'."] };
+  }
+  var lock = acquireRunLock();
+  if (!lock) {
+    return { ok: false, lines: ["An update is running. Try again in a minute."] };
+  }
+  try {
+    var newPassword = password ? String(password) : account.password;
+    registerSecret(newPassword);
+    // Replaces the stored session only if the login succeeds
+    var authInfo = loginAndStoreSession(account.clientUuid, account.email, newPassword);
+    if (isApiError(authInfo)) {
+      return { ok: false, lines: ["Login with the " + (password ? "new password" : "saved password") + " failed; nothing was changed. " +
+                                  describeApiError(authInfo)] };
+    }
+    var lines = ["Logged in to account '" + account.name + "' and stored a new session."];
+    if (password) {
+      storeAccountPassword(account.name, newPassword);
+      lines.push("Saved the new password to your user properties.");
+    }
+    lines.forEach(function(line) { logMessage(line); });
+    return { ok: true, lines: lines };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Saves an account's password to the user's properties, moving the account's other credentials along with it.
+ * @param {string} accountName The account name.
+ * @param {string} password The new password.
+ */
+function storeAccountPassword(accountName, password) {
+  if (accountName === DEFAULT_ACCOUNT_NAME) {
+    USER_PROPS.setProperties({ TILE_EMAIL: TILE_EMAIL, TILE_PASSWORD: password });
+    SCRIPT_PROPS.deleteProperty('TILE_EMAIL');
+    SCRIPT_PROPS.deleteProperty('TILE_PASSWORD');
+    TILE_PASSWORD = password;
+  } else {
+    var entries = tryParseJson(getCredentialProperty(TILE_ACCOUNTS_KEY) || '') || [];
+    entries.forEach(function(entry) {
+      if (entry && String(entry.name || '').trim() === accountName) { entry.password = password; }
+    });
+    USER_PROPS.setProperty(TILE_ACCOUNTS_KEY, JSON.stringify(entries));
+    SCRIPT_PROPS.deleteProperty(TILE_ACCOUNTS_KEY);
+  }
+  loadedTileAccounts = null;
+}
+
+/**
+ * Deletes every account's stored session, so the next run logs in again.
+ * @return {string[]} Report lines, e.g. for a menu alert.
+ */
+function forgetTileSessions() {
+  clearStoredSession();
+  return ["Stored Tile sessions were deleted. The next update logs in again."];
+}
@@ -0,0 +1,145 @@
+/**
+ * Tile Tracker - Map dashboard.
+ *
+ * A web app page (Dashboard.html) showing every tracked Tile's latest position,
+ * the track of one Tile over a date range, and playback of that track. The page
+ * loads its data through getDashboardData(); the same data is served as JSON by
+ * the web app when the request has an api parameter, e.g.
+ *   ?api=tiles&token=...                                  latest position of every Tile
+ *   ?api=track&tile=Milkdud3&from=...&to=...&token=...    one Tile's track
+ *
+ * Everything is read from the Tile tabs that updateSheet() writes and their
+ * archive tabs (see Archive.js); outliers (see Quality.js) are left out. The
+ * page and the JSON API require the DASHBOARD_TOKEN script property, passed as
+ * token.
+ */
+
+// --- Constants ---
+var DASHBOARD_MAX_TRACK_POINTS = 5000; // Longer tracks are thinned evenly (first and last points are kept)
+var DASHBOARD_TITLE = 'Tile Tracker';
+
+/**
+ * Web app page request. Serves Dashboard.html if the token is valid.
+ * @param {Object} params The web app request parameters.
+ * @return {GoogleAppsScript.HTML.HtmlOutput|GoogleAppsScript.Content.TextOutput} The page, or a plain-text error.
+ */
+function handleDashboardPageRequest(params) {
+  var tokenError = checkDashboardToken(params.token);
+  if (tokenError) {
+    return ContentService.createTextOutput(tokenError);
+  }
+  var template = HtmlService.createTemplateFromFile('Dashboard');
+  template.token = params.token;
+  return template.evaluate()
+                 .setTitle(DASHBOARD_TITLE)
+                 .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Web app JSON request (api=tiles or api=track).
+ * @param {Object} params The web app request parameters.
+ * @return {GoogleAppsScript.Content.TextOutput} JSON from getDashboardData().
+ */
+function handleDashboardApiRequest(params) {
+  return ContentService.createTextOutput(JSON.stringify(getDashboardData(params)))
+                       .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Returns dashboard data. Called by the page through google.script.run and by the JSON API.
+ * @param {Object} request { token, api: 'tiles'|'track', tile, from, to }.
+ * @return {Object} { ok: true, ... } with the requested data, or { ok: false, error: string }.
+ */
+function getDashboardData(request) {
+  request = request || {};
+  var tokenError = checkDashboardToken(request.token);
+  if (tokenError) {
+    return { ok: false, error: tokenError };
+  }
+
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  if (request.api === 'tiles') {
+    return { ok: true, tiles: getDashboardTiles(ss) };
+  }
+  if (request.api === 'track') {
+    if (!request.tile) {
+      return { ok: false, error: "Missing 'tile' parameter." };
+    }
+    var range = parseExportRange(request.from, request.to);
+    if (!range) {
+      return { ok: false, error: "Invalid date range." };
+    }
+    var tileConfig = findTileConfig(ss, request.tile);
+    if (!tileConfig) {
+      return { ok: false, error: "No Tile named '" + request.tile + "' in the Tiles config." };
+    }
+    var sheet = ss.getSheetByName(tileConfig.sheetName);
+    var points = sheet ? readLocationPointsWithArchive(sheet, range.from, range.to).filter(isUsableLocationPoint) : [];
+    var track = thinTrackPoints(points, DASHBOARD_MAX_TRACK_POINTS);
+    return {
+      ok: true,
+      tile: tileConfig.tileName,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      totalPoints: points.length,
+      points: track.map(toDashboardPoint)
+    };
+  }
+  return { ok: false, error: "Unknown api '" + request.api + "'. Use 'tiles' or 'track'." };
+}
+
+/**
+ * Lists the configured Tiles with their latest position.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @return {Object[]} { tile, enabled, latest: point from toDashboardPoint() or null }.
+ */
+function getDashboardTiles(ss) {
+  return getTileConfigs(ss).map(function(tileConfig) {
+    var sheet = ss.getSheetByName(tileConfig.sheetName);
+    var latest = sheet ? readLatestLocationPoint(sheet) : null;
+    return { tile: tileConfig.tileName, enabled: tileConfig.enabled, latest: latest ? toDashboardPoint(latest) : null };
+  });
+}
+
+/**
+ * Thins a track evenly to at most maxPoints, keeping the first and last points.
+ * @param {Object[]} points Points, oldest first.
+ * @param {number} maxPoints Maximum number of points to return.
+ * @return {Object[]} The thinned points.
+ */
+function thinTrackPoints(points, maxPoints) {
+  if (points.length <= maxPoints) { return points; }
+  var thinned = [];
+  var step = (points.length - 1) / (maxPoints - 1);
+  for (var i = 0; i < maxPoints; i++) {
+    thinned.push(points[Math.round(i * step)]);
+  }
+  return thinned;
+}
+
+/**
+ * @param {Object} point Point from readLocationPoints().
+ * @return {Object} JSON-safe point { time: ISO string, lat, lon, accuracy, altitude, speed, course, source, zone, flag, place }.
+ */
+function toDashboardPoint(point) {
+  var json = { time: point.timestamp.toISOString(), lat: point.latitude, lon: point.longitude };
+  EXPORT_EXTRA_COLUMNS.forEach(function(name) {
+    if (point[name] != null) { json[name] = point[name]; }
+  });
+  return json;
+}
+
+/**
+ * @param {string} token Token from the request.
+ * @return {string|null} An error message, or null if the token matches DASHBOARD_TOKEN.
+ */
+function checkDashboardToken(token) {
+  var expectedToken = SCRIPT_PROPS.getProperty('DASHBOARD_TOKEN');
+  if (!expectedToken) {
+    return "The dashboard is disabled. Set the DASHBOARD_TOKEN script property to enable it.";
+  }
+  if (token !== expectedToken) {
+    return "Invalid or missing token.";
+  }
+  return null;
+}
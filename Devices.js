@@ -0,0 +1,267 @@
+/**
+ * Tile Tracker - Device inventory and name->UUID cache.
+ *
+ * Fetching every Tile's details just to match one name is expensive, so the
+ * name->UUID mapping is kept in the TILE_UUID_CACHE script property and only
+ * rebuilt when a lookup misses. Whenever the details are fetched, the same data
+ * is written to a "Devices" tab listing every Tile on the account.
+ *
+ * With several Tile accounts (see Accounts.js) each account has its own cache
+ * and directory, and the Devices tab lists every account's Tiles, a shared Tile
+ * once with all of its accounts.
+ */
+
+// --- Constants ---
+var TILE_UUID_CACHE_KEY = 'TILE_UUID_CACHE';
+var DEVICES_SHEET_NAME = 'Devices';
+var DEVICES_HEADERS = ['name', 'tile_uuid', 'product', 'archetype', 'firmware', 'last_timestamp',
+                       'last_latitude', 'last_longitude', 'lost', 'status', 'account', 'updated_at'];
+
+// Directories built during this execution, by client UUID (see getTileDirectory)
+var lastTileDirectories = {};
+
+/**
+ * Entry point: refreshes the "Devices" tab and the name->UUID caches from the Tile API.
+ * An account that fails is logged and left out; the tab is not rewritten if none succeeds.
+ */
+function updateDeviceInventory() {
+  if (getTileAccounts().length === 0 || !SPREADSHEET_ID) {
+    logMessage("ERROR: Script properties (TILE_EMAIL, TILE_PASSWORD, SPREADSHEET_ID) are not set correctly.");
+    return;
+  }
+  var accountSessions = openAccountSessions();
+  var directories = [];
+  accountSessions.forEach(function(accountSession) {
+    if (accountSession.error) { return; }
+    var clientUuid = accountSession.account.clientUuid;
+    delete lastTileDirectories[clientUuid]; // Always fetch fresh details for an explicit inventory refresh
+    var directory = callWithSessionRetry(accountSession.tileSession, function(authInfo) {
+      return getTileDirectory(clientUuid, authInfo, accountSession.tileStates);
+    });
+    if (isApiError(directory)) {
+      logMessage("ERROR: Failed to fetch Tile details for account '" + accountSession.account.name + "'. " + describeApiError(directory));
+      return;
+    }
+    directories.push({ accountName: accountSession.account.name, directory: directory });
+  });
+  if (directories.length === 0) {
+    logMessage("ERROR: No Tile account could be listed. Stopping execution.");
+    return;
+  }
+  writeDevicesSheet(SpreadsheetApp.openById(SPREADSHEET_ID), mergeTileDirectories(directories));
+}
+
+/**
+ * Returns an account's Tile directory for this execution, fetching details for every Tile the first time.
+ * The account's name->UUID cache is refreshed whenever the directory is rebuilt.
+ * @param {string} clientUuid The client UUID of the account.
+ * @param {Object} authInfo Authentication info object containing { cookies: string }.
+ * @param {Object[]} tileStates Entries from fetchTileStates().
+ * @return {Object} { devices: Object[], nameToUuids: Object, labelCount: number }, or an apiError() if the session was rejected.
+ */
+function getTileDirectory(clientUuid, authInfo, tileStates) {
+  if (lastTileDirectories[clientUuid]) {
+    recordApiStatus('details', 'cached');
+    return lastTileDirectories[clientUuid];
+  }
+
+  var directory = collectTileDevices(clientUuid, authInfo, tileStates);
+  if (isApiError(directory)) { return directory; }
+  storeTileUuidCache(directory.nameToUuids, clientUuid);
+  lastTileDirectories[clientUuid] = directory;
+  return directory;
+}
+
+/**
+ * Combines the directories of several accounts for the Devices tab. A Tile shared between accounts is listed once,
+ * with every account that has it.
+ * @param {Object[]} entries [{ accountName, directory }], directory as from getTileDirectory().
+ * @return {Object} { devices: Object[], labelCount: number }; each device has an account field (names joined by ", ").
+ */
+function mergeTileDirectories(entries) {
+  var devices = [];
+  var byUuid = {};
+  var labelCount = 0;
+  entries.forEach(function(entry) {
+    labelCount += entry.directory.labelCount;
+    entry.directory.devices.forEach(function(device) {
+      var existing = byUuid[device.tileUuid];
+      if (existing) {
+        existing.account += ", " + entry.accountName;
+        return;
+      }
+      var merged = {};
+      Object.keys(device).forEach(function(key) { merged[key] = device[key]; });
+      merged.account = entry.accountName;
+      byUuid[device.tileUuid] = merged;
+      devices.push(merged);
+    });
+  });
+  return { devices: devices, labelCount: labelCount };
+}
+
+/**
+ * Fetches details for every Tile and builds the directory, without touching the cache.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {Object} authInfo Authentication info object containing { cookies: string }.
+ * @param {Object[]} tileStates Entries from fetchTileStates().
+ * @return {Object} { devices: Object[], nameToUuids: Object, labelCount: number }, or an apiError() if the session was rejected.
+ */
+function collectTileDevices(clientUuid, authInfo, tileStates) {
+  var devices = [];
+  var nameToUuids = {};
+  var labelCount = 0;
+  for (var i = 0; i < tileStates.length; i++) {
+    var tileState = tileStates[i];
+    var details = fetchTileDetails(clientUuid, authInfo, tileState.tile_id);
+    if (isApiError(details) && details.type === API_ERROR.SESSION_REJECTED) {
+      logMessage("Get Tile Details rejected: session is no longer valid.");
+      return details;
+    }
+    var device = describeTileDevice(tileState, details);
+    if (device.status === 'label') { labelCount++; }
+    if (device.name) {
+      nameToUuids[device.name] = (nameToUuids[device.name] || []).concat([device.tileUuid]);
+    }
+    devices.push(device); // Requests are paced by the Tile client (see TileClient.js)
+  }
+
+  // Flag duplicate names rather than letting the first match win
+  Object.keys(nameToUuids).forEach(function(name) {
+    if (nameToUuids[name].length > 1) {
+      logMessage("Warning: " + nameToUuids[name].length + " Tiles share the name '" + name + "': " + nameToUuids[name].join(", "));
+      devices.forEach(function(device) {
+        if (device.name === name) { device.status = 'duplicate name'; }
+      });
+    }
+  });
+  if (labelCount > 0) {
+    logMessage(labelCount + " Tile label(s) returned HTTP 412 and have no details.");
+  }
+  return { devices: devices, nameToUuids: nameToUuids, labelCount: labelCount };
+}
+
+/**
+ * Combines a tile_states entry and its details response into one device record.
+ * Field names follow pytile; alternatives are checked because the API is not documented.
+ * @param {Object} tileState Entry from fetchTileStates().
+ * @param {Object} details Result of fetchTileDetails(), possibly an apiError().
+ * @return {Object} Device record with name, tileUuid, product, archetype, firmware, lastTimestamp,
+ *     latitude, longitude, lost and status ('ok', 'label', 'duplicate name' or 'HTTP <code>').
+ */
+function describeTileDevice(tileState, details) {
+  var result = details && details.result ? details.result : {};
+  var lastState = result.last_tile_state || {};
+  var status = 'ok';
+  if (isApiError(details)) {
+    status = 'error';
+  } else if (details.code === 412) {
+    status = 'label';
+  } else if (details.code !== 200) {
+    status = 'HTTP ' + details.code;
+  }
+
+  var state = describeTileState(tileState); // Fallback when the details have no last_tile_state
+  var lastTimestamp = Number(lastState.timestamp || 0);
+  var lost = lastState.is_lost != null ? lastState.is_lost : (result.is_lost != null ? result.is_lost : state.lost);
+
+  return {
+    name: result.name || '',
+    tileUuid: tileState.tile_id,
+    product: result.product || result.kind || '',
+    archetype: result.archetype || '',
+    firmware: result.firmware_version || (result.firmware && result.firmware.version) || '',
+    lastTimestamp: lastTimestamp > 0 ? new Date(lastTimestamp) : state.lastTimestamp,
+    latitude: lastState.latitude != null ? Number(lastState.latitude) : state.latitude,
+    longitude: lastState.longitude != null ? Number(lastState.longitude) : state.longitude,
+    lost: !!lost,
+    status: status
+  };
+}
+
+/**
+ * Rewrites the "Devices" tab with one row per Tile on the accounts.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {Object} directory Directory from mergeTileDirectories().
+ */
+function writeDevicesSheet(ss, directory) {
+  try {
+    var sheet = ss.getSheetByName(DEVICES_SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(DEVICES_SHEET_NAME);
+      logMessage("Created new sheet: " + DEVICES_SHEET_NAME);
+    }
+    var updatedAt = new Date();
+    var rows = directory.devices.map(function(device) {
+      return [device.name, device.tileUuid, device.product, device.archetype, device.firmware,
+              device.lastTimestamp || '', device.latitude != null ? device.latitude : '',
+              device.longitude != null ? device.longitude : '', device.lost, device.status, device.account || '', updatedAt];
+    });
+    sheet.clearContents();
+    sheet.getRange(1, 1, 1, DEVICES_HEADERS.length).setValues([DEVICES_HEADERS]);
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, DEVICES_HEADERS.length).setValues(rows);
+    }
+    sheet.setFrozenRows(1);
+    logMessage("Wrote " + rows.length + " device(s) to sheet '" + DEVICES_SHEET_NAME + "'.");
+  } catch (e) {
+    logMessage("Error writing devices sheet: " + e);
+  }
+}
+
+/**
+ * Looks up a Tile name in an account's cached name->UUID map.
+ * @param {string} tileName The exact name of the Tile device.
+ * @param {string} clientUuid The client UUID of the account.
+ * @return {string[]|null} UUIDs cached for the name (more than one means the name is ambiguous), or null if not cached.
+ */
+function getCachedTileUuids(tileName, clientUuid) {
+  var key = getAccountPropertyKey(TILE_UUID_CACHE_KEY, clientUuid);
+  var json = SCRIPT_PROPS.getProperty(key);
+  if (!json) { return null; }
+  try {
+    var cache = JSON.parse(json);
+    return Array.isArray(cache[tileName]) ? cache[tileName] : null;
+  } catch (e) {
+    logMessage("Warning: Could not parse " + key + ", ignoring it: " + e);
+    return null;
+  }
+}
+
+/**
+ * Inverts the cached name->UUID maps of every account. For a shared Tile, the first account's name wins.
+ * @return {Object} Map of UUID to Tile name, for the Tiles whose details have been fetched.
+ */
+function getCachedTileNames() {
+  var names = {};
+  getTileAccounts().forEach(function(account) {
+    var cache = tryParseJson(SCRIPT_PROPS.getProperty(accountPropertyName(TILE_UUID_CACHE_KEY, account.name)) || '') || {};
+    Object.keys(cache).forEach(function(name) {
+      (Array.isArray(cache[name]) ? cache[name] : []).forEach(function(tileUuid) {
+        if (!names[tileUuid]) { names[tileUuid] = name; }
+      });
+    });
+  });
+  return names;
+}
+
+/**
+ * Replaces an account's cached name->UUID map.
+ * @param {Object} nameToUuids Map of Tile name to array of UUIDs.
+ * @param {string} clientUuid The client UUID of the account.
+ */
+function storeTileUuidCache(nameToUuids, clientUuid) {
+  SCRIPT_PROPS.setProperty(getAccountPropertyKey(TILE_UUID_CACHE_KEY, clientUuid), JSON.stringify(nameToUuids));
+  logMessage("Refreshed Tile UUID cache (" + Object.keys(nameToUuids).length + " name(s)).");
+}
+
+/**
+ * Clears every account's cached name->UUID map so the next lookup fetches details again.
+ */
+function clearTileUuidCache() {
+  SCRIPT_PROPS.deleteProperty(TILE_UUID_CACHE_KEY);
+  getTileAccounts().forEach(function(account) {
+    SCRIPT_PROPS.deleteProperty(accountPropertyName(TILE_UUID_CACHE_KEY, account.name));
+  });
+  logMessage("Cleared Tile UUID cache.");
+}
@@ -0,0 +1,440 @@
+/**
+ * Tile Tracker - Track export (GPX, KML, GeoJSON, CSV).
+ *
+ * Builds a Tile's track for a date range from its cache sheet and, for older
+ * ranges, its archive tabs (see Archive.js). The optional columns (accuracy,
+ * altitude, speed, course, source, zone, flag, place) are included wherever the format
+ * can carry them; flagged points are exported too, so the export matches the
+ * raw data. Exports are available three ways:
+ * exportTileTrack() from the editor, the web app (doGet() routes requests with
+ * a format parameter here), and exportTracksToDrive() on a time-driven trigger.
+ *
+ * The web app requires the EXPORT_TOKEN script property; requests must pass it
+ * as the token parameter, since the track is the Tile's location history.
+ */
+
+// --- Constants ---
+var EXPORT_DEFAULT_FORMAT = 'gpx';
+var EXPORT_DEFAULT_DAYS = 1; // Range exported when no start is given, and by exportTracksToDrive()
+var EXPORT_EXTRA_COLUMNS = ['accuracy', 'altitude', 'speed', 'course', 'source', 'zone', 'flag', 'place'];
+var EXPORT_XML_NAMESPACE = 'urn:tile-tracker:export'; // For GPX extensions
+var LOCATION_CONTEXT_ROWS = 50; // First block read before a range by readLocationPointsSince(); doubled as needed
+
+// Supported formats: MIME type for Drive files, ContentService type for the web app, builder
+var EXPORT_FORMATS = {
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml', contentType: 'XML', build: buildGpxTrack },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', contentType: 'XML', build: buildKmlTrack },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json', contentType: 'JSON', build: buildGeoJsonTrack },
+  csv: { extension: 'csv', mimeType: 'text/csv', contentType: 'CSV', build: buildCsvTrack }
+};
+
+/**
+ * Exports a Tile's track for a date range.
+ * @param {string} tileName The Tile name as listed in the Tiles config.
+ * @param {Date|string|number} from Start of the range (Date, ISO string or epoch millis); defaults to EXPORT_DEFAULT_DAYS before the end.
+ * @param {Date|string|number} to End of the range; defaults to now. A date without a time includes that whole day.
+ * @param {string} format 'gpx', 'kml', 'geojson' or 'csv' (default 'gpx').
+ * @return {Object|null} { content: string, mimeType: string, fileName: string, pointCount: number, format: string }, or null on error.
+ */
+function exportTileTrack(tileName, from, to, format) {
+  var formatKey = String(format || EXPORT_DEFAULT_FORMAT).trim().toLowerCase();
+  var spec = EXPORT_FORMATS[formatKey];
+  if (!spec) {
+    logMessage("ERROR: Unknown export format '" + format + "'. Use one of: " + Object.keys(EXPORT_FORMATS).join(", ") + ".");
+    return null;
+  }
+  var range = parseExportRange(from, to);
+  if (!range) {
+    logMessage("ERROR: Invalid export date range (from: " + from + ", to: " + to + ").");
+    return null;
+  }
+
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var tileConfig = findTileConfig(ss, tileName);
+  if (!tileConfig) {
+    logMessage("ERROR: No Tile named '" + tileName + "' in the Tiles config.");
+    return null;
+  }
+  var sheet = ss.getSheetByName(tileConfig.sheetName);
+  var points = sheet ? readLocationPointsWithArchive(sheet, range.from, range.to) : [];
+
+  var fileName = tileName.replace(/[^\w.-]+/g, '_') + '_' + formatExportDate(range.from) + '_' + formatExportDate(range.to) + '.' + spec.extension;
+  logMessage("Exported " + points.length + " point(s) for '" + tileName + "' as " + formatKey + ".");
+  return {
+    content: spec.build(tileName, points),
+    mimeType: spec.mimeType,
+    fileName: fileName,
+    pointCount: points.length,
+    format: formatKey
+  };
+}
+
+/**
+ * Web app export request. Parameters: tile, from, to, format (gpx|kml|geojson|csv), token, and download=1
+ * to have the browser save the file instead of showing it.
+ * @param {Object} params The web app request parameters.
+ * @return {GoogleAppsScript.Content.TextOutput} The track, or a plain-text error.
+ */
+function handleExportRequest(params) {
+  var expectedToken = SCRIPT_PROPS.getProperty('EXPORT_TOKEN');
+  if (!expectedToken) {
+    return ContentService.createTextOutput("Export is disabled. Set the EXPORT_TOKEN script property to enable it.");
+  }
+  if (params.token !== expectedToken) {
+    return ContentService.createTextOutput("Invalid or missing token.");
+  }
+  if (!params.tile) {
+    return ContentService.createTextOutput("Missing 'tile' parameter.");
+  }
+
+  var exported = exportTileTrack(params.tile, params.from, params.to, params.format);
+  if (!exported) {
+    return ContentService.createTextOutput("Export failed. Check the tile name, format and dates.");
+  }
+  var output = ContentService.createTextOutput(exported.content)
+                             .setMimeType(ContentService.MimeType[EXPORT_FORMATS[exported.format].contentType]);
+  if (params.download === '1' || params.download === 'true') {
+    output = output.downloadAsFile(exported.fileName);
+  }
+  return output;
+}
+
+/**
+ * Scheduled export: writes the last EXPORT_DAYS calendar days (today included, in the spreadsheet's time zone) of
+ * every enabled Tile to the Drive folder EXPORT_FOLDER_ID, in each format listed in EXPORT_DRIVE_FORMATS (comma
+ * separated, default gpx). Files are named by Tile, days and format, e.g. Milkdud3_2025-03-07.gpx, and a file with
+ * the same name is overwritten, so running it more than once a day updates that day's files.
+ */
+function exportTracksToDrive() {
+  var folderId = SCRIPT_PROPS.getProperty('EXPORT_FOLDER_ID');
+  if (!folderId) {
+    logMessage("ERROR: Set the EXPORT_FOLDER_ID script property to the ID of the Drive folder for exports.");
+    return;
+  }
+  var days = Math.ceil(Number(SCRIPT_PROPS.getProperty('EXPORT_DAYS') || EXPORT_DEFAULT_DAYS));
+  if (isNaN(days) || days <= 0) { days = EXPORT_DEFAULT_DAYS; }
+  var formats = String(SCRIPT_PROPS.getProperty('EXPORT_DRIVE_FORMATS') || EXPORT_DEFAULT_FORMAT).split(',')
+      .map(function(f) { return f.trim().toLowerCase(); })
+      .filter(function(f) { return f !== ''; });
+
+  var folder = DriveApp.getFolderById(folderId);
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var timeZone = ss.getSpreadsheetTimeZone();
+  // Whole days, so every run of the same day writes to the same file names
+  var lastDay = formatDayKey(new Date(), timeZone);
+  var firstDay = new Date(new Date(lastDay + 'T12:00:00Z').getTime() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+  var from = getDayStart(firstDay, timeZone);
+  var to = new Date(getDayStart(nextDayKey(lastDay), timeZone).getTime() - 1);
+  var tileConfigs = getTileConfigs(ss).filter(function(config) { return config.enabled; });
+  tileConfigs.forEach(function(tileConfig) {
+    formats.forEach(function(format) {
+      var exported = exportTileTrack(tileConfig.tileName, from, to, format);
+      if (!exported) { return; }
+      exported.fileName = tileConfig.tileName.replace(/[^\w.-]+/g, '_') + '_' + (firstDay === lastDay ? '' : firstDay + '_') +
+                          lastDay + '.' + EXPORT_FORMATS[exported.format].extension;
+      writeExportFile(folder, exported);
+    });
+  });
+}
+
+/**
+ * Creates a file in the folder, or replaces the content of an existing file with the same name.
+ * @param {GoogleAppsScript.Drive.Folder} folder The export folder.
+ * @param {Object} exported Result of exportTileTrack().
+ */
+function writeExportFile(folder, exported) {
+  var existing = folder.getFilesByName(exported.fileName);
+  if (existing.hasNext()) {
+    existing.next().setContent(exported.content);
+    logMessage("Updated export file " + exported.fileName);
+  } else {
+    folder.createFile(Utilities.newBlob(exported.content, exported.mimeType, exported.fileName));
+    logMessage("Created export file " + exported.fileName);
+  }
+}
+
+
+// --- Reading Points ---
+
+/**
+ * Reads the points of a Tile tab within a time range, oldest first. Columns are located by header name,
+ * so tabs on older schema versions simply have fewer fields. Only the rows in range are read (see findLocationRows()).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {Date} from Start of the range (inclusive).
+ * @param {Date} to End of the range (inclusive).
+ * @return {Object[]} Points { timestamp: Date, latitude, longitude, ...other columns by name }. Empty cells are omitted.
+ */
+function readLocationPoints(sheet, from, to) {
+  var rows = findLocationRows(sheet, from.getTime(), to.getTime());
+  return readLocationRowPoints(sheet, rows.firstRow, rows.rowCount);
+}
+
+/**
+ * Reads the points of a Tile tab from a time onward, plus the earlier points the caller needs as context: rows before
+ * the time are read in growing blocks, newest first, until hasContext() accepts them or the first row is reached.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {number} fromMillis Epoch millis of the first point needed in full.
+ * @param {function(Object[]): boolean} hasContext Called with the points read before fromMillis so far, oldest first.
+ * @return {Object[]} Points as returned by readLocationPoints(): the context points, then every point from fromMillis on.
+ */
+function readLocationPointsSince(sheet, fromMillis, hasContext) {
+  var rows = findLocationRows(sheet, fromMillis, SEGMENTS_LATEST_DATE.getTime());
+  var points = readLocationRowPoints(sheet, rows.firstRow, rows.rowCount);
+  var before = [];
+  var end = rows.firstRow - 1;
+  var size = LOCATION_CONTEXT_ROWS;
+  while (end >= 2 && !hasContext(before)) {
+    var start = Math.max(2, end - size + 1);
+    before = readLocationRowPoints(sheet, start, end - start + 1).concat(before);
+    end = start - 1;
+    size *= 2;
+  }
+  return before.concat(points);
+}
+
+/**
+ * Reads the newest point of a Tile tab, skipping outliers. Reads back from the end of the tab only until one is found.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @return {Object|null} Point as returned by readLocationPoints(), or null if the tab has no usable points.
+ */
+function readLatestLocationPoint(sheet) {
+  var points = readLocationPointsSince(sheet, SEGMENTS_LATEST_DATE.getTime(), function(before) {
+    return before.some(isUsableLocationPoint);
+  }).filter(isUsableLocationPoint);
+  return points.length > 0 ? points[points.length - 1] : null;
+}
+
+/**
+ * Reads consecutive data rows of a Tile tab as points, skipping rows without a valid timestamp or coordinates.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {number} firstRow Sheet row to start at (2 or later).
+ * @param {number} rowCount Number of rows to read.
+ * @return {Object[]} Points as returned by readLocationPoints(), oldest first.
+ */
+function readLocationRowPoints(sheet, firstRow, rowCount) {
+  if (rowCount <= 0) { return []; }
+  var width = sheet.getLastColumn();
+  var header = sheet.getRange(1, 1, 1, width).getValues()[0].map(function(h) { return String(h).trim().toLowerCase(); });
+  var values = sheet.getRange(firstRow, 1, rowCount, width).getValues();
+  var points = [];
+  for (var i = 0; i < values.length; i++) {
+    var point = locationRowToPoint(header, values[i]);
+    if (point) { points.push(point); }
+  }
+  points.sort(function(a, b) { return a.timestamp.getTime() - b.timestamp.getTime(); });
+  return points;
+}
+
+/**
+ * Converts a Tile tab row to a point keyed by header name.
+ * @param {string[]} header Lower-cased header row.
+ * @param {Array} row Row values.
+ * @return {Object|null} Point without raw_json and empty cells, or null if the timestamp or coordinates are invalid.
+ */
+function locationRowToPoint(header, row) {
+  var timestamp = row[0];
+  if (!(timestamp instanceof Date) || isNaN(timestamp.getTime())) { return null; }
+  var point = {};
+  for (var c = 0; c < header.length; c++) {
+    if (header[c] && header[c] !== 'raw_json' && row[c] !== '' && row[c] != null) { point[header[c]] = row[c]; }
+  }
+  if (typeof point.latitude !== 'number' || typeof point.longitude !== 'number') { return null; }
+  return point;
+}
+
+/**
+ * Parses the export range. A 'to' given as a plain date (YYYY-MM-DD) includes that whole day.
+ * @param {Date|string|number} from Start of the range, or empty for EXPORT_DEFAULT_DAYS before the end.
+ * @param {Date|string|number} to End of the range, or empty for now.
+ * @return {Object|null} { from: Date, to: Date }, or null if a date is invalid or the range is empty.
+ */
+function parseExportRange(from, to) {
+  var toDate = to == null || to === '' ? new Date() : parseExportDate(to);
+  if (toDate && typeof to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(to.trim())) {
+    toDate = new Date(toDate.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  if (!toDate) { return null; }
+  var fromDate = from == null || from === '' ? new Date(toDate.getTime() - EXPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000) : parseExportDate(from);
+  if (!fromDate || fromDate.getTime() > toDate.getTime()) { return null; }
+  return { from: fromDate, to: toDate };
+}
+
+/**
+ * @param {Date|string|number} value Date, ISO string, or epoch millis (as a number or digit string).
+ * @return {Date|null} The date, or null if invalid.
+ */
+function parseExportDate(value) {
+  var date;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'number' || /^\d{10,}$/.test(String(value).trim())) {
+    date = new Date(Number(value));
+  } else {
+    date = new Date(String(value).trim());
+  }
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {Date} date A date.
+ * @return {string} Compact UTC timestamp for file names, e.g. 20250301T000000Z.
+ */
+function formatExportDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+
+// --- Format Builders ---
+
+/**
+ * GPX 1.1 track. Altitude goes in <ele>; accuracy, speed, course, source, zone and flag go in <extensions>.
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points Points from readLocationPoints().
+ * @return {string} GPX document.
+ */
+function buildGpxTrack(tileName, points) {
+  var lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Tile Tracker" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tt="' + EXPORT_XML_NAMESPACE + '">',
+    '  <trk>',
+    '    <name>' + escapeXml(tileName) + '</name>',
+    '    <trkseg>'
+  ];
+  points.forEach(function(point) {
+    lines.push('      <trkpt lat="' + point.latitude + '" lon="' + point.longitude + '">');
+    if (typeof point.altitude === 'number') { lines.push('        <ele>' + point.altitude + '</ele>'); }
+    lines.push('        <time>' + point.timestamp.toISOString() + '</time>');
+    var extensions = EXPORT_EXTRA_COLUMNS.filter(function(name) { return name !== 'altitude' && point[name] != null; });
+    if (extensions.length > 0) {
+      lines.push('        <extensions>' + extensions.map(function(name) {
+        return '<tt:' + name + '>' + escapeXml(point[name]) + '</tt:' + name + '>';
+      }).join('') + '</extensions>');
+    }
+    lines.push('      </trkpt>');
+  });
+  lines.push('    </trkseg>', '  </trk>', '</gpx>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * KML track (gx:Track). The extra columns are attached per point as gx:SimpleArrayData.
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points Points from readLocationPoints().
+ * @return {string} KML document.
+ */
+function buildKmlTrack(tileName, points) {
+  var hasAltitude = points.some(function(point) { return typeof point.altitude === 'number'; });
+  var extraColumns = EXPORT_EXTRA_COLUMNS.filter(function(name) {
+    return name !== 'altitude' && points.some(function(point) { return point[name] != null; });
+  });
+  var lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    '    <name>' + escapeXml(tileName) + '</name>'
+  ];
+  if (extraColumns.length > 0) {
+    lines.push('    <Schema id="trackData">');
+    extraColumns.forEach(function(name) {
+      var type = name === 'source' || name === 'zone' || name === 'flag' || name === 'place' ? 'string' : 'float';
+      lines.push('      <gx:SimpleArrayField name="' + name + '" type="' + type + '"/>');
+    });
+    lines.push('    </Schema>');
+  }
+  lines.push('    <Placemark>',
+             '      <name>' + escapeXml(tileName) + '</name>',
+             '      <gx:Track>',
+             '        <altitudeMode>' + (hasAltitude ? 'absolute' : 'clampToGround') + '</altitudeMode>');
+  points.forEach(function(point) { lines.push('        <when>' + point.timestamp.toISOString() + '</when>'); });
+  points.forEach(function(point) {
+    lines.push('        <gx:coord>' + point.longitude + ' ' + point.latitude + ' ' + (typeof point.altitude === 'number' ? point.altitude : 0) + '</gx:coord>');
+  });
+  if (extraColumns.length > 0) {
+    lines.push('        <ExtendedData>', '          <SchemaData schemaUrl="#trackData">');
+    extraColumns.forEach(function(name) {
+      lines.push('            <gx:SimpleArrayData name="' + name + '">');
+      points.forEach(function(point) {
+        lines.push('              <gx:value>' + escapeXml(point[name] != null ? point[name] : '') + '</gx:value>');
+      });
+      lines.push('            </gx:SimpleArrayData>');
+    });
+    lines.push('          </SchemaData>', '        </ExtendedData>');
+  }
+  lines.push('      </gx:Track>', '    </Placemark>', '  </Document>', '</kml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * GeoJSON FeatureCollection: one LineString for the track, then one Point per location with all columns as properties.
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points Points from readLocationPoints().
+ * @return {string} GeoJSON document.
+ */
+function buildGeoJsonTrack(tileName, points) {
+  var features = [];
+  if (points.length > 1) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: points.map(geoJsonPosition) },
+      properties: {
+        tile: tileName,
+        start: points[0].timestamp.toISOString(),
+        end: points[points.length - 1].timestamp.toISOString(),
+        coordTimes: points.map(function(point) { return point.timestamp.toISOString(); })
+      }
+    });
+  }
+  points.forEach(function(point) {
+    var properties = { tile: tileName, timestamp: point.timestamp.toISOString() };
+    EXPORT_EXTRA_COLUMNS.forEach(function(name) {
+      if (point[name] != null) { properties[name] = point[name]; }
+    });
+    features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: geoJsonPosition(point) }, properties: properties });
+  });
+  return JSON.stringify({ type: 'FeatureCollection', features: features });
+}
+
+/**
+ * @param {Object} point Point from readLocationPoints().
+ * @return {number[]} GeoJSON position [longitude, latitude] or [longitude, latitude, altitude].
+ */
+function geoJsonPosition(point) {
+  return typeof point.altitude === 'number' ? [point.longitude, point.latitude, point.altitude] : [point.longitude, point.latitude];
+}
+
+/**
+ * CSV with an ISO timestamp column and every location column except raw_json.
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points Points from readLocationPoints().
+ * @return {string} CSV text.
+ */
+function buildCsvTrack(tileName, points) {
+  var columns = getLocationHeaders().filter(function(name) { return name !== 'raw_json'; });
+  var lines = [['tile'].concat(columns).join(',')];
+  points.forEach(function(point) {
+    var cells = [tileName].concat(columns.map(function(name) {
+      if (name === 'timestamp') { return point.timestamp.toISOString(); }
+      return point[name] != null ? point[name] : '';
+    }));
+    lines.push(cells.map(escapeCsvCell).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {*} value Cell value.
+ * @return {string} The value, quoted if it contains a comma, quote or line break.
+ */
+function escapeCsvCell(value) {
+  var text = String(value);
+  return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * @param {*} value Text content or attribute value.
+ * @return {string} The value with XML special characters escaped.
+ */
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                      .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
@@ -0,0 +1,350 @@
+/**
+ * Tile Tracker - Forwarding new points to HTTP endpoints.
+ *
+ * After each Tile is updated, its new points are sent to the endpoints listed in
+ * the FORWARD_ENDPOINTS script property (JSON array, see README). Each endpoint
+ * picks a payload format:
+ *   json           { tile, points: [...] }, one request per batch.
+ *   owntracks      One OwnTracks "location" message per point (HTTP mode, e.g.
+ *                  the OwnTracks Recorder's /pub endpoint).
+ *   homeassistant  The newest point, form encoded for Home Assistant's GPSLogger
+ *                  device_tracker webhook. Older points are skipped, since Home
+ *                  Assistant only keeps the current position, so the cursor
+ *                  jumps straight to the newest point however many were missed.
+ *
+ * Every endpoint has a delivery cursor per Tile: the timestamp of the newest
+ * point it accepted, kept in the FORWARD_CURSORS script property. A run sends
+ * the points after the cursor, read back from the Tile's tab, and only moves the
+ * cursor past points that were accepted. Points an endpoint did not accept, e.g.
+ * while it was down, are sent again on later runs. Outliers (see Quality.js)
+ * are never sent, and rows merged in below the cursor by a manual backfill are
+ * not sent either.
+ */
+
+// --- Constants ---
+var FORWARD_ENDPOINTS_KEY = 'FORWARD_ENDPOINTS';
+var FORWARD_CURSORS_KEY = 'FORWARD_CURSORS';
+var FORWARD_FORMATS = ['json', 'owntracks', 'homeassistant'];
+var DEFAULT_FORWARD_RETRIES = 2;        // Extra attempts per request within a run; overridable per endpoint
+var FORWARD_RETRY_DELAY_MS = 1000;      // Doubled after each failed attempt
+var DEFAULT_FORWARD_MAX_POINTS = 100;   // json/owntracks points per endpoint and Tile per run; overridable with FORWARD_MAX_POINTS
+
+// Endpoints read during this execution, if any (see getForwardEndpoints)
+var loadedForwardEndpoints = null;
+
+/**
+ * Sends a Tile's points that are newer than each endpoint's cursor. Failures are logged and never stop the run.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {Object} tileConfig Tile config from getTileConfigs().
+ */
+function forwardNewPoints(ss, tileConfig) {
+  var tileName = tileConfig.tileName;
+  var endpoints = getForwardEndpoints().filter(function(endpoint) {
+    return endpoint.enabled && (!endpoint.tiles || endpoint.tiles.indexOf(tileName) !== -1);
+  });
+  if (endpoints.length === 0) { return; }
+  var sheet = ss.getSheetByName(tileConfig.sheetName);
+  if (!sheet) { return; }
+
+  try {
+    var latest = getHighWaterMark(sheet);
+    if (!latest) { return; }
+    var maxPoints = readNumberProperty('FORWARD_MAX_POINTS', DEFAULT_FORWARD_MAX_POINTS) || DEFAULT_FORWARD_MAX_POINTS;
+    var cursors = loadForwardCursors();
+    var due = [];
+    endpoints.forEach(function(endpoint) {
+      var cursor = (cursors[endpoint.name] || {})[tileName];
+      if (cursor == null) {
+        // A new endpoint starts at `since`, or else with the Tile's newest point
+        cursor = endpoint.since ? endpoint.since.getTime() - 1 : latest.getTime() - 1;
+        saveForwardCursor(endpoint.name, tileName, cursor);
+      }
+      if (cursor >= latest.getTime()) { return; }
+      if (endpoint.failedThisRun) {
+        logMessage("Forwarding '" + tileName + "' to '" + endpoint.name + "': skipped, the endpoint already failed in this run.");
+        return;
+      }
+      due.push({ endpoint: endpoint, cursor: cursor });
+    });
+    if (due.length === 0) { return; }
+
+    // One read for every endpoint, of the rows after the oldest cursor; Home Assistant only needs the newest point
+    var batched = due.filter(function(entry) { return entry.endpoint.format !== 'homeassistant'; });
+    var readFrom = batched.reduce(function(min, entry) { return Math.min(min, entry.cursor); }, Infinity);
+    var unsent = batched.length > 0 ?
+        readLocationPointsWithArchive(sheet, new Date(readFrom + 1), SEGMENTS_LATEST_DATE).filter(isUsableLocationPoint) : [];
+    var newest = batched.length < due.length ? readLatestLocationPoint(sheet) : null;
+
+    due.forEach(function(entry) {
+      var endpoint = entry.endpoint;
+      var points;
+      if (endpoint.format === 'homeassistant') {
+        points = newest && newest.timestamp.getTime() > entry.cursor ? [newest] : [];
+      } else {
+        points = unsent.filter(function(point) { return point.timestamp.getTime() > entry.cursor; });
+      }
+      var pending = points.length;
+      points = points.slice(0, maxPoints);
+      var delivered = points.length > 0 ? deliverForwardPoints(endpoint, tileName, points) : null;
+      if (delivered || points.length === 0) {
+        saveForwardCursor(endpoint.name, tileName, delivered ? delivered.getTime() : latest.getTime());
+      }
+      logMessage("Forwarding '" + tileName + "' to '" + endpoint.name + "': " +
+                 (delivered ? "delivered up to " + delivered.toISOString() : (points.length === 0 ? "nothing to send" : "not delivered")) +
+                 (pending > points.length ? ", " + (pending - points.length) + " more point(s) left for the next run." : "."));
+    });
+  } catch (e) {
+    logMessage("Error forwarding points for '" + tileName + "': " + e);
+  }
+}
+
+/**
+ * Sends points to an endpoint in order, stopping at the first request that is not accepted.
+ * @param {Object} endpoint Endpoint from getForwardEndpoints().
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points Points from readLocationPoints(), oldest first.
+ * @return {Date|null} Timestamp of the newest point the endpoint accepted, or null if none was.
+ */
+function deliverForwardPoints(endpoint, tileName, points) {
+  var delivered = null;
+  var requests = buildForwardRequests(endpoint, tileName, points);
+  for (var i = 0; i < requests.length; i++) {
+    if (!sendForwardRequest(endpoint, requests[i].options)) {
+      endpoint.failedThisRun = true; // Don't spend the run's time on retries for the remaining Tiles
+      break;
+    }
+    delivered = requests[i].upTo;
+  }
+  return delivered;
+}
+
+/**
+ * Splits points into the requests an endpoint's format needs.
+ * @param {Object} endpoint Endpoint from getForwardEndpoints().
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points Points from readLocationPoints(), oldest first; at least one.
+ * @return {Object[]} Requests { options: UrlFetchApp options, upTo: Date of the newest point covered }, in order.
+ */
+function buildForwardRequests(endpoint, tileName, points) {
+  var headers = {};
+  if (endpoint.authHeader) { headers[endpoint.authHeaderName] = endpoint.authHeader; }
+  var newest = points[points.length - 1];
+
+  if (endpoint.format === 'homeassistant') {
+    return [{ upTo: newest.timestamp, options: { method: 'post', headers: headers, payload: buildHomeAssistantPayload(endpoint, tileName, newest) } }];
+  }
+  if (endpoint.format === 'owntracks') {
+    headers['X-Limit-U'] = endpoint.owntracksUser;
+    headers['X-Limit-D'] = tileName;
+    return points.map(function(point) {
+      return { upTo: point.timestamp, options: {
+        method: 'post', contentType: 'application/json', headers: headers,
+        payload: JSON.stringify(buildOwnTracksMessage(tileName, point))
+      } };
+    });
+  }
+  return [{ upTo: newest.timestamp, options: {
+    method: 'post', contentType: 'application/json', headers: headers,
+    payload: JSON.stringify({ tile: tileName, points: points.map(buildForwardJsonPoint) })
+  } }];
+}
+
+/**
+ * POSTs one request, retrying network errors, HTTP 429 and 5xx with a growing delay.
+ * @param {Object} endpoint Endpoint from getForwardEndpoints().
+ * @param {Object} options UrlFetchApp options.
+ * @return {boolean} True if the endpoint answered with a 2xx status.
+ */
+function sendForwardRequest(endpoint, options) {
+  options.muteHttpExceptions = true;
+  for (var attempt = 0; attempt <= endpoint.retries; attempt++) {
+    if (attempt > 0) { Utilities.sleep(FORWARD_RETRY_DELAY_MS * Math.pow(2, attempt - 1)); }
+    var retryable = true;
+    try {
+      var response = UrlFetchApp.fetch(endpoint.url, options);
+      var code = response.getResponseCode();
+      if (code >= 200 && code < 300) { return true; }
+      retryable = code === 429 || code >= 500;
+      logMessage("Forward endpoint '" + endpoint.name + "' returned HTTP " + code + ". Body sample: " + response.getContentText().substring(0, 300));
+    } catch (e) {
+      logMessage("Error calling forward endpoint '" + endpoint.name + "': " + e);
+    }
+    if (!retryable) { break; }
+  }
+  return false;
+}
+
+
+// --- Payload Formats ---
+
+/**
+ * @param {Object} point Point from readLocationPoints().
+ * @return {Object} The point for the generic JSON format, with an ISO timestamp and without empty fields.
+ */
+function buildForwardJsonPoint(point) {
+  var result = { timestamp: point.timestamp.toISOString() };
+  Object.keys(point).forEach(function(key) {
+    if (key !== 'timestamp') { result[key] = point[key]; }
+  });
+  return result;
+}
+
+/**
+ * Builds an OwnTracks location message. Speed is assumed to be in m/s, as reported by the phone that saw the Tile.
+ * @param {string} tileName The Tile name.
+ * @param {Object} point Point from readLocationPoints().
+ * @return {Object} Message with _type, tid (first two letters of the name), lat, lon, tst and the optional fields available.
+ */
+function buildOwnTracksMessage(tileName, point) {
+  var message = {
+    _type: 'location',
+    tid: tileName.replace(/[^A-Za-z0-9]/g, '').substring(0, 2).toUpperCase() || 'TL',
+    lat: point.latitude,
+    lon: point.longitude,
+    tst: Math.floor(point.timestamp.getTime() / 1000),
+    t: 'p'
+  };
+  if (typeof point.accuracy === 'number') { message.acc = Math.round(point.accuracy); }
+  if (typeof point.altitude === 'number') { message.alt = Math.round(point.altitude); }
+  if (typeof point.speed === 'number') { message.vel = Math.round(point.speed * 3.6); }
+  if (typeof point.course === 'number') { message.cog = Math.round(point.course); }
+  if (point.zone) { message.inregions = [point.zone]; }
+  return message;
+}
+
+/**
+ * Builds the form fields of Home Assistant's GPSLogger webhook.
+ * @param {Object} endpoint Endpoint from getForwardEndpoints().
+ * @param {string} tileName The Tile name.
+ * @param {Object} point Point from readLocationPoints().
+ * @return {Object} Form fields: device, latitude, longitude and the optional fields available.
+ */
+function buildHomeAssistantPayload(endpoint, tileName, point) {
+  var payload = {
+    device: endpoint.devicePrefix + tileName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, ''),
+    latitude: String(point.latitude),
+    longitude: String(point.longitude),
+    activity: point.zone || '',
+    provider: 'tile' + (point.source ? ' ' + point.source : '')
+  };
+  if (typeof point.accuracy === 'number') { payload.accuracy = String(point.accuracy); }
+  if (typeof point.altitude === 'number') { payload.altitude = String(point.altitude); }
+  if (typeof point.speed === 'number') { payload.speed = String(point.speed); }
+  if (typeof point.course === 'number') { payload.direction = String(point.course); }
+  return payload;
+}
+
+
+// --- Endpoint Config ---
+
+/**
+ * Reads the endpoints from the FORWARD_ENDPOINTS script property, once per execution. Invalid entries are logged and skipped.
+ * @return {Object[]} Endpoints { name, url, format, enabled, tiles: string[]|null, authHeader, authHeaderName, retries,
+ *     since: Date|null, owntracksUser, devicePrefix, failedThisRun }.
+ */
+function getForwardEndpoints() {
+  if (!loadedForwardEndpoints) { loadedForwardEndpoints = readForwardEndpoints(); }
+  return loadedForwardEndpoints;
+}
+
+/**
+ * @return {Object[]} Endpoints as returned by getForwardEndpoints().
+ */
+function readForwardEndpoints() {
+  var json = SCRIPT_PROPS.getProperty(FORWARD_ENDPOINTS_KEY);
+  if (!json) { return []; }
+  var parsed = tryParseJson(json);
+  if (!Array.isArray(parsed)) {
+    logMessage("ERROR: " + FORWARD_ENDPOINTS_KEY + " script property must be a JSON array.");
+    return [];
+  }
+  var names = {};
+  return parsed.map(normalizeForwardEndpoint).filter(function(endpoint) {
+    if (!endpoint) { return false; }
+    if (names[endpoint.name]) {
+      logMessage("Warning: Skipping forward endpoint with duplicate name '" + endpoint.name + "'.");
+      return false;
+    }
+    names[endpoint.name] = true;
+    return true;
+  });
+}
+
+/**
+ * @param {Object} raw e.g. { name: 'ha', url: 'https://ha.example/api/webhook/abc', format: 'homeassistant',
+ *     auth_header: 'Bearer ...', tiles: ['Milkdud3'], retries: 2, since: '2025-03-01' }.
+ * @return {Object|null} Normalized endpoint, or null if it has no name or URL or an unknown format.
+ */
+function normalizeForwardEndpoint(raw) {
+  if (raw && raw.auth_header) { registerSecret(raw.auth_header); } // Keep the token out of the logs below
+  if (!raw || !raw.name || !raw.url) {
+    logMessage("Warning: Skipping forward endpoint without name or url: " + JSON.stringify(raw));
+    return null;
+  }
+  var format = String(raw.format || 'json').trim().toLowerCase();
+  if (FORWARD_FORMATS.indexOf(format) === -1) {
+    logMessage("Warning: Skipping forward endpoint '" + raw.name + "': format must be one of " + FORWARD_FORMATS.join(", ") + ".");
+    return null;
+  }
+  var since = raw.since ? new Date(raw.since) : null;
+  var retries = Number(raw.retries);
+  return {
+    name: String(raw.name),
+    url: String(raw.url),
+    format: format,
+    enabled: parseConfigBoolean(raw.enabled, true),
+    tiles: Array.isArray(raw.tiles) && raw.tiles.length > 0 ? raw.tiles.map(String) : null,
+    authHeader: raw.auth_header ? String(raw.auth_header) : null,
+    authHeaderName: raw.auth_header_name ? String(raw.auth_header_name) : 'Authorization',
+    retries: raw.retries != null && raw.retries !== '' && !isNaN(retries) && retries >= 0 ? Math.floor(retries) : DEFAULT_FORWARD_RETRIES,
+    since: since && !isNaN(since.getTime()) ? since : null,
+    owntracksUser: raw.owntracks_user ? String(raw.owntracks_user) : 'tile',
+    devicePrefix: raw.device_prefix != null ? String(raw.device_prefix) : 'tile_',
+    failedThisRun: false
+  };
+}
+
+
+// --- Delivery Cursors ---
+
+/**
+ * @return {Object} Map of endpoint name to { Tile name: epoch millis of the newest delivered point }.
+ */
+function loadForwardCursors() {
+  return tryParseJson(SCRIPT_PROPS.getProperty(FORWARD_CURSORS_KEY) || '') || {};
+}
+
+/**
+ * @param {string} endpointName The endpoint name.
+ * @param {string} tileName The Tile name.
+ * @param {number} millis Newest delivered point.
+ */
+function saveForwardCursor(endpointName, tileName, millis) {
+  var cursors = loadForwardCursors();
+  cursors[endpointName] = cursors[endpointName] || {};
+  cursors[endpointName][tileName] = millis;
+  SCRIPT_PROPS.setProperty(FORWARD_CURSORS_KEY, JSON.stringify(cursors));
+}
+
+/**
+ * Moves an endpoint's cursor back so points from a date on are sent again on the next run,
+ * e.g. after the receiving side lost data. Run from the editor.
+ * @param {string} endpointName The endpoint name from FORWARD_ENDPOINTS.
+ * @param {Date|string|number} from Resend points from this time on.
+ * @param {string=} tileName Only this Tile; all Tiles if empty.
+ */
+function resendForwardedPoints(endpointName, from, tileName) {
+  var fromDate = from instanceof Date ? from : new Date(from);
+  if (!endpointName || isNaN(fromDate.getTime())) {
+    logMessage("ERROR: resendForwardedPoints needs an endpoint name and a valid date.");
+    return;
+  }
+  var cursors = loadForwardCursors();
+  var tileCursors = cursors[endpointName] || {};
+  var tileNames = tileName ? [tileName] : Object.keys(tileCursors);
+  tileNames.forEach(function(name) { tileCursors[name] = fromDate.getTime() - 1; });
+  cursors[endpointName] = tileCursors;
+  SCRIPT_PROPS.setProperty(FORWARD_CURSORS_KEY, JSON.stringify(cursors));
+  logMessage("Points from " + fromDate.toISOString() + " on will be sent to '" + endpointName + "' again for: " +
+             (tileNames.length > 0 ? tileNames.join(", ") : "no Tiles (nothing was delivered yet)") + ".");
+}
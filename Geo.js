@@ -0,0 +1,42 @@
+/**
+ * Tile Tracker - Geometry helpers.
+ */
+
+// --- Constants ---
+var EARTH_RADIUS_METERS = 6371008.8; // Mean Earth radius
+
+/**
+ * Great-circle distance between two points using the haversine formula.
+ * @param {number} lat1 Latitude of the first point in degrees.
+ * @param {number} lon1 Longitude of the first point in degrees.
+ * @param {number} lat2 Latitude of the second point in degrees.
+ * @param {number} lon2 Longitude of the second point in degrees.
+ * @return {number} Distance in meters.
+ */
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  var toRad = Math.PI / 180;
+  var dLat = (lat2 - lat1) * toRad;
+  var dLon = (lon2 - lon1) * toRad;
+  var a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+          Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Ray-casting point-in-polygon test on raw lat/lon, adequate for zones a few kilometers across.
+ * @param {number} lat Latitude of the point.
+ * @param {number} lon Longitude of the point.
+ * @param {number[][]} polygon Vertices as [[lat, lon], ...]; the closing edge is implied.
+ * @return {boolean} True if the point is inside the polygon.
+ */
+function pointInPolygon(lat, lon, polygon) {
+  var inside = false;
+  for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    var latI = polygon[i][0], lonI = polygon[i][1];
+    var latJ = polygon[j][0], lonJ = polygon[j][1];
+    var crosses = (latI > lat) !== (latJ > lat) &&
+                  lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI;
+    if (crosses) { inside = !inside; }
+  }
+  return inside;
+}
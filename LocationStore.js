@@ -0,0 +1,359 @@
+/**
+ * Tile Tracker - Location tab writes.
+ *
+ * Tile tabs are kept sorted by timestamp with one row per timestamp, so a run
+ * never has to read or sort a whole tab:
+ *   - The newest timestamp of each tab (its high-water mark) is stored in the
+ *     HIGH_WATER_MARKS script property; the incremental fetch starts from it.
+ *   - New rows are only compared against a tail window of the tab: the last
+ *     TAIL_WINDOW_ROWS rows, widened until it reaches back past the oldest new
+ *     point. Earlier rows are older than every new point, so they cannot clash.
+ *   - Rows newer than the tab's last row are appended. Older rows (e.g. from a
+ *     manual backfill) are merged into the tail from their position onward.
+ *
+ * Both rely on the tab staying sorted and unique. verifyLocationSheets() checks
+ * that across the whole tab on demand, and can repair it and reset the mark.
+ *
+ * Reads after an update are bounded the same way: findLocationRows() locates a
+ * time range from the timestamp column of a tail window, so the flagging,
+ * visits/trips, daily summary and forwarding steps only read the rows from
+ * just before the earliest new point onward.
+ *
+ * The update pipeline (updateTileStore(), runBackfill()) writes through a
+ * location store rather than a sheet. A store is an object with:
+ *   getName()            Name for logs.
+ *   getLatestTimestamp() Newest stored point as a Date, or null if empty.
+ *   addRows(rows)        Adds rows in LOCATION_COLUMNS order, skipping
+ *                        timestamps already stored; returns the number added.
+ * createSheetLocationStore() is the Tile tab store. The Node.js CLI has CSV and
+ * SQLite stores with the same methods (node/stores.js).
+ */
+
+// --- Constants ---
+var HIGH_WATER_MARKS_KEY = 'HIGH_WATER_MARKS';
+var TAIL_WINDOW_ROWS = 500; // Rows read from the end of a tab for de-duplication; doubled until the new points are covered
+
+
+// --- Sheet Location Store ---
+
+/**
+ * Wraps a Tile tab as a location store. Adding rows also runs the sheet-side processing of new points: zone and place
+ * tagging, quality flags, zone transitions, visits/trips and the daily summary.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet, with a current header row.
+ * @param {string} tileName The Tile name.
+ * @return {Object} Location store { getName, getLatestTimestamp, addRows }.
+ */
+function createSheetLocationStore(sheet, tileName) {
+  return {
+    getName: function() { return sheet.getName(); },
+    getLatestTimestamp: function() { return getHighWaterMark(sheet); },
+    addRows: function(rows) { return addLocationRows(sheet, tileName, rows); }
+  };
+}
+
+/**
+ * Tags new rows with their zone and place, writes them, and updates everything derived from the Tile's points.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {string} tileName The Tile name.
+ * @param {Array[]} newData Rows from processHistoryData().
+ * @return {number} Number of rows added.
+ */
+function addLocationRows(sheet, tileName, newData) {
+  var ss = sheet.getParent();
+  tagRowsWithZones(ss, newData);
+  tagRowsWithPlaces(ss, newData);
+  var addedRows = updateSheet(sheet, newData);
+  var recheckedFrom = flagLocationQuality(sheet, addedRows);
+  processZoneTransitions(ss, tileName, addedRows);
+  updateSegments(sheet, tileName, recheckedFrom);
+  updateDailySummary(sheet, tileName, addedRows);
+  return addedRows.length;
+}
+
+
+// --- Writing Rows ---
+
+/**
+ * Adds new rows to a Tile tab in timestamp order, skipping timestamps the tab already has.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {Array[]} newData An array of new rows, e.g., [[timestampDate, lat, lon, accuracy, ...], ...].
+ * @return {Array[]} The rows actually added, oldest first (empty on error).
+ */
+function updateSheet(sheet, newData) {
+  if (!newData || newData.length === 0) { logMessage("updateSheet: No new data provided."); return []; }
+  try {
+    var seen = {};
+    var rows = [];
+    newData.forEach(function(row, j) {
+      if (!(row[0] instanceof Date) || isNaN(row[0].getTime())) { logMessage("Warning: Skipping invalid date in new data row " + j); return; }
+      if (seen[row[0].getTime()]) { return; }
+      seen[row[0].getTime()] = true;
+      rows.push(row);
+    });
+    if (rows.length === 0) { return []; }
+    rows.sort(function(a, b) { return a[0].getTime() - b[0].getTime(); });
+
+    var tail = readTailTimestamps(sheet, rows[0][0].getTime());
+    var rowsToAdd = rows.filter(function(row) { return !tail.existing.hasOwnProperty(row[0].getTime()); });
+    logMessage("Compared " + rows.length + " new row(s) against the last " + tail.times.length + " row(s) of the sheet.");
+    if (rowsToAdd.length === 0) {
+      logMessage("No unique new rows found to add.");
+      return [];
+    }
+
+    if (tail.latest === null || rowsToAdd[0][0].getTime() > tail.latest) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, rowsToAdd.length, rowsToAdd[0].length).setValues(rowsToAdd);
+      logMessage("Appended " + rowsToAdd.length + " rows.");
+    } else {
+      mergeRowsIntoTail(sheet, rowsToAdd, tail);
+    }
+    advanceHighWaterMark(sheet, rowsToAdd[rowsToAdd.length - 1][0].getTime());
+    return rowsToAdd;
+  } catch (e) { logMessage("Error updating sheet: " + e); logMessage("Error Stack: " + e.stack); return []; }
+}
+
+/**
+ * Reads the timestamps at the end of a tab, widening the window until it starts before fromMillis or at the first data row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {number} fromMillis Timestamp of the oldest new point.
+ * @return {Object} { firstRow: sheet row of times[0], times: (number|null)[], existing: set of millis, latest: number|null }.
+ */
+function readTailTimestamps(sheet, fromMillis) {
+  var lastRow = sheet.getLastRow();
+  var size = TAIL_WINDOW_ROWS;
+  var firstRow, times;
+  do {
+    firstRow = Math.max(2, lastRow - size + 1);
+    times = firstRow <= lastRow ? sheet.getRange(firstRow, 1, lastRow - firstRow + 1, 1).getValues().map(function(row) {
+      return toTimestampMillis(row[0]);
+    }) : [];
+    size *= 2;
+  } while (firstRow > 2 && !(times[0] !== null && times[0] < fromMillis));
+
+  var existing = {};
+  var latest = null;
+  times.forEach(function(time) {
+    if (time === null) { return; }
+    existing[time] = true;
+    if (latest === null || time > latest) { latest = time; }
+  });
+  return { firstRow: firstRow, times: times, existing: existing, latest: latest };
+}
+
+/**
+ * Finds the rows of a sorted Tile tab (live or archive) within a time range. Only the timestamp column of a tail
+ * window reaching back past the start of the range is read, and nothing at all for a range after the tab's mark.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet or one of its archive tabs.
+ * @param {number} fromMillis Start of the range (inclusive).
+ * @param {number} toMillis End of the range (inclusive).
+ * @return {Object} { firstRow: sheet row of the first row in range (the row after the tab's end if there is none),
+ *     rowCount: number of rows in range }.
+ */
+function findLocationRows(sheet, fromMillis, toMillis) {
+  var lastRow = sheet.getLastRow();
+  var mark = getHighWaterMarks()[sheet.getName()];
+  if (lastRow < 2 || (mark && fromMillis > mark)) { return { firstRow: lastRow + 1, rowCount: 0 }; }
+  var tail = readTailTimestamps(sheet, fromMillis);
+  var start = 0;
+  while (start < tail.times.length && (tail.times[start] === null || tail.times[start] < fromMillis)) { start++; }
+  var end = tail.times.length;
+  while (end > start && (tail.times[end - 1] === null || tail.times[end - 1] > toMillis)) { end--; }
+  return { firstRow: tail.firstRow + start, rowCount: end - start };
+}
+
+/**
+ * Merges rows that are older than the tab's last row into place, rewriting the tab from the first affected row down.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {Array[]} rowsToAdd New rows, oldest first, none already in the tab.
+ * @param {Object} tail Result of readTailTimestamps() covering the oldest new row.
+ */
+function mergeRowsIntoTail(sheet, rowsToAdd, tail) {
+  var oldest = rowsToAdd[0][0].getTime();
+  var offset = 0;
+  while (offset < tail.times.length && (tail.times[offset] === null || tail.times[offset] < oldest)) { offset++; }
+  var startRow = tail.firstRow + offset;
+  var width = rowsToAdd[0].length;
+  var lastRow = sheet.getLastRow();
+
+  var existingRows = startRow <= lastRow ? sheet.getRange(startRow, 1, lastRow - startRow + 1, width).getValues() : [];
+  var merged = existingRows.concat(rowsToAdd);
+  merged.sort(function(a, b) { return (toTimestampMillis(a[0]) || 0) - (toTimestampMillis(b[0]) || 0); });
+  sheet.getRange(startRow, 1, merged.length, width).setValues(merged);
+  logMessage("Inserted " + rowsToAdd.length + " older row(s) in order, rewriting " + merged.length + " row(s) from row " + startRow + ".");
+}
+
+/**
+ * @param {*} value A timestamp cell value.
+ * @return {number|null} Epoch millis, or null if the cell is empty or not a date.
+ */
+function toTimestampMillis(value) {
+  if (!value) { return null; }
+  var millis = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return isNaN(millis) ? null : millis;
+}
+
+
+// --- High-Water Marks ---
+
+/**
+ * Returns the newest timestamp in a Tile tab. Uses the stored mark; scans the tab once if there is none yet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @return {Date|null} The newest timestamp, or null if the tab has no data rows.
+ */
+function getHighWaterMark(sheet) {
+  var mark = getHighWaterMarks()[sheet.getName()];
+  if (sheet.getLastRow() < 2) {
+    if (mark) { saveHighWaterMark(sheet.getName(), null); } // The tab was cleared
+    return null;
+  }
+  if (mark) {
+    logMessage("High-water mark for sheet '" + sheet.getName() + "': " + new Date(mark).toISOString());
+    return new Date(mark);
+  }
+  var latest = getLatestTimestampFromSheet(sheet);
+  if (latest) { saveHighWaterMark(sheet.getName(), latest.getTime()); }
+  return latest;
+}
+
+/**
+ * Raises a tab's stored mark if the given time is newer.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {number} millis Timestamp of the newest row just written.
+ */
+function advanceHighWaterMark(sheet, millis) {
+  var mark = getHighWaterMarks()[sheet.getName()];
+  if (mark && mark >= millis) { return; }
+  if (!mark && sheet.getLastRow() > 2) {
+    // No mark yet for a tab that already had rows: take the newest of both
+    var latest = getLatestTimestampFromSheet(sheet);
+    millis = latest ? Math.max(latest.getTime(), millis) : millis;
+  }
+  saveHighWaterMark(sheet.getName(), millis);
+}
+
+/**
+ * @return {Object} Map of sheet name to newest timestamp (epoch millis).
+ */
+function getHighWaterMarks() {
+  var json = SCRIPT_PROPS.getProperty(HIGH_WATER_MARKS_KEY);
+  return (json && tryParseJson(json)) || {};
+}
+
+/**
+ * @param {string} sheetName The Tile tab name.
+ * @param {number|null} millis Newest timestamp, or null to forget the mark.
+ */
+function saveHighWaterMark(sheetName, millis) {
+  var marks = getHighWaterMarks();
+  if (millis === null) {
+    delete marks[sheetName];
+  } else {
+    marks[sheetName] = millis;
+  }
+  SCRIPT_PROPS.setProperty(HIGH_WATER_MARKS_KEY, JSON.stringify(marks));
+}
+
+
+// --- Self-Check ---
+
+/**
+ * Checks that every Tile tab is sorted, has one row per timestamp, and that its stored mark matches its newest row.
+ * Run from the editor, e.g. after editing a tab by hand. With repair, duplicates (all but the first row of a timestamp)
+ * are removed, the tab is sorted and the mark is reset. Repairing needs the run lock (see Scheduler.js), so an update
+ * cannot append rows while the tab is rewritten; it is refused while an update holds it.
+ * @param {string=} tileName The Tile name as listed in the Tiles config; all Tiles if empty.
+ * @param {boolean=} repair Whether to fix the problems found.
+ * @return {boolean} True if no problems were found (false if a repair was refused).
+ */
+function verifyLocationSheets(tileName, repair) {
+  if (repair !== true) { return runLocationSheetChecks(tileName, false); }
+  var lock = acquireRunLock();
+  if (!lock) {
+    logMessage("An update is still running. Nothing was checked or repaired; try again in a minute.");
+    return false;
+  }
+  try {
+    return runLocationSheetChecks(tileName, true);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs verifyLocationSheets(), holding the run lock if repair is true.
+ * @param {string=} tileName The Tile name as listed in the Tiles config; all Tiles if empty.
+ * @param {boolean} repair Whether to fix the problems found.
+ * @return {boolean} True if no problems were found.
+ */
+function runLocationSheetChecks(tileName, repair) {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var allOk = true;
+  getTileConfigs(ss).forEach(function(tileConfig) {
+    if (tileName && tileConfig.tileName !== tileName) { return; }
+    var sheet = ss.getSheetByName(tileConfig.sheetName);
+    if (!sheet || !ensureLocationSheetSchema(sheet)) { return; }
+    var result = checkLocationSheet(sheet, repair === true);
+    var mark = getHighWaterMarks()[sheet.getName()] || null;
+    var markOk = mark === result.latest;
+    if (!markOk && repair === true) { saveHighWaterMark(sheet.getName(), result.latest); }
+
+    var problems = result.duplicates + result.outOfOrder + result.invalid + (markOk ? 0 : 1);
+    allOk = allOk && problems === 0;
+    logMessage((problems === 0 ? "OK" : "PROBLEMS") + ": '" + tileConfig.tileName + "' has " + result.rows + " row(s), " +
+               result.duplicates + " duplicate timestamp(s), " + result.outOfOrder + " row(s) out of order, " +
+               result.invalid + " row(s) without a valid timestamp; high-water mark " +
+               (markOk ? "matches" : (mark ? new Date(mark).toISOString() : "missing") + ", newest row " +
+                (result.latest ? new Date(result.latest).toISOString() : "none")) +
+               (problems > 0 && repair === true ? ". Repaired." : "."));
+  });
+  return allOk;
+}
+
+/**
+ * Scans a whole Tile tab for duplicate, unsorted and invalid rows, optionally rewriting it sorted and de-duplicated.
+ * Rows without a valid timestamp are reported but kept (at the end of the tab after a repair).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {boolean} repair Whether to rewrite the tab.
+ * @return {Object} { rows, duplicates, outOfOrder, invalid, latest: number|null }.
+ */
+function checkLocationSheet(sheet, repair) {
+  var result = { rows: 0, duplicates: 0, outOfOrder: 0, invalid: 0, latest: null };
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) { return result; }
+  var width = getLocationHeaders().length;
+  var values = sheet.getRange(2, 1, lastRow - 1, width).getValues();
+  result.rows = values.length;
+
+  var seen = {};
+  var kept = [];
+  var previous = null;
+  values.forEach(function(row) {
+    var time = toTimestampMillis(row[0]);
+    if (time === null) {
+      result.invalid++;
+      kept.push(row);
+      return;
+    }
+    if (previous !== null && time < previous) { result.outOfOrder++; }
+    previous = time;
+    if (seen[time]) {
+      result.duplicates++;
+      return;
+    }
+    seen[time] = true;
+    kept.push(row);
+    if (result.latest === null || time > result.latest) { result.latest = time; }
+  });
+
+  if (repair && (result.duplicates > 0 || result.outOfOrder > 0)) {
+    kept.sort(function(a, b) {
+      var x = toTimestampMillis(a[0]);
+      var y = toTimestampMillis(b[0]);
+      if (x === null || y === null) { return (x === null ? 1 : 0) - (y === null ? 1 : 0); }
+      return x - y;
+    });
+    sheet.getRange(2, 1, values.length, width).clearContent();
+    sheet.getRange(2, 1, kept.length, width).setValues(kept);
+  }
+  return result;
+}
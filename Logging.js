@@ -0,0 +1,72 @@
+/**
+ * Tile Tracker - Log redaction.
+ *
+ * Every log line goes through logMessage(), which removes personal data and
+ * secrets before they reach the execution log, which every editor of the
+ * project can read:
+ *   - passwords and session cookies the script has handled (see registerSecret()),
+ *     and any value written as "password=..." or "Cookie: ..."
+ *   - email addresses, shortened to the first letter and the domain
+ *   - coordinates, cut to 2 decimals (about 1 km)
+ * Response body samples in error messages get the same treatment, since they
+ * end up in the Runs tab and in alerts.
+ *
+ * Set the DEBUG_LOGGING script property to true to log everything as is while
+ * troubleshooting, and remove it afterwards.
+ */
+
+// --- Constants ---
+var LOG_REDACTED = '[redacted]';
+var LOG_MIN_SECRET_LENGTH = 4; // Shorter values would redact ordinary words
+
+// Secrets seen during this execution, longest first (see registerSecret)
+var registeredSecrets = [];
+// DEBUG_LOGGING, read once per execution (see isDebugLogging)
+var debugLogging = null;
+
+/**
+ * Writes a line to the execution log, redacted unless DEBUG_LOGGING is on.
+ * @param {*} message The message.
+ */
+function logMessage(message) {
+  Logger.log(isDebugLogging() ? message : redactSensitiveText(message));
+}
+
+/**
+ * @return {boolean} True if the DEBUG_LOGGING script property turns redaction off.
+ */
+function isDebugLogging() {
+  if (debugLogging === null) {
+    debugLogging = parseConfigBoolean(SCRIPT_PROPS.getProperty('DEBUG_LOGGING'), false);
+  }
+  return debugLogging;
+}
+
+/**
+ * Adds a value that must never appear in logs, such as a password or cookie value.
+ * @param {string} secret The value.
+ */
+function registerSecret(secret) {
+  secret = secret == null ? '' : String(secret);
+  if (secret.length < LOG_MIN_SECRET_LENGTH || registeredSecrets.indexOf(secret) !== -1) { return; }
+  registeredSecrets.push(secret);
+  registeredSecrets.sort(function(a, b) { return b.length - a.length; }); // So a secret containing another is replaced whole
+}
+
+/**
+ * Removes secrets, email addresses and exact coordinates from a text. Does nothing when DEBUG_LOGGING is on.
+ * @param {*} text e.g. a log line or a response body sample.
+ * @return {string} The redacted text.
+ */
+function redactSensitiveText(text) {
+  var result = String(text);
+  if (isDebugLogging()) { return result; }
+  registeredSecrets.forEach(function(secret) {
+    result = result.split(secret).join(LOG_REDACTED);
+  });
+  return result
+    .replace(/((?:set-)?cookie["']?\s*[:=]\s*)[^\n]+/gi, '$1' + LOG_REDACTED)
+    .replace(/(password["']?\s*[:=]\s*)("[^"]*"|[^\s,;&}]+)/gi, '$1' + LOG_REDACTED)
+    .replace(/([A-Za-z0-9_%+-])[A-Za-z0-9._%+-]*@((?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,})/g, '$1***@$2')
+    .replace(/(^|[^\d.])(-?\d{1,3}\.\d{2})\d{2,}(?![\d.])/g, '$1$2'); // 4+ decimals, so times like 04.753Z are kept
+}
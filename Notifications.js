@@ -0,0 +1,42 @@
+/**
+ * Tile Tracker - Outgoing notifications (email and webhook).
+ */
+
+/**
+ * Sends a notification by email and/or webhook. Either channel may be omitted.
+ * @param {Object} message { subject: string, body: string, emailTo: string|null, webhookUrl: string|null, payload: Object }.
+ *     The webhook receives the payload as a JSON POST.
+ * @return {boolean} True if at least one channel accepted the notification.
+ */
+function sendNotification(message) {
+  var sent = false;
+
+  if (message.emailTo) {
+    try {
+      MailApp.sendEmail(message.emailTo, message.subject, message.body);
+      sent = true;
+    } catch (e) {
+      logMessage("Error sending notification email: " + e);
+    }
+  }
+
+  if (message.webhookUrl) {
+    try {
+      var response = UrlFetchApp.fetch(message.webhookUrl, {
+        'method': 'post',
+        'contentType': 'application/json',
+        'payload': JSON.stringify(message.payload || { subject: message.subject, body: message.body }),
+        'muteHttpExceptions': true
+      });
+      var code = response.getResponseCode();
+      if (code >= 200 && code < 300) {
+        sent = true;
+      } else {
+        logMessage("Notification webhook failed: HTTP " + code + ". Body sample: " + response.getContentText().substring(0, 300));
+      }
+    } catch (e) {
+      logMessage("Error calling notification webhook: " + e);
+    }
+  }
+  return sent;
+}
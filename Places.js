@@ -0,0 +1,380 @@
+/**
+ * Tile Tracker - Frequent places.
+ *
+ * updatePlaces() clusters each Tile's whole history (including archive tabs,
+ * outliers skipped) into the places it spends time at, DBSCAN-style: a point
+ * with at least PLACES_MIN_POINTS points within PLACES_RADIUS_METERS is a core
+ * point, and core points within that radius of each other form one place,
+ * together with the points around them. Points are first pooled into cells a
+ * third of the radius across, so a place reported thousands of times costs
+ * about as much as one reported a few times.
+ *
+ * The "Places" tab has one row per place, busiest first: centroid, radius,
+ * number of points and visits, total dwell time and first/last visit. A visit
+ * is a run of consecutive points in the place; dwell time is the time between
+ * them. The label column is left for you ("Home", "Office"...). When the job
+ * runs again, each label moves to the nearest new place within reach of the
+ * old one, so labels survive clusters shifting; a labeled place that no longer
+ * matches any cluster is kept with zero counts rather than dropped.
+ *
+ * New points get the nearest labeled place (of any Tile) whose radius, plus
+ * PLACES_RADIUS_METERS, contains them in their place column. Run
+ * updatePlaces() on a daily time-driven trigger, or from the menu.
+ */
+
+// --- Constants ---
+var PLACES_SHEET_NAME = 'Places';
+var PLACES_HEADERS = ['tile', 'label', 'center_latitude', 'center_longitude', 'radius_m', 'point_count', 'visit_count',
+                      'dwell_min', 'first_visit', 'last_visit'];
+var DEFAULT_PLACES_RADIUS_METERS = 100; // Overridable with the PLACES_RADIUS_METERS script property
+var DEFAULT_PLACES_MIN_POINTS = 5;      // Overridable with the PLACES_MIN_POINTS script property
+var PLACES_CELLS_PER_RADIUS = 3;        // Points are pooled into cells of radius / 3 before clustering
+
+// Labeled places loaded during this execution (see getLabeledPlaces)
+var loadedLabeledPlaces = null;
+
+/**
+ * Recomputes the Places tab for every configured Tile, keeping the labels. Stops before the Apps Script time limit;
+ * Tiles it did not get to keep their previous rows. Skipped while an update holds the run lock (see Scheduler.js).
+ */
+function updatePlaces() {
+  var lock = acquireRunLock();
+  if (!lock) {
+    logMessage("An update is still running. Places will be updated next time.");
+    return;
+  }
+  try {
+    updatePlacesLocked();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs updatePlaces() while holding the lock that keeps it from overlapping an update.
+ */
+function updatePlacesLocked() {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var settings = getPlaceSettings();
+  var sheet = getSegmentSheet(ss, PLACES_SHEET_NAME, PLACES_HEADERS);
+  var existing = readPlaces(sheet);
+  var updatedTiles = {};
+  var rows = [];
+
+  getTileConfigs(ss).forEach(function(tileConfig) {
+    var tileName = tileConfig.tileName;
+    if (Date.now() - EXECUTION_STARTED_AT > BACKFILL_TIME_BUDGET_MS) {
+      logMessage("Places time budget used. '" + tileName + "' will be clustered on the next run.");
+      return;
+    }
+    var tileSheet = ss.getSheetByName(tileConfig.sheetName);
+    if (!tileSheet) { return; }
+    var points = readLocationPointsWithArchive(tileSheet, new Date(0), SEGMENTS_LATEST_DATE).filter(isUsableLocationPoint);
+    var places = summarizePlaces(points, clusterPlacePoints(points, settings));
+    var oldPlaces = existing.filter(function(place) { return place.tile === tileName; });
+    places = places.concat(carryPlaceLabels(oldPlaces, places, settings.radiusMeters));
+    logMessage("Found " + places.length + " place(s) for '" + tileName + "' in " + points.length + " point(s).");
+    places.forEach(function(place) { rows.push(buildPlaceRow(tileName, place)); });
+    updatedTiles[tileName] = true;
+  });
+
+  // Rows of Tiles not clustered this run (out of time, or no longer configured) are kept as they are
+  existing.forEach(function(place) {
+    if (!updatedTiles[place.tile]) { rows.push(place.row); }
+  });
+  writePlaceRows(sheet, rows);
+  loadedLabeledPlaces = null;
+}
+
+/**
+ * Reads the clustering settings from script properties.
+ * @return {Object} { radiusMeters: number, minPoints: number }.
+ */
+function getPlaceSettings() {
+  return {
+    radiusMeters: readNumberProperty('PLACES_RADIUS_METERS', DEFAULT_PLACES_RADIUS_METERS) || DEFAULT_PLACES_RADIUS_METERS,
+    minPoints: readNumberProperty('PLACES_MIN_POINTS', DEFAULT_PLACES_MIN_POINTS) || DEFAULT_PLACES_MIN_POINTS
+  };
+}
+
+
+// --- Clustering ---
+
+/**
+ * Clusters points DBSCAN-style over haversine distance. Points are pooled into small cells first, and each cell
+ * takes part as one point at its centroid, weighted by the number of points in it.
+ * @param {Object[]} points Points from readLocationPoints().
+ * @param {Object} settings Settings from getPlaceSettings().
+ * @return {Object} { clusterIds: number[] (per point, -1 for noise), clusterCount: number }.
+ */
+function clusterPlacePoints(points, settings) {
+  var clusterIds = points.map(function() { return -1; });
+  if (points.length === 0) { return { clusterIds: clusterIds, clusterCount: 0 }; }
+
+  // Degrees per radius; longitude cells are sized for the highest latitude, so they are never narrower than the radius
+  var maxAbsLatitude = points.reduce(function(max, point) { return Math.max(max, Math.abs(point.latitude)); }, 0);
+  var latStep = settings.radiusMeters / (EARTH_RADIUS_METERS * Math.PI / 180);
+  var lonStep = latStep / Math.max(Math.cos(maxAbsLatitude * Math.PI / 180), 0.01);
+
+  var cells = [];
+  var cellsByKey = {};
+  points.forEach(function(point, i) {
+    var key = Math.floor(point.latitude / latStep * PLACES_CELLS_PER_RADIUS) + ':' +
+              Math.floor(point.longitude / lonStep * PLACES_CELLS_PER_RADIUS);
+    var cell = cellsByKey[key];
+    if (!cell) {
+      cell = cellsByKey[key] = { latSum: 0, lonSum: 0, pointIndexes: [], cluster: -1, visited: false };
+      cells.push(cell);
+    }
+    cell.latSum += point.latitude;
+    cell.lonSum += point.longitude;
+    cell.pointIndexes.push(i);
+  });
+
+  // Cells in the same radius-sized bucket or one of the 8 around it are the only ones that can be within the radius
+  var buckets = {};
+  cells.forEach(function(cell) {
+    cell.latitude = cell.latSum / cell.pointIndexes.length;
+    cell.longitude = cell.lonSum / cell.pointIndexes.length;
+    cell.row = Math.floor(cell.latitude / latStep);
+    cell.column = Math.floor(cell.longitude / lonStep);
+    var key = cell.row + ':' + cell.column;
+    (buckets[key] = buckets[key] || []).push(cell);
+  });
+  function findNeighbors(cell) {
+    var neighbors = [];
+    for (var dRow = -1; dRow <= 1; dRow++) {
+      for (var dColumn = -1; dColumn <= 1; dColumn++) {
+        (buckets[(cell.row + dRow) + ':' + (cell.column + dColumn)] || []).forEach(function(other) {
+          if (haversineMeters(cell.latitude, cell.longitude, other.latitude, other.longitude) <= settings.radiusMeters) {
+            neighbors.push(other);
+          }
+        });
+      }
+    }
+    return neighbors;
+  }
+  function isCore(neighbors) {
+    var weight = 0;
+    neighbors.forEach(function(neighbor) { weight += neighbor.pointIndexes.length; });
+    return weight >= settings.minPoints;
+  }
+
+  var clusterCount = 0;
+  cells.forEach(function(cell) {
+    if (cell.visited) { return; }
+    cell.visited = true;
+    var queue = findNeighbors(cell);
+    if (!isCore(queue)) { return; } // Noise, unless a later cluster reaches it as a border cell
+    var clusterId = clusterCount++;
+    cell.cluster = clusterId;
+    while (queue.length > 0) {
+      var next = queue.pop();
+      if (next.cluster === -1) { next.cluster = clusterId; }
+      if (next.visited) { continue; }
+      next.visited = true;
+      var around = findNeighbors(next);
+      if (isCore(around)) { Array.prototype.push.apply(queue, around); }
+    }
+  });
+
+  cells.forEach(function(cell) {
+    cell.pointIndexes.forEach(function(i) { clusterIds[i] = cell.cluster; });
+  });
+  return { clusterIds: clusterIds, clusterCount: clusterCount };
+}
+
+/**
+ * Computes each place's centroid, radius, visits and dwell time.
+ * @param {Object[]} points Points from readLocationPoints(), oldest first.
+ * @param {Object} clustering Result of clusterPlacePoints() for these points.
+ * @return {Object[]} Places { label, latitude, longitude, radiusMeters, pointCount, visitCount, dwellMillis, first, last },
+ *     busiest (longest dwell) first.
+ */
+function summarizePlaces(points, clustering) {
+  var places = [];
+  for (var c = 0; c < clustering.clusterCount; c++) {
+    places.push({ label: '', latSum: 0, lonSum: 0, pointCount: 0, visitCount: 0, dwellMillis: 0, first: null, last: null, points: [] });
+  }
+  var previousId = -1;
+  points.forEach(function(point, i) {
+    var clusterId = clustering.clusterIds[i];
+    if (clusterId !== -1) {
+      var place = places[clusterId];
+      if (clusterId === previousId) {
+        place.dwellMillis += point.timestamp.getTime() - points[i - 1].timestamp.getTime();
+      } else {
+        place.visitCount++;
+      }
+      place.latSum += point.latitude;
+      place.lonSum += point.longitude;
+      place.pointCount++;
+      place.first = place.first || point.timestamp;
+      place.last = point.timestamp;
+      place.points.push(point);
+    }
+    previousId = clusterId;
+  });
+
+  places.forEach(function(place) {
+    place.latitude = place.latSum / place.pointCount;
+    place.longitude = place.lonSum / place.pointCount;
+    place.radiusMeters = 0;
+    place.points.forEach(function(point) {
+      place.radiusMeters = Math.max(place.radiusMeters, haversineMeters(place.latitude, place.longitude, point.latitude, point.longitude));
+    });
+    delete place.latSum;
+    delete place.lonSum;
+    delete place.points;
+  });
+  places.sort(function(a, b) { return b.dwellMillis - a.dwellMillis || b.pointCount - a.pointCount; });
+  return places;
+}
+
+/**
+ * Moves the labels of a Tile's previous places to its new places: closest pairs first, each label to at most one
+ * place, and only to a place within the larger of the two radii (or the clustering radius) of the old one.
+ * @param {Object[]} oldPlaces The Tile's places from readPlaces().
+ * @param {Object[]} places New places from summarizePlaces(); their labels are set in place.
+ * @param {number} radiusMeters The clustering radius.
+ * @return {Object[]} Labeled old places that matched no new place, as places with zero counts, to keep their labels.
+ */
+function carryPlaceLabels(oldPlaces, places, radiusMeters) {
+  var labeled = oldPlaces.filter(function(old) { return old.label; });
+  var pairs = [];
+  labeled.forEach(function(old) {
+    places.forEach(function(place) {
+      var distance = haversineMeters(old.latitude, old.longitude, place.latitude, place.longitude);
+      if (distance <= Math.max(old.radiusMeters, place.radiusMeters, radiusMeters)) {
+        pairs.push({ old: old, place: place, distance: distance });
+      }
+    });
+  });
+  pairs.sort(function(a, b) { return a.distance - b.distance; });
+  var matched = [];
+  pairs.forEach(function(pair) {
+    if (matched.indexOf(pair.old) !== -1 || pair.place.label) { return; }
+    pair.place.label = pair.old.label;
+    matched.push(pair.old);
+  });
+  return labeled.filter(function(old) { return matched.indexOf(old) === -1; }).map(function(old) {
+    return { label: old.label, latitude: old.latitude, longitude: old.longitude, radiusMeters: old.radiusMeters,
+             pointCount: 0, visitCount: 0, dwellMillis: 0, first: null, last: null };
+  });
+}
+
+
+// --- Places Tab ---
+
+/**
+ * Reads the Places tab.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Places tab.
+ * @return {Object[]} Places { tile, label, latitude, longitude, radiusMeters, row } with the raw row; rows without
+ *     valid coordinates are skipped.
+ */
+function readPlaces(sheet) {
+  var values = sheet.getDataRange().getValues();
+  var places = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i].slice(0, PLACES_HEADERS.length);
+    var latitude = Number(row[2]);
+    var longitude = Number(row[3]);
+    if (!row[0] || row[2] === '' || row[3] === '' || isNaN(latitude) || isNaN(longitude)) { continue; }
+    places.push({
+      tile: String(row[0]),
+      label: String(row[1]).trim(),
+      latitude: latitude,
+      longitude: longitude,
+      radiusMeters: Number(row[4]) || 0,
+      row: row
+    });
+  }
+  return places;
+}
+
+/**
+ * @param {string} tileName The Tile name.
+ * @param {Object} place Place from summarizePlaces() or carryPlaceLabels().
+ * @return {Array} Row in PLACES_HEADERS order.
+ */
+function buildPlaceRow(tileName, place) {
+  return [
+    tileName,
+    place.label,
+    place.latitude,
+    place.longitude,
+    Math.round(place.radiusMeters),
+    place.pointCount,
+    place.visitCount,
+    Math.round(place.dwellMillis / 60000),
+    place.first || '',
+    place.last || ''
+  ];
+}
+
+/**
+ * Replaces the rows of the Places tab. Columns after the last header are left alone.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Places tab.
+ * @param {Array[]} rows Rows in PLACES_HEADERS order.
+ */
+function writePlaceRows(sheet, rows) {
+  var width = PLACES_HEADERS.length;
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, width).clearContent();
+  }
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, width).setValues(rows);
+  }
+}
+
+
+// --- Tagging New Points ---
+
+/**
+ * Returns the labeled places of every Tile from the Places tab, loading them once per execution.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the Places tab.
+ * @return {Object[]} Places as returned by readPlaces(), with a label.
+ */
+function getLabeledPlaces(ss) {
+  if (loadedLabeledPlaces) { return loadedLabeledPlaces; }
+  var sheet = ss.getSheetByName(PLACES_SHEET_NAME);
+  loadedLabeledPlaces = sheet ? readPlaces(sheet).filter(function(place) { return place.label; }) : [];
+  return loadedLabeledPlaces;
+}
+
+/**
+ * Finds the nearest labeled place whose radius, plus the clustering radius, contains a point.
+ * @param {Object[]} places Places from getLabeledPlaces().
+ * @param {number} latitude Latitude in degrees.
+ * @param {number} longitude Longitude in degrees.
+ * @param {number} radiusMeters The clustering radius.
+ * @return {string} The place label, or '' if no labeled place is near.
+ */
+function findNearestPlace(places, latitude, longitude, radiusMeters) {
+  var nearest = '';
+  var nearestDistance = Infinity;
+  places.forEach(function(place) {
+    var distance = haversineMeters(latitude, longitude, place.latitude, place.longitude);
+    if (distance <= place.radiusMeters + radiusMeters && distance < nearestDistance) {
+      nearest = place.label;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Fills the place column of location rows in place.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the Places tab.
+ * @param {Array[]} rows Rows from processHistoryData().
+ */
+function tagRowsWithPlaces(ss, rows) {
+  var places = getLabeledPlaces(ss);
+  var radiusMeters = getPlaceSettings().radiusMeters;
+  var placeIndex = getLocationColumnIndex('place');
+  var latIndex = getLocationColumnIndex('latitude');
+  var lonIndex = getLocationColumnIndex('longitude');
+  rows.forEach(function(row) {
+    row[placeIndex] = places.length > 0 ? findNearestPlace(places, row[latIndex], row[lonIndex], radiusMeters) : '';
+  });
+}
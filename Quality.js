@@ -0,0 +1,263 @@
+/**
+ * Tile Tracker - Outlier and jitter flagging.
+ *
+ * A cleaning pass that marks points in the flag column instead of deleting them,
+ * so the raw data stays auditable:
+ *   outlier      reaching the point and leaving it again both need an impossible
+ *                speed (QUALITY_MAX_SPEED_KMH), while going from the previous
+ *                good point straight to the next one does not. A single
+ *                community report far away is caught; a real long trip is not.
+ *   jitter       within QUALITY_JITTER_METERS of the last kept point, i.e. a
+ *                near-identical report from a Tile that has not moved.
+ *   downsampled  less than QUALITY_DOWNSAMPLE_SECONDS after the last kept point
+ *                (off unless that property is set).
+ *
+ * Only outliers are left out of zones, visits/trips, the daily summary and the
+ * dashboard; jitter and downsampled points still count there.
+ *
+ * The newest point cannot be checked against a following one yet, so each pass
+ * starts one point before the earliest new point and may revise that flag.
+ * reflagLocationQuality() reprocesses a whole tab, e.g. after changing settings.
+ */
+
+// --- Constants ---
+var QUALITY_FLAG_OUTLIER = 'outlier';
+var QUALITY_FLAG_JITTER = 'jitter';
+var QUALITY_FLAG_DOWNSAMPLED = 'downsampled';
+var DEFAULT_QUALITY_MAX_SPEED_KMH = 300;
+var DEFAULT_QUALITY_JITTER_METERS = 30;
+var DEFAULT_QUALITY_DOWNSAMPLE_SECONDS = 0; // 0 disables downsampling
+
+/**
+ * Flags newly appended rows (and re-checks the point before them), writing the flag column in place.
+ * The flag is also set on the addedRows arrays, so later steps in the same run can skip outliers.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {Array[]} addedRows Rows actually appended by updateSheet().
+ * @return {number|null} Epoch millis of the earliest point whose flag was (re)computed, or null if no rows were added.
+ */
+function flagLocationQuality(sheet, addedRows) {
+  if (addedRows.length === 0) { return null; }
+  var earliest = Math.min.apply(null, addedRows.map(function(row) { return row[0].getTime(); }));
+  var flags = applyQualityFlags(sheet, earliest);
+
+  var flagIndex = getLocationColumnIndex('flag');
+  addedRows.forEach(function(row) {
+    var flag = flags[row[0].getTime()];
+    row[flagIndex] = flag || '';
+  });
+  return Math.min.apply(null, [earliest].concat(Object.keys(flags).map(Number)));
+}
+
+/**
+ * Recomputes the flag column for a whole Tile tab, or for every configured Tile if no name is given.
+ * Skipped while an update holds the run lock (see Scheduler.js).
+ * @param {string=} tileName The Tile name as listed in the Tiles config.
+ */
+function reflagLocationQuality(tileName) {
+  var lock = acquireRunLock();
+  if (!lock) {
+    logMessage("An update is still running. Points were not re-flagged. Try again in a minute.");
+    return;
+  }
+  try {
+    reflagLocationQualityLocked(tileName);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs reflagLocationQuality() while holding the lock that keeps it from overlapping an update.
+ * @param {string=} tileName The Tile name as listed in the Tiles config.
+ */
+function reflagLocationQualityLocked(tileName) {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  getTileConfigs(ss).forEach(function(tileConfig) {
+    if (tileName && tileConfig.tileName !== tileName) { return; }
+    var sheet = ss.getSheetByName(tileConfig.sheetName);
+    if (!sheet || !ensureLocationSheetSchema(sheet)) { return; }
+    var flags = applyQualityFlags(sheet, 0);
+    var counts = {};
+    Object.keys(flags).forEach(function(key) { counts[flags[key] || 'ok'] = (counts[flags[key] || 'ok'] || 0) + 1; });
+    logMessage("Flagged '" + tileConfig.tileName + "': " + JSON.stringify(counts));
+  });
+}
+
+/**
+ * Recomputes flags for the points from just before a time onward and writes the changed block of the flag column.
+ * Only the rows from the time on are read, plus the rows before it that computeQualityFlags() needs as references.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {number} fromMillis Earliest timestamp whose flag must be (re)computed.
+ * @return {Object} Map of timestamp millis to flag for every point that was (re)computed.
+ */
+function applyQualityFlags(sheet, fromMillis) {
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) { return {}; }
+  var flagColumn = getLocationColumnIndex('flag') + 1;
+  var flagCells = {}; // Sheet row -> flag cell, for every row read
+  var firstRow = findLocationRows(sheet, fromMillis, SEGMENTS_LATEST_DATE.getTime()).firstRow;
+  var points = readQualityPoints(sheet, firstRow, lastRow, flagCells);
+
+  // Earlier rows, until they hold the point to re-check and its references
+  var before = [];
+  var end = firstRow - 1;
+  var size = LOCATION_CONTEXT_ROWS;
+  while (end >= 2 && (before.length === 0 || !hasQualityReferences(before, before.length - 1))) {
+    var blockStart = Math.max(2, end - size + 1);
+    before = readQualityPoints(sheet, blockStart, end, flagCells).concat(before);
+    end = blockStart - 1;
+    size *= 2;
+  }
+  points = before.concat(points);
+  var start = Math.max(0, before.length - 1); // Re-check the point before, which now has a following point
+
+  var computed = computeQualityFlags(points, start, getQualitySettings());
+  var result = {};
+  var firstChanged = null;
+  var lastChanged = null;
+  for (var k = start; k < points.length; k++) {
+    result[points[k].time] = computed[k - start];
+    if (computed[k - start] !== points[k].flag) {
+      flagCells[points[k].row] = computed[k - start];
+      firstChanged = firstChanged === null ? points[k].row : Math.min(firstChanged, points[k].row);
+      lastChanged = lastChanged === null ? points[k].row : Math.max(lastChanged, points[k].row);
+    }
+  }
+  if (firstChanged !== null) {
+    var block = [];
+    for (var row = firstChanged; row <= lastChanged; row++) { block.push([flagCells[row]]); }
+    sheet.getRange(firstChanged, flagColumn, block.length, 1).setValues(block);
+  }
+  return result;
+}
+
+/**
+ * Reads the timestamp, coordinates and flag of consecutive rows.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {number} firstRow First sheet row to read.
+ * @param {number} lastRow Last sheet row to read.
+ * @param {Object} flagCells Map of sheet row to flag cell value, filled in for every row read.
+ * @return {Object[]} Points { row, time, latitude, longitude, flag }, oldest first.
+ */
+function readQualityPoints(sheet, firstRow, lastRow, flagCells) {
+  if (lastRow < firstRow) { return []; }
+  var coordinates = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, 3).getValues();
+  var flagValues = sheet.getRange(firstRow, getLocationColumnIndex('flag') + 1, lastRow - firstRow + 1, 1).getValues();
+  var points = [];
+  for (var i = 0; i < coordinates.length; i++) {
+    flagCells[firstRow + i] = flagValues[i][0];
+    var timestamp = coordinates[i][0];
+    if (!(timestamp instanceof Date) || typeof coordinates[i][1] !== 'number' || typeof coordinates[i][2] !== 'number') { continue; }
+    points.push({ row: firstRow + i, time: timestamp.getTime(), latitude: coordinates[i][1], longitude: coordinates[i][2], flag: String(flagValues[i][0] || '') });
+  }
+  points.sort(function(a, b) { return a.time - b.time; });
+  return points;
+}
+
+/**
+ * @param {Object[]} points Points { time, latitude, longitude, flag }, oldest first.
+ * @param {number} start Index of the first point to compute.
+ * @return {boolean} True if the points before start include both references computeQualityFlags() looks for.
+ */
+function hasQualityReferences(points, start) {
+  var references = findQualityReferences(points, start);
+  return references.lastGood !== null && references.lastKept !== null;
+}
+
+/**
+ * Finds the reference points for computing flags from points[start] on.
+ * @param {Object[]} points Points { time, latitude, longitude, flag }, oldest first.
+ * @param {number} start Index of the first point to compute.
+ * @return {Object} { lastGood: last point before start that is not an outlier, lastKept: last unflagged point before
+ *     start }, each null if there is none.
+ */
+function findQualityReferences(points, start) {
+  var lastGood = null;
+  var lastKept = null;
+  for (var p = start - 1; p >= 0 && (lastGood === null || lastKept === null); p--) {
+    if (lastGood === null && points[p].flag !== QUALITY_FLAG_OUTLIER) { lastGood = points[p]; }
+    if (lastKept === null && points[p].flag === '') { lastKept = points[p]; }
+  }
+  return { lastGood: lastGood, lastKept: lastKept };
+}
+
+/**
+ * Computes flags for points[start..]. Earlier points keep their flags and provide the reference points.
+ * @param {Object[]} points Points { time, latitude, longitude, flag }, oldest first.
+ * @param {number} start Index of the first point to compute.
+ * @param {Object} settings Settings from getQualitySettings().
+ * @return {string[]} Flags for points[start..], '' for points that are kept as is.
+ */
+function computeQualityFlags(points, start, settings) {
+  var references = findQualityReferences(points, start);
+  var lastGood = references.lastGood; // Last point that is not an outlier, the reference for speed checks
+  var lastKept = references.lastKept; // Last unflagged point, the reference for jitter and downsampling
+
+  var flags = [];
+  for (var i = start; i < points.length; i++) {
+    var point = points[i];
+    var next = i + 1 < points.length ? points[i + 1] : null;
+    var flag = '';
+    if (lastGood && next &&
+        qualitySpeedKmh(lastGood, point) > settings.maxSpeedKmh &&
+        qualitySpeedKmh(point, next) > settings.maxSpeedKmh &&
+        qualitySpeedKmh(lastGood, next) <= settings.maxSpeedKmh) {
+      flag = QUALITY_FLAG_OUTLIER;
+    } else {
+      lastGood = point;
+      if (lastKept && settings.jitterMeters > 0 &&
+          haversineMeters(lastKept.latitude, lastKept.longitude, point.latitude, point.longitude) <= settings.jitterMeters) {
+        flag = QUALITY_FLAG_JITTER;
+      } else if (lastKept && settings.downsampleMs > 0 && point.time - lastKept.time < settings.downsampleMs) {
+        flag = QUALITY_FLAG_DOWNSAMPLED;
+      } else {
+        lastKept = point;
+      }
+    }
+    flags.push(flag);
+  }
+  return flags;
+}
+
+/**
+ * @param {Object} from Point { time, latitude, longitude }.
+ * @param {Object} to Later point.
+ * @return {number} Implied speed in km/h (time differences under a second count as one second).
+ */
+function qualitySpeedKmh(from, to) {
+  var hours = Math.max(Math.abs(to.time - from.time), 1000) / 3600000;
+  return haversineMeters(from.latitude, from.longitude, to.latitude, to.longitude) / 1000 / hours;
+}
+
+/**
+ * Reads the cleaning settings from script properties.
+ * @return {Object} { maxSpeedKmh: number, jitterMeters: number, downsampleMs: number }.
+ */
+function getQualitySettings() {
+  return {
+    maxSpeedKmh: readNumberProperty('QUALITY_MAX_SPEED_KMH', DEFAULT_QUALITY_MAX_SPEED_KMH),
+    jitterMeters: readNumberProperty('QUALITY_JITTER_METERS', DEFAULT_QUALITY_JITTER_METERS),
+    downsampleMs: readNumberProperty('QUALITY_DOWNSAMPLE_SECONDS', DEFAULT_QUALITY_DOWNSAMPLE_SECONDS) * 1000
+  };
+}
+
+/**
+ * @param {string} key Script property name.
+ * @param {number} defaultValue Used when the property is unset or not a non-negative number.
+ * @return {number} The property value.
+ */
+function readNumberProperty(key, defaultValue) {
+  var value = SCRIPT_PROPS.getProperty(key);
+  if (value == null || value === '') { return defaultValue; }
+  var num = Number(value);
+  return isNaN(num) || num < 0 ? defaultValue : num;
+}
+
+/**
+ * Whether a point should be used for zones, visits/trips, summaries and the dashboard.
+ * @param {Object} point Point from readLocationPoints().
+ * @return {boolean} False for outliers.
+ */
+function isUsableLocationPoint(point) {
+  return point.flag !== QUALITY_FLAG_OUTLIER;
+}
@@ -0,0 +1,204 @@
+/**
+ * Tile Tracker - Run history ("Runs" tab).
+ *
+ * Every run of updateTileLocationData() appends one row per Tile: when it ran,
+ * the HTTP status of each API step, how many points the API returned, how many
+ * were valid, how many rows were actually added, and the typed error if the
+ * Tile failed. A run that fails before reaching the Tiles (login, listing
+ * Tiles) gets a single row for "(all Tiles)". A run skipped because another
+ * one was still going gets a single "skipped" row (see Scheduler.js).
+ *
+ * Steps that can be called several times per Tile (details, history windows)
+ * list each distinct status once, e.g. "200, 429". Login and tile_states happen
+ * once per run and are repeated on each Tile's row.
+ */
+
+// --- Constants ---
+var RUNS_SHEET_NAME = 'Runs';
+var RUNS_HEADERS = ['run_id', 'started_at', 'ended_at', 'tile', 'status', 'login_http', 'tile_states_http', 'lookup_http',
+                    'history_http', 'points_returned', 'points_processed', 'rows_added', 'warnings_suppressed',
+                    'error_type', 'error_message'];
+var RUNS_MAX_ROWS = 5000; // Oldest rows are trimmed beyond this
+var RUN_STEP_COLUMNS = { login: 'login_http', tile_states: 'tile_states_http', details: 'lookup_http', history: 'history_http' };
+
+// Run being logged during this execution (see startRunLog)
+var currentRun = null;
+// Last run finished during this execution, for callers that report on it (see summarizeLastRun)
+var lastFinishedRun = null;
+
+/**
+ * Starts collecting the log for a run of updateTileLocationData().
+ */
+function startRunLog() {
+  currentRun = { id: Utilities.getUuid().substring(0, 8), startedAt: new Date(), steps: {}, tile: null, rows: [] };
+}
+
+/**
+ * Starts the log entry for one Tile. API statuses recorded until endTileRunLog() belong to it.
+ * @param {string} tileName The Tile name.
+ */
+function beginTileRunLog(tileName) {
+  if (!currentRun) { return; }
+  currentRun.tile = { name: tileName, startedAt: new Date(), steps: {}, returned: 0, processed: 0, added: 0, suppressed: 0 };
+}
+
+/**
+ * Records the HTTP status of an API step for the current Tile, or for the run if no Tile is active.
+ * Does nothing outside updateTileLocationData() (e.g. in updateDeviceInventory()).
+ * @param {string} step 'login', 'tile_states', 'details' or 'history'.
+ * @param {number|string} status HTTP status code, or a marker such as 'reused' or 'cached'.
+ */
+function recordApiStatus(step, status) {
+  if (!currentRun) { return; }
+  var steps = currentRun.tile ? currentRun.tile.steps : currentRun.steps;
+  var statuses = steps[step] || (steps[step] = []);
+  if (statuses.indexOf(String(status)) === -1) { statuses.push(String(status)); }
+}
+
+/**
+ * Adds the counts from one processHistoryData() call to the current Tile.
+ * @param {number} returned Entries in the API response.
+ * @param {number} processed Entries that were valid points.
+ * @param {number} suppressed Warnings that were not logged individually.
+ */
+function recordHistoryStats(returned, processed, suppressed) {
+  if (!currentRun || !currentRun.tile) { return; }
+  currentRun.tile.returned += returned;
+  currentRun.tile.processed += processed;
+  currentRun.tile.suppressed += suppressed;
+}
+
+/**
+ * Adds rows actually appended to the Tile's sheet (after de-duplication).
+ * @param {number} count Rows added.
+ */
+function recordRowsAdded(count) {
+  if (!currentRun || !currentRun.tile) { return; }
+  currentRun.tile.added += count;
+}
+
+/**
+ * Closes the current Tile's log entry.
+ * @param {Object|null} error apiError() describing the failure, or null if the Tile was updated.
+ */
+function endTileRunLog(error) {
+  if (!currentRun || !currentRun.tile) { return; }
+  var tile = currentRun.tile;
+  currentRun.rows.push(buildRunLogRow(tile.name, tile.startedAt, tile.steps, tile, error));
+  currentRun.tile = null;
+}
+
+/**
+ * Writes the run's rows to the "Runs" tab. Logging problems never fail the run.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {Object|null} error apiError() if the run stopped before updating the Tiles, otherwise null.
+ */
+function finishRunLog(ss, error) {
+  if (!currentRun) { return; }
+  var run = currentRun;
+  if (error || run.rows.length === 0) {
+    run.rows.push(buildRunLogRow(RUN_ALERT_SUBJECT, run.startedAt, {}, null, error));
+  }
+  currentRun = null;
+  lastFinishedRun = run;
+  run.rows.forEach(function(row) { row[0] = run.id; });
+
+  try {
+    var sheet = ss.getSheetByName(RUNS_SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(RUNS_SHEET_NAME);
+      sheet.appendRow(RUNS_HEADERS);
+      sheet.setFrozenRows(1);
+      logMessage("Created new sheet: " + RUNS_SHEET_NAME);
+    }
+    sheet.getRange(sheet.getLastRow() + 1, 1, run.rows.length, RUNS_HEADERS.length).setValues(run.rows);
+    var excess = sheet.getLastRow() - 1 - RUNS_MAX_ROWS;
+    if (excess > 0) {
+      sheet.deleteRows(2, excess);
+    }
+  } catch (e) {
+    logMessage("Error writing to sheet '" + RUNS_SHEET_NAME + "': " + e);
+  }
+}
+
+/**
+ * Records a run that did not start, e.g. because another run held the lock. Never fails.
+ * Appends with appendRow(), since the run holding the lock may be writing to the tab at the same time.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {string} reason Why the run was skipped.
+ */
+function recordSkippedRun(ss, reason) {
+  var row = buildRunLogRow(RUN_ALERT_SUBJECT, new Date(), {}, null, null);
+  row[0] = Utilities.getUuid().substring(0, 8);
+  row[RUNS_HEADERS.indexOf('status')] = 'skipped';
+  row[RUNS_HEADERS.indexOf('error_message')] = reason;
+  lastFinishedRun = { id: row[0], rows: [row] };
+  try {
+    var sheet = ss.getSheetByName(RUNS_SHEET_NAME);
+    if (!sheet) {
+      logMessage("Sheet '" + RUNS_SHEET_NAME + "' does not exist yet. Not recording the skipped run.");
+      return;
+    }
+    sheet.appendRow(row);
+  } catch (e) {
+    logMessage("Error writing to sheet '" + RUNS_SHEET_NAME + "': " + e);
+  }
+}
+
+/**
+ * Builds one row of the Runs tab. Run-level statuses (login, tile_states) fill the columns the Tile did not set itself.
+ * @param {string} tileName The Tile name, or RUN_ALERT_SUBJECT for a run-level row.
+ * @param {Date} startedAt When the Tile (or run) started.
+ * @param {Object} steps Statuses recorded for the Tile, keyed by step.
+ * @param {Object|null} counts { returned, processed, added, suppressed }, or null for a run-level row.
+ * @param {Object|null} error apiError(), or null on success.
+ * @return {Array} Row in RUNS_HEADERS order (run_id is filled in by finishRunLog()).
+ */
+function buildRunLogRow(tileName, startedAt, steps, counts, error) {
+  var runSteps = currentRun ? currentRun.steps : {};
+  var stepCells = {};
+  Object.keys(RUN_STEP_COLUMNS).forEach(function(step) {
+    var statuses = steps[step] || runSteps[step] || [];
+    stepCells[RUN_STEP_COLUMNS[step]] = statuses.join(', ');
+  });
+  return [
+    '',
+    startedAt,
+    new Date(),
+    tileName,
+    error ? 'error' : 'ok',
+    stepCells.login_http,
+    stepCells.tile_states_http,
+    stepCells.lookup_http,
+    stepCells.history_http,
+    counts ? counts.returned : '',
+    counts ? counts.processed : '',
+    counts ? counts.added : '',
+    counts ? counts.suppressed : '',
+    error ? error.type : '',
+    error ? error.message : ''
+  ];
+}
+
+/**
+ * Describes the last run finished in this execution, one line per row it logged.
+ * @return {string[]} e.g. "Milkdud3: ok, 12 row(s) added", "Milkdud4: error (tile_not_found) No Tile named ..." or
+ *     "(all Tiles): skipped, Another update was still running.".
+ */
+function summarizeLastRun() {
+  if (!lastFinishedRun) { return []; }
+  var tileIndex = RUNS_HEADERS.indexOf('tile');
+  var statusIndex = RUNS_HEADERS.indexOf('status');
+  var addedIndex = RUNS_HEADERS.indexOf('rows_added');
+  var typeIndex = RUNS_HEADERS.indexOf('error_type');
+  var messageIndex = RUNS_HEADERS.indexOf('error_message');
+  return lastFinishedRun.rows.map(function(row) {
+    if (row[statusIndex] === 'skipped') {
+      return row[tileIndex] + ": skipped, " + row[messageIndex];
+    }
+    if (row[typeIndex]) {
+      return row[tileIndex] + ": error (" + row[typeIndex] + ") " + row[messageIndex];
+    }
+    return row[tileIndex] + ": ok" + (row[addedIndex] !== '' ? ", " + row[addedIndex] + " row(s) added" : "");
+  });
+}
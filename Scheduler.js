@@ -0,0 +1,266 @@
+/**
+ * Tile Tracker - Trigger scheduling, overlap protection, quiet hours and backoff.
+ *
+ * installSchedule() replaces the tracker's time-driven triggers with a single
+ * one for scheduledUpdate(). It fires at the shortest interval_minutes of the
+ * enabled Tiles (rounded down to an interval Apps Script supports), and each
+ * run only updates the Tiles that are due, e.g. the car every 10 minutes and
+ * the keys every hour. A Tile is due once its interval has passed since its
+ * last attempt, give or take half a trigger interval since triggers do not fire
+ * exactly on time.
+ *
+ * Scheduled runs are skipped during QUIET_HOURS, e.g. "23:00-06:30" in the
+ * spreadsheet's time zone (several ranges can be separated by commas). After
+ * BACKOFF_AFTER_FAILURES failures in a row, a Tile (or the whole run, when the
+ * login fails) waits twice as long after each further failure, up to
+ * MAX_BACKOFF_MINUTES. Failure streaks are the ones kept for alerts (see
+ * Alerts.js); attempt times are kept in the SCHEDULE_STATE script property.
+ *
+ * Every update, scheduled or manual, holds the script lock, so two executions
+ * never write to the same tabs at once. A run that cannot get the lock is
+ * skipped and recorded in the Runs tab.
+ */
+
+// --- Constants ---
+var SCHEDULE_STATE_KEY = 'SCHEDULE_STATE';
+var SCHEDULE_HANDLER = 'scheduledUpdate';
+var LEGACY_SCHEDULE_HANDLERS = ['updateTileLocationData']; // Triggers created by hand before the scheduler existed
+var TRIGGER_INTERVALS_MINUTES = [1, 5, 10, 15, 30, 60, 120, 240, 360, 480, 720]; // everyMinutes() / everyHours() values
+var DEFAULT_BACKOFF_AFTER_FAILURES = 2; // Overridable with BACKOFF_AFTER_FAILURES
+var DEFAULT_MAX_BACKOFF_MINUTES = 6 * 60; // Overridable with MAX_BACKOFF_MINUTES
+var RUN_LOCK_WAIT_MS = 10 * 1000; // How long a run waits for another one to finish before it is skipped
+
+
+// --- Triggers ---
+
+/**
+ * Replaces the tracker's update triggers with one for scheduledUpdate() at the shortest enabled Tile interval.
+ * Run again after changing interval_minutes in the Tiles config.
+ * @return {string[]} What was done.
+ */
+function installSchedule() {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var intervals = getTileConfigs(ss).filter(function(config) { return config.enabled; }).map(function(config) {
+    return config.intervalMinutes;
+  });
+  if (intervals.length === 0) {
+    logMessage("ERROR: No enabled Tiles configured. Nothing to schedule.");
+    return ["No enabled Tiles configured. Nothing to schedule."];
+  }
+
+  var tickMinutes = chooseTriggerInterval(Math.min.apply(null, intervals));
+  var lines = [];
+  var removed = removeSchedule();
+  if (removed > 0) { lines.push("Removed " + removed + " existing update trigger(s)."); }
+
+  var builder = ScriptApp.newTrigger(SCHEDULE_HANDLER).timeBased();
+  if (tickMinutes < 60) {
+    builder.everyMinutes(tickMinutes);
+  } else {
+    builder.everyHours(tickMinutes / 60);
+  }
+  builder.create();
+
+  var state = loadScheduleState();
+  state.tickMinutes = tickMinutes;
+  saveScheduleState(state);
+  lines.push("Installed a trigger for " + SCHEDULE_HANDLER + "() every " + tickMinutes + " minute(s).");
+  logMessage(lines.join(" "));
+  return lines;
+}
+
+/**
+ * Deletes the triggers for scheduledUpdate(), and for updateTileLocationData() if one was created by hand.
+ * @return {number} Number of triggers deleted.
+ */
+function removeSchedule() {
+  var handlers = [SCHEDULE_HANDLER].concat(LEGACY_SCHEDULE_HANDLERS);
+  var removed = 0;
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (handlers.indexOf(trigger.getHandlerFunction()) === -1) { return; }
+    ScriptApp.deleteTrigger(trigger);
+    removed++;
+  });
+  logMessage("Removed " + removed + " update trigger(s).");
+  return removed;
+}
+
+/**
+ * @param {number} minutes The shortest Tile interval.
+ * @return {number} The longest supported trigger interval that is not longer, in minutes.
+ */
+function chooseTriggerInterval(minutes) {
+  var chosen = TRIGGER_INTERVALS_MINUTES[0];
+  TRIGGER_INTERVALS_MINUTES.forEach(function(interval) {
+    if (interval <= minutes) { chosen = interval; }
+  });
+  return chosen;
+}
+
+
+// --- Scheduled Runs ---
+
+/**
+ * Trigger entry point installed by installSchedule(): updates the Tiles that are due, unless it is quiet time.
+ */
+function scheduledUpdate() {
+  if (!SPREADSHEET_ID) {
+    logMessage("ERROR: SPREADSHEET_ID is not set. Skipping the scheduled update.");
+    return;
+  }
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var now = new Date();
+  if (isQuietTime(now, ss.getSpreadsheetTimeZone())) {
+    logMessage("Quiet hours (" + SCRIPT_PROPS.getProperty('QUIET_HOURS') + "). Skipping the scheduled update.");
+    return;
+  }
+
+  var state = loadScheduleState();
+  var failures = loadAlertState().failures;
+  var configs = getTileConfigs(ss).filter(function(config) { return config.enabled; });
+  if (configs.length === 0) {
+    logMessage("No enabled Tiles configured. Nothing to update.");
+    return;
+  }
+  var shortest = Math.min.apply(null, configs.map(function(config) { return config.intervalMinutes; }));
+  var tickMinutes = state.tickMinutes || chooseTriggerInterval(shortest);
+  if (shortest < tickMinutes) {
+    logMessage("Warning: A Tile's interval (" + shortest + " min) is shorter than the trigger's (" + tickMinutes +
+               " min). Run installSchedule() again to apply it.");
+  }
+
+  // The run as a whole only waits when it is backing off, e.g. after failed logins
+  if (isBackingOff(RUN_ALERT_SUBJECT, tickMinutes, failures) &&
+      !isUpdateDue(RUN_ALERT_SUBJECT, tickMinutes, tickMinutes, state, failures, now)) {
+    logMessage("Backing off after " + failures[RUN_ALERT_SUBJECT].count + " failed run(s) in a row. Skipping the scheduled update.");
+    return;
+  }
+  var due = configs.filter(function(config) {
+    var isDue = isUpdateDue(config.tileName, config.intervalMinutes, tickMinutes, state, failures, now);
+    if (!isDue && isBackingOff(config.tileName, config.intervalMinutes, failures)) {
+      logMessage("Backing off '" + config.tileName + "' after " + failures[config.tileName].count + " failure(s) in a row.");
+    }
+    return isDue;
+  });
+  if (due.length === 0) {
+    logMessage("No Tiles are due for an update.");
+    return;
+  }
+  updateTileLocationData(due.map(function(config) { return config.tileName; }));
+}
+
+/**
+ * Whether a Tile (or the run as a whole) is due: its interval, lengthened by backoff, has passed since its last attempt.
+ * @param {string} subject Tile name, or RUN_ALERT_SUBJECT.
+ * @param {number} intervalMinutes The regular interval.
+ * @param {number} tickMinutes The trigger interval; half of it is allowed as slack.
+ * @param {Object} state Schedule state from loadScheduleState().
+ * @param {Object} failures Failure streaks from loadAlertState().
+ * @param {Date} now The current time.
+ * @return {boolean}
+ */
+function isUpdateDue(subject, intervalMinutes, tickMinutes, state, failures, now) {
+  var lastAttempt = state.attempts[subject];
+  if (!lastAttempt) { return true; }
+  var waitMinutes = getBackoffMinutes(intervalMinutes, failures[subject] ? failures[subject].count : 0);
+  return now.getTime() - lastAttempt >= (waitMinutes - tickMinutes / 2) * 60 * 1000;
+}
+
+/**
+ * @param {string} subject Tile name, or RUN_ALERT_SUBJECT.
+ * @param {number} intervalMinutes The regular interval.
+ * @param {Object} failures Failure streaks from loadAlertState().
+ * @return {boolean} True if the subject's failure streak lengthens its interval.
+ */
+function isBackingOff(subject, intervalMinutes, failures) {
+  return !!failures[subject] && getBackoffMinutes(intervalMinutes, failures[subject].count) > intervalMinutes;
+}
+
+/**
+ * @param {number} intervalMinutes The regular interval.
+ * @param {number} failureCount Failures in a row.
+ * @return {number} Minutes to wait after the last attempt: the interval, doubled for each failure past the threshold.
+ */
+function getBackoffMinutes(intervalMinutes, failureCount) {
+  var after = readNumberProperty('BACKOFF_AFTER_FAILURES', DEFAULT_BACKOFF_AFTER_FAILURES);
+  if (failureCount < after) { return intervalMinutes; }
+  var maxMinutes = readNumberProperty('MAX_BACKOFF_MINUTES', DEFAULT_MAX_BACKOFF_MINUTES);
+  return Math.max(intervalMinutes, Math.min(intervalMinutes * Math.pow(2, failureCount - after + 1), maxMinutes));
+}
+
+/**
+ * Records that an update of a Tile (or of the run as a whole) was started, for isUpdateDue().
+ * @param {string} subject Tile name, or RUN_ALERT_SUBJECT.
+ */
+function recordUpdateAttempt(subject) {
+  var state = loadScheduleState();
+  state.attempts[subject] = Date.now();
+  saveScheduleState(state);
+}
+
+/**
+ * @return {Object} Schedule state { tickMinutes: number|undefined, attempts: Object }.
+ */
+function loadScheduleState() {
+  var state = tryParseJson(SCRIPT_PROPS.getProperty(SCHEDULE_STATE_KEY) || '') || {};
+  state.attempts = state.attempts || {};
+  return state;
+}
+
+/**
+ * @param {Object} state Schedule state from loadScheduleState().
+ */
+function saveScheduleState(state) {
+  SCRIPT_PROPS.setProperty(SCHEDULE_STATE_KEY, JSON.stringify(state));
+}
+
+
+// --- Quiet Hours ---
+
+/**
+ * Whether a time falls within the QUIET_HOURS script property, e.g. "23:00-06:30" or "12:00-13:00, 22:00-07:00".
+ * Ranges that end before they start wrap around midnight. Unreadable ranges are logged and ignored.
+ * @param {Date} date The time to check.
+ * @param {string} timeZone Time zone the hours are given in.
+ * @return {boolean}
+ */
+function isQuietTime(date, timeZone) {
+  var value = SCRIPT_PROPS.getProperty('QUIET_HOURS');
+  if (!value) { return false; }
+  var minute = parseMinuteOfDay(Utilities.formatDate(date, timeZone, 'HH:mm'));
+  return value.split(',').some(function(range) {
+    var parts = range.split('-');
+    var start = parts.length === 2 ? parseMinuteOfDay(parts[0]) : null;
+    var end = parts.length === 2 ? parseMinuteOfDay(parts[1]) : null;
+    if (start === null || end === null) {
+      logMessage("Warning: Ignoring QUIET_HOURS range '" + range.trim() + "'. Use HH:mm-HH:mm.");
+      return false;
+    }
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+  });
+}
+
+/**
+ * @param {string} text e.g. "06:30" or "6".
+ * @return {number|null} Minutes since midnight, or null if unreadable.
+ */
+function parseMinuteOfDay(text) {
+  var match = /^\s*(\d{1,2})(?::(\d{2}))?\s*$/.exec(text);
+  if (!match) { return null; }
+  var hours = Number(match[1]);
+  var minutes = match[2] ? Number(match[2]) : 0;
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) { return null; }
+  return hours * 60 + minutes;
+}
+
+
+// --- Overlap Protection ---
+
+/**
+ * Takes the script lock that keeps updates, archiving and the rebuild functions from running at the same time.
+ * @return {GoogleAppsScript.Lock.Lock|null} The held lock, to be released by the caller, or null if another run holds it.
+ */
+function acquireRunLock() {
+  var lock = LockService.getScriptLock();
+  return lock.tryLock(RUN_LOCK_WAIT_MS) ? lock : null;
+}
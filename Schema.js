@@ -0,0 +1,208 @@
+/**
+ * Tile Tracker - Location sheet schema and migrations.
+ *
+ * Each Tile tab starts with a header row. The schema version is kept in a note on
+ * cell A1; tabs created before versioning (the original three-column layout) have
+ * no note and are detected from their headers. Columns are only ever appended, so
+ * migrating a tab in place means adding the missing headers: existing rows keep
+ * their values and simply have blank cells in the new columns.
+ */
+
+// --- Constants ---
+var LOCATION_SCHEMA_VERSION = 5;
+var LOCATION_SCHEMA_NOTE_PREFIX = 'Tile Tracker schema v';
+var RAW_JSON_MAX_LENGTH = 45000; // Stay under the 50,000 character cell limit
+
+// Columns in sheet order, with the schema version that introduced each one
+var LOCATION_COLUMNS = [
+  { name: 'timestamp', since: 1 },
+  { name: 'latitude', since: 1 },
+  { name: 'longitude', since: 1 },
+  { name: 'accuracy', since: 2 },  // Horizontal accuracy in meters
+  { name: 'altitude', since: 2 },
+  { name: 'speed', since: 2 },
+  { name: 'course', since: 2 },
+  { name: 'source', since: 2 },    // 'owner', 'community' or the raw source reported by the API
+  { name: 'raw_json', since: 2 },  // Only filled when the STORE_RAW_JSON script property is true
+  { name: 'zone', since: 3 },      // Geofence zone containing the point (see Zones.js)
+  { name: 'flag', since: 4 },      // '' or 'outlier', 'jitter', 'downsampled' (see Quality.js)
+  { name: 'place', since: 5 }      // Nearest labeled place (see Places.js)
+];
+
+/**
+ * Returns the header names for a schema version.
+ * @param {number=} version Schema version (defaults to the current one).
+ * @return {string[]} Header names in sheet order.
+ */
+function getLocationHeaders(version) {
+  var target = version || LOCATION_SCHEMA_VERSION;
+  return LOCATION_COLUMNS.filter(function(column) { return column.since <= target; })
+                         .map(function(column) { return column.name; });
+}
+
+/**
+ * Returns the 0-based index of a location column in the current schema.
+ * @param {string} name Column name, e.g. 'accuracy'.
+ * @return {number} Column index, or -1 if unknown.
+ */
+function getLocationColumnIndex(name) {
+  return getLocationHeaders().indexOf(name);
+}
+
+/**
+ * Makes sure a Tile tab has the current header row, creating or migrating it in place.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @return {boolean} True if the sheet is on the current schema, false if its headers were not recognized.
+ */
+function ensureLocationSheetSchema(sheet) {
+  var headers = getLocationHeaders();
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    setLocationSchemaVersion(sheet, LOCATION_SCHEMA_VERSION);
+    sheet.setFrozenRows(1);
+    return true;
+  }
+
+  var version = getLocationSchemaVersion(sheet);
+  if (version === null) {
+    logMessage("ERROR: Sheet '" + sheet.getName() + "' has an unrecognized header row (expected it to start with " +
+               getLocationHeaders(1).join(", ") + "). Not migrating or writing to it.");
+    return false;
+  }
+  while (version < LOCATION_SCHEMA_VERSION) {
+    logMessage("Migrating sheet '" + sheet.getName() + "' from schema v" + version + " to v" + (version + 1) + ".");
+    migrateLocationSheet(sheet, version, version + 1);
+    version++;
+    setLocationSchemaVersion(sheet, version);
+  }
+  return true;
+}
+
+/**
+ * Reads the schema version of a Tile tab from the A1 note, or infers it from the header row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @return {number|null} Schema version, or null if the headers do not match any version.
+ */
+function getLocationSchemaVersion(sheet) {
+  var note = sheet.getRange(1, 1).getNote();
+  if (note && note.indexOf(LOCATION_SCHEMA_NOTE_PREFIX) === 0) {
+    var noted = parseInt(note.substring(LOCATION_SCHEMA_NOTE_PREFIX.length), 10);
+    if (!isNaN(noted)) { return noted; }
+  }
+
+  // No note: match the header row against each known version, newest first
+  var lastColumn = Math.max(sheet.getLastColumn(), 1);
+  var header = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(function(h) {
+    return String(h).trim().toLowerCase();
+  });
+  for (var version = LOCATION_SCHEMA_VERSION; version >= 1; version--) {
+    var expected = getLocationHeaders(version);
+    var matches = expected.every(function(name, i) { return header[i] === name; });
+    if (matches) { return version; }
+  }
+  return null;
+}
+
+/**
+ * Records the schema version in the A1 note.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {number} version Schema version.
+ */
+function setLocationSchemaVersion(sheet, version) {
+  sheet.getRange(1, 1).setNote(LOCATION_SCHEMA_NOTE_PREFIX + version + " (do not edit; used for header migrations)");
+}
+
+/**
+ * Migrates a Tile tab by one schema version. Columns are append-only, so every step adds the new headers.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {number} fromVersion Current version.
+ * @param {number} toVersion Target version (fromVersion + 1).
+ */
+function migrateLocationSheet(sheet, fromVersion, toVersion) {
+  var oldHeaders = getLocationHeaders(fromVersion);
+  var newHeaders = getLocationHeaders(toVersion);
+  var added = newHeaders.slice(oldHeaders.length);
+  if (added.length > 0) {
+    sheet.getRange(1, oldHeaders.length + 1, 1, added.length).setValues([added]);
+  }
+}
+
+/**
+ * Whether to keep the full API entry as JSON in the raw_json column (STORE_RAW_JSON script property).
+ * @return {boolean}
+ */
+function isRawJsonEnabled() {
+  return parseConfigBoolean(SCRIPT_PROPS.getProperty('STORE_RAW_JSON'), false);
+}
+
+/**
+ * Builds a sheet row from one location_updates entry whose timestamp and coordinates were already validated.
+ * @param {Object} entry The raw API entry.
+ * @param {Date} timestampDate The point's timestamp.
+ * @param {number} latitude Latitude in degrees.
+ * @param {number} longitude Longitude in degrees.
+ * @param {boolean} includeRawJson Whether to fill the raw_json column.
+ * @return {Array} Row in LOCATION_COLUMNS order. Missing values are empty strings.
+ */
+function buildLocationRow(entry, timestampDate, latitude, longitude, includeRawJson) {
+  var rawJson = '';
+  if (includeRawJson) {
+    rawJson = JSON.stringify(entry);
+    if (rawJson.length > RAW_JSON_MAX_LENGTH) { rawJson = rawJson.substring(0, RAW_JSON_MAX_LENGTH); }
+  }
+  return [
+    timestampDate,
+    latitude,
+    longitude,
+    toOptionalNumber(firstDefined(entry, ['horizontal_accuracy', 'accuracy', 'precision', 'raw_precision'])),
+    toOptionalNumber(firstDefined(entry, ['altitude'])),
+    toOptionalNumber(firstDefined(entry, ['speed'])),
+    toOptionalNumber(firstDefined(entry, ['course', 'heading', 'bearing'])),
+    describeLocationSource(entry),
+    rawJson,
+    '', // zone, filled by tagRowsWithZones()
+    '', // flag, filled by flagLocationQuality()
+    ''  // place, filled by tagRowsWithPlaces()
+  ];
+}
+
+/**
+ * Describes who reported a point: the owner's phone, the community network, or the raw value the API gave.
+ * @param {Object} entry The raw API entry.
+ * @return {string} 'owner', 'community', the raw source string, or '' if unknown.
+ */
+function describeLocationSource(entry) {
+  var ownerFlag = firstDefined(entry, ['is_owner', 'owner_reported', 'reported_by_owner']);
+  if (ownerFlag === true || ownerFlag === 'true') { return 'owner'; }
+  if (ownerFlag === false || ownerFlag === 'false') { return 'community'; }
+  var source = firstDefined(entry, ['source', 'location_source', 'client_type', 'reporter_type']);
+  if (source == null) { return ''; }
+  var normalized = String(source).trim().toLowerCase();
+  if (/owner|self|my_phone|mine/.test(normalized)) { return 'owner'; }
+  if (/community|network|crowd|other/.test(normalized)) { return 'community'; }
+  return String(source);
+}
+
+/**
+ * Returns the first non-null value among the given keys.
+ * @param {Object} entry The object to read.
+ * @param {string[]} keys Candidate keys, in order of preference.
+ * @return {*} The value, or null if none is set.
+ */
+function firstDefined(entry, keys) {
+  for (var i = 0; i < keys.length; i++) {
+    if (entry[keys[i]] != null && entry[keys[i]] !== '') { return entry[keys[i]]; }
+  }
+  return null;
+}
+
+/**
+ * Converts a value to a number for a sheet cell.
+ * @param {*} value Raw value.
+ * @return {number|string} The number, or '' if missing or not numeric.
+ */
+function toOptionalNumber(value) {
+  if (value == null || value === '') { return ''; }
+  var num = Number(value);
+  return isNaN(num) ? '' : num;
+}
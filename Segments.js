@@ -0,0 +1,307 @@
+/**
+ * Tile Tracker - Visits and trips.
+ *
+ * Splits each Tile's points into visits (the Tile stayed within
+ * VISIT_RADIUS_METERS of the visit's centroid for at least VISIT_MIN_MINUTES)
+ * and trips (the points between two visits, including the last point of one
+ * visit and the first point of the next). Results go to the "Visits" and
+ * "Trips" tabs.
+ *
+ * Outliers (see Quality.js) are skipped. Segmentation is incremental: after new
+ * rows are added, only the segments from the latest visit that ended before the
+ * earliest new or re-flagged point onward are deleted and recomputed. That
+ * visit's points are unchanged, so recomputing from its start always yields a
+ * visit starting at the same point, and the trip leading into it stays valid.
+ * rebuildSegments() recomputes a Tile's whole history, e.g. after changing the
+ * thresholds.
+ *
+ * The Tile's tab and the Visits/Trips tabs are only read from their end back to
+ * that visit, so keep the Visits and Trips tabs in the order they are written.
+ */
+
+// --- Constants ---
+var VISITS_SHEET_NAME = 'Visits';
+var VISITS_HEADERS = ['tile', 'start', 'end', 'duration_min', 'center_latitude', 'center_longitude', 'point_count', 'zone'];
+var TRIPS_SHEET_NAME = 'Trips';
+var TRIPS_HEADERS = ['tile', 'start', 'end', 'duration_min', 'start_latitude', 'start_longitude', 'end_latitude', 'end_longitude',
+                     'distance_m', 'straight_line_m', 'point_count'];
+var DEFAULT_VISIT_MIN_MINUTES = 10;   // Overridable with the VISIT_MIN_MINUTES script property
+var DEFAULT_VISIT_RADIUS_METERS = 100; // Overridable with the VISIT_RADIUS_METERS script property
+var SEGMENTS_LATEST_DATE = new Date(8.64e15); // Largest valid Date, used as an open range end
+
+/**
+ * Updates the Visits and Trips tabs for a Tile after rows were appended to its sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {string} tileName The Tile name.
+ * @param {number|null} dirtyFrom Epoch millis of the earliest new or re-flagged point (from flagLocationQuality()),
+ *     or null if nothing changed.
+ */
+function updateSegments(sheet, tileName, dirtyFrom) {
+  if (dirtyFrom === null) { return; }
+  try {
+    var ss = sheet.getParent();
+    var visitsSheet = getSegmentSheet(ss, VISITS_SHEET_NAME, VISITS_HEADERS);
+    var resumeFrom = findSegmentResumePoint(visitsSheet, tileName, dirtyFrom);
+    recomputeSegments(sheet, tileName, resumeFrom);
+  } catch (e) {
+    logMessage("Error updating visits and trips for '" + tileName + "': " + e);
+  }
+}
+
+/**
+ * Recomputes all visits and trips for one Tile, or for every configured Tile if no name is given.
+ * Run from the editor after changing VISIT_MIN_MINUTES or VISIT_RADIUS_METERS.
+ * Skipped while an update holds the run lock (see Scheduler.js).
+ * @param {string=} tileName The Tile name as listed in the Tiles config.
+ */
+function rebuildSegments(tileName) {
+  var lock = acquireRunLock();
+  if (!lock) {
+    logMessage("An update is still running. Visits and trips were not rebuilt. Try again in a minute.");
+    return;
+  }
+  try {
+    rebuildSegmentsLocked(tileName);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs rebuildSegments() while holding the lock that keeps it from overlapping an update.
+ * @param {string=} tileName The Tile name as listed in the Tiles config.
+ */
+function rebuildSegmentsLocked(tileName) {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  getTileConfigs(ss).forEach(function(tileConfig) {
+    if (tileName && tileConfig.tileName !== tileName) { return; }
+    var sheet = ss.getSheetByName(tileConfig.sheetName);
+    if (!sheet) { return; }
+    recomputeSegments(sheet, tileConfig.tileName, null);
+  });
+}
+
+/**
+ * Deletes a Tile's segments starting at or after resumeFrom and recomputes them from the sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {string} tileName The Tile name.
+ * @param {number|null} resumeFrom Epoch millis to recompute from, or null for the whole history.
+ */
+function recomputeSegments(sheet, tileName, resumeFrom) {
+  var ss = sheet.getParent();
+  var visitsSheet = getSegmentSheet(ss, VISITS_SHEET_NAME, VISITS_HEADERS);
+  var tripsSheet = getSegmentSheet(ss, TRIPS_SHEET_NAME, TRIPS_HEADERS);
+  var from = resumeFrom === null ? 0 : resumeFrom;
+  deleteSegmentRows(visitsSheet, tileName, from);
+  deleteSegmentRows(tripsSheet, tileName, from);
+
+  var points = readLocationPointsWithArchive(sheet, new Date(from), SEGMENTS_LATEST_DATE).filter(isUsableLocationPoint);
+  var segments = segmentPoints(points, getSegmentSettings());
+  var visitRows = [];
+  var tripRows = [];
+  segments.forEach(function(segment) {
+    if (segment.type === 'visit') {
+      visitRows.push(buildVisitRow(tileName, segment.points));
+    } else {
+      tripRows.push(buildTripRow(tileName, segment.points));
+    }
+  });
+  appendSegmentRows(visitsSheet, visitRows, VISITS_HEADERS.length);
+  appendSegmentRows(tripsSheet, tripRows, TRIPS_HEADERS.length);
+  logMessage("Segments for '" + tileName + "'" + (resumeFrom === null ? " (full history)" : " since " + new Date(from).toISOString()) +
+             ": " + visitRows.length + " visit(s), " + tripRows.length + " trip(s) from " + points.length + " point(s).");
+}
+
+/**
+ * Reads the visit thresholds from script properties.
+ * @return {Object} { minDurationMs: number, radiusMeters: number }.
+ */
+function getSegmentSettings() {
+  var minutes = Number(SCRIPT_PROPS.getProperty('VISIT_MIN_MINUTES') || DEFAULT_VISIT_MIN_MINUTES);
+  if (isNaN(minutes) || minutes <= 0) { minutes = DEFAULT_VISIT_MIN_MINUTES; }
+  var radius = Number(SCRIPT_PROPS.getProperty('VISIT_RADIUS_METERS') || DEFAULT_VISIT_RADIUS_METERS);
+  if (isNaN(radius) || radius <= 0) { radius = DEFAULT_VISIT_RADIUS_METERS; }
+  return { minDurationMs: minutes * 60 * 1000, radiusMeters: radius };
+}
+
+/**
+ * Splits points into visits and trips. A visit grows from a point while each next point is within
+ * the radius of the running centroid; it counts if it spans at least the minimum duration.
+ * @param {Object[]} points Points from readLocationPoints(), oldest first.
+ * @param {Object} settings Settings from getSegmentSettings().
+ * @return {Object[]} Segments { type: 'visit'|'trip', points: Object[] } in time order.
+ */
+function segmentPoints(points, settings) {
+  var segments = [];
+  var tripStart = 0; // Index where the current trip starts (the last point of the previous visit, or the first point)
+  var i = 0;
+  while (i < points.length) {
+    var sumLat = points[i].latitude;
+    var sumLon = points[i].longitude;
+    var j = i + 1;
+    while (j < points.length) {
+      var count = j - i;
+      if (haversineMeters(sumLat / count, sumLon / count, points[j].latitude, points[j].longitude) > settings.radiusMeters) { break; }
+      sumLat += points[j].latitude;
+      sumLon += points[j].longitude;
+      j++;
+    }
+
+    if (points[j - 1].timestamp.getTime() - points[i].timestamp.getTime() >= settings.minDurationMs) {
+      if (i > tripStart) {
+        segments.push({ type: 'trip', points: points.slice(tripStart, i + 1) });
+      }
+      segments.push({ type: 'visit', points: points.slice(i, j) });
+      tripStart = j - 1;
+      i = j;
+    } else {
+      i++;
+    }
+  }
+  if (points.length - 1 > tripStart) {
+    segments.push({ type: 'trip', points: points.slice(tripStart) }); // Trip still in progress
+  }
+  return segments;
+}
+
+/**
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points The visit's points.
+ * @return {Array} Row in VISITS_HEADERS order.
+ */
+function buildVisitRow(tileName, points) {
+  var first = points[0];
+  var last = points[points.length - 1];
+  var sumLat = 0;
+  var sumLon = 0;
+  var zoneCounts = {};
+  points.forEach(function(point) {
+    sumLat += point.latitude;
+    sumLon += point.longitude;
+    if (point.zone) { zoneCounts[point.zone] = (zoneCounts[point.zone] || 0) + 1; }
+  });
+  var zone = Object.keys(zoneCounts).sort(function(a, b) { return zoneCounts[b] - zoneCounts[a]; })[0] || '';
+  return [tileName, first.timestamp, last.timestamp, segmentDurationMinutes(first, last),
+          sumLat / points.length, sumLon / points.length, points.length, zone];
+}
+
+/**
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points The trip's points, including the visit endpoints on either side.
+ * @return {Array} Row in TRIPS_HEADERS order.
+ */
+function buildTripRow(tileName, points) {
+  var first = points[0];
+  var last = points[points.length - 1];
+  var distance = 0;
+  for (var i = 1; i < points.length; i++) {
+    distance += haversineMeters(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+  var straightLine = haversineMeters(first.latitude, first.longitude, last.latitude, last.longitude);
+  return [tileName, first.timestamp, last.timestamp, segmentDurationMinutes(first, last),
+          first.latitude, first.longitude, last.latitude, last.longitude,
+          Math.round(distance), Math.round(straightLine), points.length];
+}
+
+/**
+ * @param {Object} first First point.
+ * @param {Object} last Last point.
+ * @return {number} Minutes between the points, to one decimal.
+ */
+function segmentDurationMinutes(first, last) {
+  return Math.round((last.timestamp.getTime() - first.timestamp.getTime()) / 6000) / 10;
+}
+
+
+// --- Segment Tabs ---
+
+/**
+ * Returns a segment tab, creating it with headers if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {string} name Tab name.
+ * @param {string[]} headers Header row.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The tab.
+ */
+function getSegmentSheet(ss, name, headers) {
+  var sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    sheet.appendRow(headers);
+    sheet.setFrozenRows(1);
+    logMessage("Created new sheet: " + name);
+  }
+  return sheet;
+}
+
+/**
+ * Finds where to resume segmentation: the start of the Tile's latest visit that ended before the earliest new point.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} visitsSheet The Visits tab.
+ * @param {string} tileName The Tile name.
+ * @param {number} dirtyFrom Epoch millis of the earliest new point.
+ * @return {number|null} Epoch millis, or null if the whole history must be segmented.
+ */
+function findSegmentResumePoint(visitsSheet, tileName, dirtyFrom) {
+  var scanned = scanSegmentRows(visitsSheet, tileName, function(values) { return values[2].getTime() < dirtyFrom; });
+  var last = scanned[scanned.length - 1];
+  return last && last.values[2].getTime() < dirtyFrom ? last.values[1].getTime() : null;
+}
+
+/**
+ * Deletes a Tile's rows that start at or after a time.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Visits or Trips tab.
+ * @param {string} tileName The Tile name.
+ * @param {number} from Epoch millis.
+ */
+function deleteSegmentRows(sheet, tileName, from) {
+  var rows = scanSegmentRows(sheet, tileName, function(values) { return values[1].getTime() < from; })
+    .filter(function(entry) { return entry.values[1].getTime() >= from; })
+    .map(function(entry) { return entry.row; });
+  var i = 0;
+  while (i < rows.length) { // Bottom-up so row numbers stay valid
+    var blockEnd = rows[i];
+    var blockStart = blockEnd;
+    while (i + 1 < rows.length && rows[i + 1] === blockStart - 1) {
+      blockStart = rows[++i];
+    }
+    sheet.deleteRows(blockStart, blockEnd - blockStart + 1); // Delete consecutive rows in one call
+    i++;
+  }
+}
+
+/**
+ * Reads a Tile's rows of a Visits or Trips tab from the bottom up, in growing blocks, until stop() accepts one or the
+ * header is reached. A Tile's rows are appended in start order and only removed from its newest on (see
+ * recomputeSegments()), so every row of the Tile above the one stop() accepted is older.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Visits or Trips tab.
+ * @param {string} tileName The Tile name.
+ * @param {function(Array): boolean} stop Called with the tile, start and end cells of each of the Tile's rows.
+ * @return {Object[]} { row: sheet row, values: [tile, start, end] } for the Tile's rows read, newest first, ending
+ *     with the one stop() accepted.
+ */
+function scanSegmentRows(sheet, tileName, stop) {
+  var scanned = [];
+  var end = sheet.getLastRow();
+  var size = TAIL_WINDOW_ROWS;
+  while (end >= 2) {
+    var start = Math.max(2, end - size + 1);
+    var values = sheet.getRange(start, 1, end - start + 1, 3).getValues();
+    for (var i = values.length - 1; i >= 0; i--) {
+      if (values[i][0] !== tileName || !(values[i][1] instanceof Date) || !(values[i][2] instanceof Date)) { continue; }
+      scanned.push({ row: start + i, values: values[i] });
+      if (stop(values[i])) { return scanned; }
+    }
+    end = start - 1;
+    size *= 2;
+  }
+  return scanned;
+}
+
+/**
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Visits or Trips tab.
+ * @param {Array[]} rows Rows to append.
+ * @param {number} width Number of columns.
+ */
+function appendSegmentRows(sheet, rows, width) {
+  if (rows.length === 0) { return; }
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, width).setValues(rows);
+}
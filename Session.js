@@ -0,0 +1,211 @@
+/**
+ * Tile Tracker - Session persistence.
+ *
+ * Keeps the Tile session cookies in user properties between runs so a trigger
+ * firing every few minutes does not log in every time. A stored session is only
+ * reused for the same client UUID and email, and until shortly before it expires.
+ * If the API rejects the session (HTTP 401/403), callers log in again once and retry.
+ * Each account keeps its own stored session (see Accounts.js).
+ * Failures are returned as apiError() results (see Code.js).
+ */
+
+// --- Constants ---
+var SESSION_PROPERTY_KEY = 'TILE_SESSION';
+var SESSION_EXPIRY_MARGIN_MS = 10 * 60 * 1000; // Treat sessions as expired 10 minutes early
+var SESSION_DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // Used when neither the API nor the cookies give an expiry
+
+/**
+ * Returns a Tile session for the account, reusing stored cookies when still valid.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {string} email User's Tile email.
+ * @param {string} password User's Tile password.
+ * @return {Object} Session object { clientUuid, email, password, authInfo, reauthenticated }, or an apiError() if login failed.
+ */
+function openTileSession(clientUuid, email, password) {
+  var tileSession = { clientUuid: clientUuid, email: email, password: password, authInfo: null, reauthenticated: false };
+
+  var stored = loadStoredSession(clientUuid, email);
+  if (stored) {
+    logMessage("Reusing stored Tile session (expires " + new Date(stored.expiresAt).toISOString() + ").");
+    recordApiStatus('login', 'reused');
+    tileSession.authInfo = stored;
+    return tileSession;
+  }
+
+  var authInfo = loginAndStoreSession(clientUuid, email, password);
+  if (isApiError(authInfo)) { return authInfo; }
+  tileSession.authInfo = authInfo;
+  return tileSession;
+}
+
+/**
+ * Performs a full login and persists the resulting session.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {string} email User's Tile email.
+ * @param {string} password User's Tile password.
+ * @return {Object} authInfo { userUuid, cookies, expiresAt }, or an apiError() on failure.
+ */
+function loginAndStoreSession(clientUuid, email, password) {
+  var authInfo = establishSessionAndGetCookies(clientUuid, email, password);
+  if (isApiError(authInfo)) {
+    return authInfo;
+  }
+  if (!authInfo.cookies) {
+    return apiError(API_ERROR.SCHEMA_CHANGED, null, "Login succeeded but no session cookies were returned.");
+  }
+  storeSession(clientUuid, email, authInfo);
+  return authInfo;
+}
+
+/**
+ * Runs an API call with the session's authInfo. If the call fails because the session was
+ * rejected (a session_rejected apiError), logs in again once per run and retries.
+ * @param {Object} tileSession Session from openTileSession().
+ * @param {function(Object): *} apiCall Called with the current authInfo; returns an apiError() on failure.
+ * @return {*} The API call result, or an apiError() on failure.
+ */
+function callWithSessionRetry(tileSession, apiCall) {
+  var result = apiCall(tileSession.authInfo);
+  if (!isApiError(result) || result.type !== API_ERROR.SESSION_REJECTED) {
+    return result;
+  }
+  if (tileSession.reauthenticated) {
+    logMessage("Tile API rejected a freshly created session. Not retrying again.");
+    return result;
+  }
+
+  logMessage("Tile API rejected the session (HTTP 401/403). Logging in again and retrying once.");
+  clearStoredSession(tileSession.clientUuid);
+  tileSession.reauthenticated = true;
+  var authInfo = loginAndStoreSession(tileSession.clientUuid, tileSession.email, tileSession.password);
+  if (isApiError(authInfo)) {
+    logMessage("Re-login failed: " + describeApiError(authInfo));
+    return authInfo;
+  }
+  tileSession.authInfo = authInfo;
+  return apiCall(authInfo);
+}
+
+/**
+ * Loads the stored session if it belongs to this client/email and has not expired.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {string} email User's Tile email.
+ * @return {Object|null} authInfo { userUuid, cookies, expiresAt }, or null if none is usable.
+ */
+function loadStoredSession(clientUuid, email) {
+  var json = USER_PROPS.getProperty(getAccountPropertyKey(SESSION_PROPERTY_KEY, clientUuid));
+  if (!json) { return null; }
+  try {
+    var stored = JSON.parse(json);
+    if (stored.clientUuid !== clientUuid || stored.email !== email) {
+      logMessage("Stored session belongs to a different client or account. Ignoring it.");
+      return null;
+    }
+    if (!stored.cookies || !stored.expiresAt || stored.expiresAt - SESSION_EXPIRY_MARGIN_MS <= Date.now()) {
+      logMessage("Stored session is missing or expired.");
+      return null;
+    }
+    registerStoredSessionSecrets(stored.cookies);
+    return { userUuid: stored.userUuid, cookies: stored.cookies, expiresAt: stored.expiresAt };
+  } catch (e) {
+    logMessage("Warning: Could not parse stored session, ignoring it: " + e);
+    return null;
+  }
+}
+
+/**
+ * Persists the session cookies and expiry in user properties.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {string} email User's Tile email.
+ * @param {Object} authInfo authInfo { userUuid, cookies, expiresAt } from establishSessionAndGetCookies().
+ */
+function storeSession(clientUuid, email, authInfo) {
+  var expiresAt = authInfo.expiresAt || (Date.now() + SESSION_DEFAULT_TTL_MS);
+  authInfo.expiresAt = expiresAt;
+  var key = getAccountPropertyKey(SESSION_PROPERTY_KEY, clientUuid);
+  SCRIPT_PROPS.deleteProperty(key); // Sessions stored by older versions, readable by every editor
+  USER_PROPS.setProperty(key, JSON.stringify({
+    clientUuid: clientUuid,
+    email: email,
+    userUuid: authInfo.userUuid,
+    cookies: authInfo.cookies,
+    expiresAt: expiresAt
+  }));
+  logMessage("Stored Tile session (expires " + new Date(expiresAt).toISOString() + ").");
+}
+
+/**
+ * Deletes the stored session so the next run logs in from scratch.
+ * @param {string=} clientUuid Only clear this account's session. Every account's session if omitted.
+ */
+function clearStoredSession(clientUuid) {
+  var keys = clientUuid ? [getAccountPropertyKey(SESSION_PROPERTY_KEY, clientUuid)] :
+             [SESSION_PROPERTY_KEY].concat(getTileAccounts().map(function(account) {
+               return accountPropertyName(SESSION_PROPERTY_KEY, account.name);
+             }));
+  keys.forEach(function(key) {
+    USER_PROPS.deleteProperty(key);
+    SCRIPT_PROPS.deleteProperty(key); // Sessions stored by older versions
+  });
+  logMessage("Cleared stored Tile session" + (clientUuid ? "." : "s."));
+}
+
+/**
+ * Keeps a stored session's cookie values out of the logs (see Logging.js).
+ * @param {string} cookies Cookie header string, e.g. "key1=value1; key2=value2".
+ */
+function registerStoredSessionSecrets(cookies) {
+  String(cookies || '').split(';').forEach(function(cookie) {
+    registerSecret(cookie.substring(cookie.indexOf('=') + 1).trim());
+  });
+}
+
+
+// --- Two-Factor Verification ---
+
+/**
+ * Checks whether a POST session response is asking for a verification code.
+ * The API signals this either with a flag in 'result' or an error code mentioning verification.
+ * @param {number} responseCode HTTP status of the POST session response.
+ * @param {Object|null} jsonResponse Parsed response body, if it was JSON.
+ * @return {boolean} True if a verification code is required.
+ */
+function isVerificationRequired(responseCode, jsonResponse) {
+  if (!jsonResponse) { return false; }
+  var result = jsonResponse.result || {};
+  if (result.verification_required || result.requires_verification || result.two_factor_required || result.mfa_required) {
+    return true;
+  }
+  if (responseCode >= 400) {
+    var errorText = JSON.stringify(jsonResponse.error || jsonResponse.message || jsonResponse.result || '').toLowerCase();
+    return /verification|two_factor|two-factor|2fa|mfa|otp/.test(errorText);
+  }
+  return false;
+}
+
+/**
+ * Gets the verification code for a login that requires one.
+ * Uses (and then clears) the TILE_2FA_CODE script property (TILE_2FA_CODE:<account> for other accounts),
+ * or prompts for it when run from the spreadsheet UI.
+ * @param {string} clientUuid The client UUID of the account logging in.
+ * @return {string|null} The code, or null if none is available yet.
+ */
+function getVerificationCode(clientUuid) {
+  var key = getAccountPropertyKey('TILE_2FA_CODE', clientUuid);
+  var code = SCRIPT_PROPS.getProperty(key);
+  if (code && String(code).trim() !== '') {
+    SCRIPT_PROPS.setProperty(key, ''); // Codes are single use
+    return String(code).trim();
+  }
+
+  try {
+    var ui = SpreadsheetApp.getUi();
+    var response = ui.prompt("Tile verification", "Tile sent you a verification code. Enter it to finish logging in:", ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() === ui.Button.OK && response.getResponseText().trim() !== '') {
+      return response.getResponseText().trim();
+    }
+  } catch (uiError) {
+    // No UI available (e.g. running from a time-driven trigger)
+  }
+  return null;
+}
@@ -0,0 +1,516 @@
+/**
+ * Tile Tracker - Spreadsheet menu and setup wizard.
+ *
+ * onOpen() adds a "Tile Tracker" menu to the spreadsheet. "Setup" opens a
+ * sidebar (Setup.html) that walks through:
+ *   1. Tile account: the email and password are checked with a real login
+ *      before they are saved to TILE_EMAIL / TILE_PASSWORD in the user's
+ *      properties (see Credentials.js), and this spreadsheet is saved as
+ *      SPREADSHEET_ID. This is the default account;
+ *      more accounts are added in TILE_ACCOUNTS (see Accounts.js).
+ *   2. Tiles: the account's Tiles are listed to pick from, so names never have
+ *      to be typed. The choice is saved to the Tiles tab and each Tile's tab is
+ *      created with its headers.
+ *   3. Actions: "Test connection" logs in, resolves every enabled Tile and
+ *      fetches its last day of history without writing anything. "Update now"
+ *      runs updateTileLocationData().
+ *
+ * The menu can also install or remove the update trigger (see Scheduler.js),
+ * mark a Tile lost or found (see Status.js), and rotate or forget the stored
+ * credentials and sessions (see Credentials.js).
+ *
+ * The sidebar calls the functions below through google.script.run; each
+ * returns { ok: true, ... } or { ok: false, error: string }.
+ */
+
+// --- Constants ---
+var SETUP_MENU_NAME = 'Tile Tracker';
+var SETUP_SIDEBAR_TITLE = 'Tile Tracker setup';
+var TEST_CONNECTION_HOURS = 24; // History window fetched by testConnection()
+var SETUP_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+
+// --- Menu ---
+
+/**
+ * Simple trigger: adds the Tile Tracker menu when the spreadsheet is opened.
+ */
+function onOpen() {
+  SpreadsheetApp.getUi().createMenu(SETUP_MENU_NAME)
+    .addItem('Setup…', 'showSetupSidebar')
+    .addItem('Test connection', 'menuTestConnection')
+    .addItem('Update now', 'menuUpdateNow')
+    .addSeparator()
+    .addItem('Install schedule', 'menuInstallSchedule')
+    .addItem('Remove schedule', 'menuRemoveSchedule')
+    .addSeparator()
+    .addItem('Refresh Devices tab', 'updateDeviceInventory')
+    .addItem('Update Places tab', 'updatePlaces')
+    .addItem('Mark Tile lost… (experimental)', 'menuMarkTileLost')
+    .addItem('Mark Tile found… (experimental)', 'menuMarkTileFound')
+    .addSeparator()
+    .addItem('Rotate credentials…', 'menuRotateCredentials')
+    .addItem('Forget stored sessions', 'menuForgetSessions')
+    .addItem('Move credentials to user properties', 'menuMoveCredentials')
+    .addToUi();
+}
+
+/**
+ * Opens the setup sidebar.
+ */
+function showSetupSidebar() {
+  SpreadsheetApp.getUi().showSidebar(HtmlService.createHtmlOutputFromFile('Setup').setTitle(SETUP_SIDEBAR_TITLE));
+}
+
+/**
+ * Menu item: runs testConnection() and shows the report.
+ */
+function menuTestConnection() {
+  var result = testConnection();
+  SpreadsheetApp.getUi().alert("Test connection: " + (result.ok ? "OK" : "problems found"), result.lines.join("\n"),
+                               SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Menu item: runs updateTileLocationData() and shows what happened.
+ */
+function menuUpdateNow() {
+  var result = runSetupUpdate();
+  SpreadsheetApp.getUi().alert("Update now", result.lines.join("\n"), SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Menu item: runs installSchedule() and shows what it did.
+ */
+function menuInstallSchedule() {
+  SpreadsheetApp.getUi().alert("Install schedule", installSchedule().join("\n"), SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Menu item: runs removeSchedule().
+ */
+function menuRemoveSchedule() {
+  var removed = removeSchedule();
+  SpreadsheetApp.getUi().alert("Remove schedule", removed > 0 ? "Removed " + removed + " update trigger(s)." : "No update triggers were installed.",
+                               SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Menu item: asks for a Tile name and marks it lost (see setTileLost()).
+ */
+function menuMarkTileLost() {
+  promptAndSetTileLost(true);
+}
+
+/**
+ * Menu item: asks for a Tile name and marks it found (see setTileLost()).
+ */
+function menuMarkTileFound() {
+  promptAndSetTileLost(false);
+}
+
+/**
+ * @param {boolean} lost True to mark lost, false to mark found.
+ */
+function promptAndSetTileLost(lost) {
+  var ui = SpreadsheetApp.getUi();
+  var title = (lost ? "Mark Tile lost" : "Mark Tile found") + " (experimental)";
+  if (!isSetTileLostEnabled()) {
+    ui.alert(title, SET_LOST_DISABLED_MESSAGE, ui.ButtonSet.OK);
+    return;
+  }
+  var response = ui.prompt(title, "Tile name, as shown in the Tile app:", ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) { return; }
+  var result = setTileLost(response.getResponseText().trim(), lost);
+  ui.alert(result.unverified ? title + ": unverified" : title, result.lines.join("\n"), ui.ButtonSet.OK);
+}
+
+/**
+ * Menu item: asks for an account and its new password and runs rotateTileCredentials().
+ */
+function menuRotateCredentials() {
+  var ui = SpreadsheetApp.getUi();
+  var title = "Rotate credentials";
+  var accountName = DEFAULT_ACCOUNT_NAME;
+  if (getTileAccounts().length > 1) {
+    var accountResponse = ui.prompt(title, "Account name (" + getTileAccounts().map(function(account) { return account.name; }).join(", ") + "):",
+                                    ui.ButtonSet.OK_CANCEL);
+    if (accountResponse.getSelectedButton() !== ui.Button.OK) { return; }
+    accountName = accountResponse.getResponseText().trim() || DEFAULT_ACCOUNT_NAME;
+  }
+  var response = ui.prompt(title, "New Tile password for account '" + accountName + "'. Leave empty to keep the password and " +
+                           "only start a new session:", ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) { return; }
+  var result = rotateTileCredentials(accountName, response.getResponseText());
+  ui.alert(title, result.lines.join("\n"), ui.ButtonSet.OK);
+}
+
+/**
+ * Menu item: runs forgetTileSessions().
+ */
+function menuForgetSessions() {
+  SpreadsheetApp.getUi().alert("Forget stored sessions", forgetTileSessions().join("\n"), SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Menu item: runs moveCredentialsToUserProperties().
+ */
+function menuMoveCredentials() {
+  SpreadsheetApp.getUi().alert("Move credentials to user properties", moveCredentialsToUserProperties().join("\n"),
+                               SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+
+// --- Sidebar Actions ---
+
+/**
+ * Current setup, for filling in the sidebar. The password is never sent back.
+ * @return {Object} { ok, email, hasPassword, spreadsheetSaved, tracked: [{ tileName, sheetName, enabled }] }.
+ */
+function getSetupState() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  return {
+    ok: true,
+    email: TILE_EMAIL || '',
+    hasPassword: !!TILE_PASSWORD,
+    spreadsheetSaved: SPREADSHEET_ID === ss.getId(),
+    tracked: getTileConfigs(ss).map(function(config) {
+      return { tileName: config.tileName, sheetName: config.sheetName, enabled: config.enabled };
+    })
+  };
+}
+
+/**
+ * Step 1: checks the credentials with a login and, if it succeeds, saves them and lists the account's Tiles.
+ * @param {Object} form { email, password, verificationCode }. An empty password keeps the saved one for the same email.
+ * @return {Object} { ok: true, tiles } as from listSetupTiles(), or { ok: false, error, needsCode: boolean }.
+ */
+function saveSetupAccount(form) {
+  form = form || {};
+  var email = String(form.email || '').trim();
+  var password = form.password ? String(form.password) : (email === TILE_EMAIL ? TILE_PASSWORD : '');
+  if (!SETUP_EMAIL_PATTERN.test(email)) {
+    return { ok: false, error: "Enter the email address of your Tile account." };
+  }
+  if (!password) {
+    return { ok: false, error: "Enter your Tile password." };
+  }
+  registerSecret(password);
+  if (form.verificationCode && String(form.verificationCode).trim() !== '') {
+    SCRIPT_PROPS.setProperty('TILE_2FA_CODE', String(form.verificationCode).trim()); // Used once by the login below
+  }
+
+  var clientUuid = getClientUuid();
+  var authInfo = loginAndStoreSession(clientUuid, email, password);
+  if (isApiError(authInfo)) {
+    logMessage("Setup login failed: " + describeApiError(authInfo));
+    return { ok: false, error: describeSetupError(authInfo), needsCode: authInfo.type === API_ERROR.VERIFICATION_REQUIRED };
+  }
+
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  USER_PROPS.setProperties({ TILE_EMAIL: email, TILE_PASSWORD: password });
+  SCRIPT_PROPS.deleteProperty('TILE_EMAIL'); // Saved by older versions, readable by every editor
+  SCRIPT_PROPS.deleteProperty('TILE_PASSWORD');
+  SCRIPT_PROPS.setProperty('SPREADSHEET_ID', ss.getId());
+  logMessage("Setup saved the Tile account " + email + " and spreadsheet " + ss.getId() + ".");
+  return listAccountTiles(ss, clientUuid, authInfo);
+}
+
+/**
+ * Step 2 (refresh): lists the Tiles on the saved account.
+ * @return {Object} { ok: true, tiles: [{ name, product, status, lastSeen, tracked, sheetName }] }, or { ok: false, error }.
+ */
+function listSetupTiles() {
+  if (!TILE_EMAIL || !TILE_PASSWORD) {
+    return { ok: false, error: "Save your Tile account first." };
+  }
+  var clientUuid = getClientUuid();
+  var tileSession = openTileSession(clientUuid, TILE_EMAIL, TILE_PASSWORD);
+  if (isApiError(tileSession)) {
+    return { ok: false, error: describeSetupError(tileSession) };
+  }
+  return listAccountTiles(SpreadsheetApp.getActiveSpreadsheet(), clientUuid, tileSession.authInfo);
+}
+
+/**
+ * Step 2 (save): enables the chosen Tiles in the Tiles tab (adding rows as needed), disables the others,
+ * and creates each chosen Tile's tab with headers.
+ * @param {Object[]} selection [{ tileName, sheetName }] for the Tiles to track; an empty sheetName uses the Tile name.
+ * @return {Object} { ok: true, lines: string[] }, or { ok: false, error }.
+ */
+function saveSetupTiles(selection) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var chosen = {};
+  var sheetNames = {};
+  var reserved = [TILES_CONFIG_SHEET_NAME, DEVICES_SHEET_NAME, RUNS_SHEET_NAME, ZONES_SHEET_NAME, EVENTS_SHEET_NAME,
+                  VISITS_SHEET_NAME, TRIPS_SHEET_NAME, DAILY_SUMMARY_SHEET_NAME, STATUS_SHEET_NAME,
+                  PLACES_SHEET_NAME];
+  for (var i = 0; i < (selection || []).length; i++) {
+    var tileName = String(selection[i].tileName || '').trim();
+    var sheetName = String(selection[i].sheetName || '').trim() || tileName;
+    if (!tileName) { continue; }
+    if (reserved.indexOf(sheetName) !== -1 || ARCHIVE_SHEET_NAME_PATTERN.test(sheetName)) {
+      return { ok: false, error: "'" + sheetName + "' cannot be used as a tab name for '" + tileName + "'. Pick another one." };
+    }
+    if (sheetNames[sheetName]) {
+      return { ok: false, error: "'" + tileName + "' and '" + sheetNames[sheetName] + "' would share the tab '" + sheetName + "'." };
+    }
+    sheetNames[sheetName] = tileName;
+    chosen[tileName] = sheetName;
+  }
+  if (Object.keys(chosen).length === 0) {
+    return { ok: false, error: "Pick at least one Tile to track." };
+  }
+
+  var lines = writeSetupTilesConfig(ss, chosen);
+  Object.keys(chosen).forEach(function(tileName) {
+    var sheet = ss.getSheetByName(chosen[tileName]);
+    if (!sheet) {
+      sheet = ss.insertSheet(chosen[tileName]);
+      lines.push("Created tab '" + chosen[tileName] + "'.");
+    }
+    if (!ensureLocationSheetSchema(sheet)) {
+      lines.push("Tab '" + chosen[tileName] + "' already exists with other headers. Rename it or pick another tab name for '" + tileName + "'.");
+    }
+  });
+  logMessage("Setup saved tracked Tiles: " + lines.join(" "));
+  return { ok: true, lines: lines };
+}
+
+/**
+ * Dry run: logs in to each account (reusing a stored session if there is one), resolves each enabled Tile and
+ * fetches its recent history, and checks its tab. Nothing is written to the spreadsheet and no session is stored.
+ * @return {Object} { ok: boolean, lines: string[] }. ok is false if any check failed.
+ */
+function testConnection() {
+  var accounts = getTileAccounts();
+  if (accounts.length === 0) {
+    return { ok: false, lines: ["No Tile account saved. Open Tile Tracker > Setup first."] };
+  }
+  var lines = [];
+  var ok = true;
+  var opened = [];
+  accounts.forEach(function(account) {
+    var label = accounts.length > 1 ? " (" + account.name + ")" : "";
+    var authInfo = loadStoredSession(account.clientUuid, account.email);
+    if (authInfo) {
+      lines.push("Login" + label + ": using the stored session (valid until " + new Date(authInfo.expiresAt).toISOString() + ").");
+    } else {
+      authInfo = establishSessionAndGetCookies(account.clientUuid, account.email, account.password);
+      if (isApiError(authInfo)) {
+        ok = false;
+        lines.push("Login" + label + " failed: " + describeSetupError(authInfo));
+        return;
+      }
+      lines.push("Login" + label + ": OK.");
+    }
+
+    var tileStates = fetchTileStates(account.clientUuid, authInfo);
+    if (isApiError(tileStates)) {
+      ok = false;
+      lines.push("Listing Tiles" + label + " failed: " + describeSetupError(tileStates));
+      return;
+    }
+    lines.push("Account" + label + ": " + tileStates.length + " Tile(s).");
+    opened.push({ account: account, authInfo: authInfo, tileStates: tileStates, directory: null });
+  });
+  if (opened.length === 0) {
+    return { ok: false, lines: lines };
+  }
+
+  var ss = SPREADSHEET_ID ? SpreadsheetApp.openById(SPREADSHEET_ID) : SpreadsheetApp.getActiveSpreadsheet();
+  var configs = getTileConfigs(ss).filter(function(config) { return config.enabled; });
+  if (configs.length === 0) {
+    return { ok: false, lines: lines.concat(["No enabled Tiles in the Tiles tab. Pick them in Tile Tracker > Setup."]) };
+  }
+
+  var endTime = new Date();
+  var startTime = new Date(endTime.getTime() - TEST_CONNECTION_HOURS * 60 * 60 * 1000);
+  configs.forEach(function(config) {
+    var found = findSetupTile(opened, config);
+    if (found.problem) {
+      ok = false;
+      lines.push(config.tileName + ": " + found.problem);
+      return;
+    }
+
+    var history = fetchTileHistoryFromAPI(found.entry.account.clientUuid, found.entry.authInfo, found.tileUuid, startTime, endTime);
+    if (isApiError(history)) {
+      ok = false;
+      lines.push(config.tileName + ": history request failed: " + describeSetupError(history));
+      return;
+    }
+    var points = history.result && Array.isArray(history.result.location_updates) ? history.result.location_updates.length : 0;
+
+    var sheet = ss.getSheetByName(config.sheetName);
+    var version = sheet && sheet.getLastRow() > 0 ? getLocationSchemaVersion(sheet) : null;
+    var tabStatus = !sheet ? "tab '" + config.sheetName + "' will be created on the first update" :
+                    sheet.getLastRow() === 0 ? "tab '" + config.sheetName + "' is empty" :
+                    version === null ? "tab '" + config.sheetName + "' has unrecognized headers" :
+                    "tab '" + config.sheetName + "' has " + (sheet.getLastRow() - 1) + " row(s)";
+    if (sheet && sheet.getLastRow() > 0 && version === null) { ok = false; }
+    lines.push(config.tileName + (opened.length > 1 ? " (" + found.entry.account.name + ")" : "") + ": OK, " + points +
+               " point(s) in the last " + TEST_CONNECTION_HOURS + " hours; " + tabStatus + ".");
+  });
+  return { ok: ok, lines: lines };
+}
+
+/**
+ * Runs updateTileLocationData() and reports each Tile's result from the run log.
+ * @return {Object} { ok: boolean, lines: string[] }.
+ */
+function runSetupUpdate() {
+  lastFinishedRun = null;
+  updateTileLocationData();
+  var lines = summarizeLastRun();
+  if (lines.length === 0) {
+    return { ok: false, lines: ["The update did not run. Check that the Tile account and spreadsheet are saved in Tile Tracker > Setup."] };
+  }
+  return { ok: lines.every(function(line) { return line.indexOf(": error") === -1; }), lines: lines };
+}
+
+
+// --- Helpers ---
+
+/**
+ * Finds a tracked Tile for testConnection() like resolveTileAccount() does, but without caching anything.
+ * @param {Object[]} opened [{ account, authInfo, tileStates, directory }] for the accounts that logged in; directory is
+ *     filled in here when a Tile is not in the account's cache.
+ * @param {Object} config Tile config from getTileConfigs().
+ * @return {Object} { entry, tileUuid }, or { problem: string } if the Tile was not found exactly once.
+ */
+function findSetupTile(opened, config) {
+  var candidates = opened.filter(function(entry) { return !config.account || entry.account.name === config.account; });
+  if (candidates.length === 0) {
+    return { problem: "account '" + config.account + "' is not configured or did not log in." };
+  }
+  for (var i = 0; i < candidates.length; i++) {
+    var entry = candidates[i];
+    var tileIds = entry.tileStates.map(function(tileState) { return tileState.tile_id; });
+    var uuids = getCachedTileUuids(config.tileName, entry.account.clientUuid);
+    if (!uuids || uuids.length !== 1 || tileIds.indexOf(uuids[0]) === -1) {
+      entry.directory = entry.directory || collectTileDevices(entry.account.clientUuid, entry.authInfo, entry.tileStates);
+      if (isApiError(entry.directory)) {
+        return { problem: "lookup failed: " + describeSetupError(entry.directory) };
+      }
+      uuids = entry.directory.nameToUuids[config.tileName] || [];
+    }
+    if (uuids.length > 1) {
+      return { problem: uuids.length + " Tiles share this name." };
+    }
+    if (uuids.length === 1) {
+      return { entry: entry, tileUuid: uuids[0] };
+    }
+  }
+  return { problem: "no Tile with this name on the account" + (candidates.length > 1 ? "s." : ".") };
+}
+
+/**
+ * Lists the account's Tiles for the sidebar and refreshes its name->UUID cache, and the Devices tab if it is the
+ * only account (otherwise the tab is left for updateDeviceInventory(), which lists every account).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the Tiles tab.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {Object} authInfo Authentication info object containing { cookies: string }.
+ * @return {Object} { ok: true, tiles: [{ name, product, status, lastSeen, tracked, sheetName }] }, or { ok: false, error }.
+ */
+function listAccountTiles(ss, clientUuid, authInfo) {
+  var tileStates = fetchTileStates(clientUuid, authInfo);
+  if (isApiError(tileStates)) {
+    return { ok: false, error: describeSetupError(tileStates) };
+  }
+  delete lastTileDirectories[clientUuid];
+  var directory = getTileDirectory(clientUuid, authInfo, tileStates);
+  if (isApiError(directory)) {
+    return { ok: false, error: describeSetupError(directory) };
+  }
+  if (getTileAccounts().length <= 1) {
+    writeDevicesSheet(ss, mergeTileDirectories([{ accountName: DEFAULT_ACCOUNT_NAME, directory: directory }]));
+  }
+
+  var configured = {};
+  getTileConfigs(ss).forEach(function(config) { configured[config.tileName] = config; });
+  var tiles = directory.devices.filter(function(device) { return device.name; }).map(function(device) {
+    var config = configured[device.name];
+    return {
+      name: device.name,
+      product: device.product,
+      status: device.status,
+      lastSeen: device.lastTimestamp ? device.lastTimestamp.toISOString() : null,
+      tracked: !!(config && config.enabled),
+      sheetName: config ? config.sheetName : device.name
+    };
+  });
+  return { ok: true, tiles: tiles, labelCount: directory.labelCount };
+}
+
+/**
+ * Enables the chosen Tiles in the Tiles tab, creating the tab and rows as needed, and disables the other rows.
+ * Rows assigned to another account than the default one are left alone, since the sidebar only lists the default account.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the Tiles tab.
+ * @param {Object} chosen Map of Tile name to sheet name.
+ * @return {string[]} What changed.
+ */
+function writeSetupTilesConfig(ss, chosen) {
+  var lines = [];
+  var sheet = ss.getSheetByName(TILES_CONFIG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(TILES_CONFIG_SHEET_NAME);
+    sheet.appendRow(TILES_CONFIG_HEADERS);
+    sheet.setFrozenRows(1);
+    lines.push("Created the '" + TILES_CONFIG_SHEET_NAME + "' tab." +
+               (SCRIPT_PROPS.getProperty('TILES_CONFIG') ? " It replaces the TILES_CONFIG script property." : ""));
+  }
+  var values = sheet.getDataRange().getValues();
+  var header = values[0].map(function(h) { return String(h).trim().toLowerCase(); });
+  var nameColumn = header.indexOf('tile_name');
+  var sheetColumn = header.indexOf('sheet_name');
+  var enabledColumn = header.indexOf('enabled');
+  var accountColumn = header.indexOf('account');
+  if (nameColumn === -1 || enabledColumn === -1) {
+    throw new Error("The '" + TILES_CONFIG_SHEET_NAME + "' tab needs tile_name and enabled columns.");
+  }
+
+  var seen = {};
+  for (var i = 1; i < values.length; i++) {
+    var tileName = String(values[i][nameColumn]).trim();
+    if (!tileName) { continue; }
+    var account = accountColumn === -1 ? '' : String(values[i][accountColumn]).trim();
+    if (account && account !== DEFAULT_ACCOUNT_NAME) { continue; }
+    var enable = chosen.hasOwnProperty(tileName);
+    seen[tileName] = true;
+    if (parseConfigBoolean(values[i][enabledColumn], true) !== enable) {
+      sheet.getRange(i + 1, enabledColumn + 1).setValue(enable);
+      lines.push((enable ? "Enabled " : "Disabled ") + "'" + tileName + "'.");
+    }
+    if (enable && sheetColumn !== -1 && String(values[i][sheetColumn]).trim() !== chosen[tileName]) {
+      sheet.getRange(i + 1, sheetColumn + 1).setValue(chosen[tileName]);
+    }
+  }
+
+  Object.keys(chosen).forEach(function(tileName) {
+    if (seen[tileName]) { return; }
+    var defaults = { tile_name: tileName, sheet_name: chosen[tileName], enabled: true, backfill_days: DEFAULT_BACKFILL_DAYS,
+                     backfill_window_days: DEFAULT_BACKFILL_WINDOW_DAYS, stale_after_hours: DEFAULT_STALE_AFTER_HOURS,
+                     interval_minutes: DEFAULT_INTERVAL_MINUTES };
+    sheet.appendRow(header.map(function(name) { return defaults.hasOwnProperty(name) ? defaults[name] : ''; }));
+    lines.push("Added '" + tileName + "'.");
+  });
+  return lines;
+}
+
+/**
+ * @param {Object} error apiError() from a login or API call.
+ * @return {string} A message for the sidebar, with a hint for the errors a user can fix.
+ */
+function describeSetupError(error) {
+  switch (error.type) {
+    case API_ERROR.BAD_CREDENTIALS:
+      return "Tile did not accept this email and password.";
+    case API_ERROR.VERIFICATION_REQUIRED:
+      return "Tile sent you a verification code. Enter it and try again.";
+    case API_ERROR.RATE_LIMITED:
+      return "Tile is rate limiting requests. Wait a few minutes and try again.";
+    default:
+      return describeApiError(error);
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Tile Tracker - Custom sheet functions.
+ *
+ * Formulas that query a Tile's history by Tile name, so they keep working when
+ * a tab is re-sorted or gains columns:
+ *   =TILE_LAST_SEEN("Milkdud3")
+ *   =TILE_LOCATION_AT("Milkdud3", A2)      latitude, longitude, gap_min
+ *   =TILE_DISTANCE("Milkdud3", A2, B2)     meters
+ *   =TILE_ZONE_AT("Milkdud3", A2)
+ *
+ * They read the Tile's tab and, for older times, its archive tabs (see
+ * Archive.js), skipping outliers. Custom functions cannot open other
+ * spreadsheets, so with ARCHIVE_SPREADSHEET_ID they only see the live tabs.
+ * A question they cannot answer (unknown Tile, no points in range) is thrown
+ * as an error, which the cell shows as #ERROR! with the message.
+ */
+
+// --- Constants ---
+var TILE_FUNCTION_SEARCH_DAYS = 31; // How far from the given time TILE_LOCATION_AT / TILE_ZONE_AT look for points
+
+
+// --- Functions ---
+
+/**
+ * Time of the Tile's newest location report.
+ * @param {string} tileName The Tile name, as in the Tiles tab.
+ * @return {Date} The timestamp of the newest point.
+ * @customfunction
+ */
+function TILE_LAST_SEEN(tileName) {
+  var sheet = getTileFunctionSheet(SpreadsheetApp.getActiveSpreadsheet(), tileName);
+  var latest = readLatestLocationPoint(sheet);
+  if (!latest) { throw new Error("No points for Tile '" + tileName + "' yet."); }
+  return latest.timestamp;
+}
+
+/**
+ * The Tile's position at a time, interpolated between the reports before and after it.
+ * Returns one row: latitude, longitude, and the minutes between the two reports (0 for an exact match; after the
+ * newest report, its position and the minutes since it).
+ * @param {string} tileName The Tile name, as in the Tiles tab.
+ * @param {Date} datetime The time.
+ * @return {Array[]} [[latitude, longitude, gap_min]].
+ * @customfunction
+ */
+function TILE_LOCATION_AT(tileName, datetime) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var time = parseTileFunctionDate(datetime, 'datetime').getTime();
+  var around = findSurroundingPoints(readTileFunctionPoints(ss, getTileFunctionSheet(ss, tileName), time), time);
+  if (!around.before) {
+    throw new Error("No point for Tile '" + tileName + "' in the " + TILE_FUNCTION_SEARCH_DAYS + " days before " +
+                    new Date(time).toISOString() + ".");
+  }
+  var before = around.before;
+  var after = around.after;
+  var beforeTime = before.timestamp.getTime();
+  if (!after || beforeTime === time) {
+    return [[before.latitude, before.longitude, Math.round((time - beforeTime) / 60000)]];
+  }
+  var span = after.timestamp.getTime() - beforeTime;
+  var fraction = (time - beforeTime) / span;
+  return [[
+    before.latitude + (after.latitude - before.latitude) * fraction,
+    before.longitude + (after.longitude - before.longitude) * fraction,
+    Math.round(span / 60000)
+  ]];
+}
+
+/**
+ * Distance the Tile traveled between two times, along the points reported in between (as distance_m in the Daily
+ * Summary tab).
+ * @param {string} tileName The Tile name, as in the Tiles tab.
+ * @param {Date} start Start of the range.
+ * @param {Date} end End of the range.
+ * @return {number} Distance in meters.
+ * @customfunction
+ */
+function TILE_DISTANCE(tileName, start, end) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var from = parseTileFunctionDate(start, 'start');
+  var to = parseTileFunctionDate(end, 'end');
+  if (from.getTime() > to.getTime()) { throw new Error("start is after end."); }
+  var sheet = getTileFunctionSheet(ss, tileName);
+  var points = readTileFunctionPointsInRange(ss, sheet, from, to);
+  var distance = 0;
+  for (var i = 1; i < points.length; i++) {
+    distance += haversineMeters(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+  return Math.round(distance);
+}
+
+/**
+ * Zone the Tile was in at a time, from its last report at or before that time and the current Zones tab.
+ * @param {string} tileName The Tile name, as in the Tiles tab.
+ * @param {Date} datetime The time.
+ * @return {string} The zone name, or an empty string if the Tile was outside every zone.
+ * @customfunction
+ */
+function TILE_ZONE_AT(tileName, datetime) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var time = parseTileFunctionDate(datetime, 'datetime').getTime();
+  var before = findSurroundingPoints(readTileFunctionPoints(ss, getTileFunctionSheet(ss, tileName), time), time).before;
+  if (!before) {
+    throw new Error("No point for Tile '" + tileName + "' in the " + TILE_FUNCTION_SEARCH_DAYS + " days before " +
+                    new Date(time).toISOString() + ".");
+  }
+  return findZoneForPoint(getZones(ss), before.latitude, before.longitude);
+}
+
+
+// --- Helpers ---
+
+/**
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The tracker spreadsheet.
+ * @param {string} tileName The Tile name, as in the Tiles tab.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The Tile's tab.
+ */
+function getTileFunctionSheet(ss, tileName) {
+  tileName = tileName == null ? '' : String(tileName).trim();
+  if (!tileName) { throw new Error("No Tile name given."); }
+  var tileConfig = findTileConfig(ss, tileName);
+  if (!tileConfig) { throw new Error("No Tile named '" + tileName + "' in the Tiles config."); }
+  var sheet = ss.getSheetByName(tileConfig.sheetName);
+  if (!sheet) { throw new Error("Tile '" + tileName + "' has no tab '" + tileConfig.sheetName + "' yet."); }
+  return sheet;
+}
+
+/**
+ * @param {Date|string|number} value A date cell, an ISO string or epoch millis.
+ * @param {string} label Argument name, for the error message.
+ * @return {Date} The date.
+ */
+function parseTileFunctionDate(value, label) {
+  var date = value == null || value === '' ? null : parseExportDate(value);
+  if (!date) { throw new Error(label + " is not a valid date: " + value); }
+  return date;
+}
+
+/**
+ * Reads the usable points within TILE_FUNCTION_SEARCH_DAYS of a time.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The tracker spreadsheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's tab.
+ * @param {number} time The time in epoch millis.
+ * @return {Object[]} Points as returned by readLocationPoints(), oldest first.
+ */
+function readTileFunctionPoints(ss, sheet, time) {
+  var windowMillis = TILE_FUNCTION_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  return readTileFunctionPointsInRange(ss, sheet, new Date(time - windowMillis), new Date(time + windowMillis));
+}
+
+/**
+ * Reads the usable points of a Tile within a time range, from its tab and its archive tabs in this spreadsheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The tracker spreadsheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's tab.
+ * @param {Date} from Start of the range (inclusive).
+ * @param {Date} to End of the range (inclusive).
+ * @return {Object[]} Points as returned by readLocationPoints(), oldest first.
+ */
+function readTileFunctionPointsInRange(ss, sheet, from, to) {
+  var archiveId = SCRIPT_PROPS.getProperty('ARCHIVE_SPREADSHEET_ID');
+  // Custom functions are not allowed to open another spreadsheet
+  var points = archiveId && archiveId !== ss.getId() ? readLocationPoints(sheet, from, to) : readLocationPointsWithArchive(sheet, from, to);
+  return points.filter(isUsableLocationPoint);
+}
+
+/**
+ * Finds the last point at or before a time and the first point after it.
+ * @param {Object[]} points Points, oldest first.
+ * @param {number} time The time in epoch millis.
+ * @return {Object} { before: Object|null, after: Object|null }.
+ */
+function findSurroundingPoints(points, time) {
+  var before = null;
+  for (var i = 0; i < points.length; i++) {
+    if (points[i].timestamp.getTime() > time) {
+      return { before: before, after: points[i] };
+    }
+    before = points[i];
+  }
+  return { before: before, after: null };
+}
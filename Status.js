@@ -0,0 +1,266 @@
+/**
+ * Tile Tracker - Current Tile status from tiles/tile_states.
+ *
+ * tiles/tile_states already reports each Tile's current state: when and where
+ * it was last seen and whether it is marked lost. Every run writes that
+ * snapshot to a "Status" tab, one row per Tile on the account, and compares it
+ * with the previous run's (kept in the STATUS_STATE script property). Changes
+ * are appended to the "Events" tab (see Zones.js):
+ *   lost / found       The lost flag was set or cleared. Also sent as an alert.
+ *   dark / reporting   The last report became older than the Tile's
+ *                      stale_after_hours, or a Tile that was dark reported again.
+ *
+ * setTileLost() marks a Tile lost or found through the API; the menu has items
+ * for it (see Setup.js). The request it sends is undocumented, so it is off
+ * unless the EXPERIMENTAL_SET_LOST script property is true.
+ */
+
+// --- Constants ---
+var STATUS_SHEET_NAME = 'Status';
+var STATUS_HEADERS = ['tile', 'tile_uuid', 'last_timestamp', 'latitude', 'longitude', 'lost', 'lost_since', 'dark',
+                      'hours_since_seen', 'checked_at'];
+var STATUS_STATE_KEY = 'STATUS_STATE';
+var STATUS_EVENT_LOST = 'lost';
+var STATUS_EVENT_FOUND = 'found';
+var STATUS_EVENT_DARK = 'dark';
+var STATUS_EVENT_REPORTING = 'reporting';
+var SET_LOST_ENABLED_KEY = 'EXPERIMENTAL_SET_LOST';
+var SET_LOST_DISABLED_MESSAGE = "Marking a Tile lost or found is experimental: the Tile API for it is undocumented and " +
+    "may not work. Set the " + SET_LOST_ENABLED_KEY + " script property to true to try it, and check the result in the Tile app.";
+
+/**
+ * Writes the "Status" tab from tile_states and records lost/found and dark/reporting changes as events.
+ * Failures are logged and never stop the run.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {Object[]} tileStates Entries from fetchTileStates().
+ * @param {Object[]} tileConfigs All configured Tiles, from getTileConfigs(); used for names and stale_after_hours.
+ * @param {boolean=} keepUnseen True if some account did not open this run: the Status rows of Tiles missing from
+ *     tileStates are kept as they were. Their previous state is always kept, so changes made while their account was
+ *     unavailable are still recorded once it is back.
+ */
+function recordTileStatus(ss, tileStates, tileConfigs, keepUnseen) {
+  try {
+    var names = getCachedTileNames();
+    var configsByName = {};
+    tileConfigs.forEach(function(tileConfig) { configsByName[tileConfig.tileName] = tileConfig; });
+    var previous = tryParseJson(SCRIPT_PROPS.getProperty(STATUS_STATE_KEY) || '') || {};
+    var state = {};
+    Object.keys(previous).forEach(function(tileUuid) { state[tileUuid] = previous[tileUuid]; });
+    var events = [];
+    var now = new Date();
+
+    var statuses = tileStates.map(function(tileState) {
+      var status = describeTileState(tileState);
+      status.name = names[status.tileUuid] || '';
+      var tileConfig = configsByName[status.name];
+      var darkAfterHours = tileConfig ? tileConfig.staleAfterHours :
+                           readNumberProperty('STALE_AFTER_HOURS', DEFAULT_STALE_AFTER_HOURS);
+      status.hoursSinceSeen = status.lastTimestamp ? (now.getTime() - status.lastTimestamp.getTime()) / (60 * 60 * 1000) : null;
+      status.dark = !!darkAfterHours && status.hoursSinceSeen !== null && status.hoursSinceSeen > darkAfterHours;
+
+      var before = previous[status.tileUuid];
+      if (before) {
+        if (status.lost !== before.lost) { events.push(buildStatusEvent(status, status.lost ? STATUS_EVENT_LOST : STATUS_EVENT_FOUND, now)); }
+        if (status.dark !== before.dark) { events.push(buildStatusEvent(status, status.dark ? STATUS_EVENT_DARK : STATUS_EVENT_REPORTING, now)); }
+      }
+      state[status.tileUuid] = { lost: status.lost, dark: status.dark };
+      return status;
+    });
+
+    writeStatusSheet(ss, statuses, now, keepUnseen === true);
+    SCRIPT_PROPS.setProperty(STATUS_STATE_KEY, JSON.stringify(state));
+    if (events.length === 0) { return; }
+
+    events.forEach(function(event) {
+      if (event.type === STATUS_EVENT_LOST || event.type === STATUS_EVENT_FOUND) {
+        event.notified = sendAlert(
+          "Tile Tracker: " + event.tile + " marked " + event.type,
+          event.tile + " was marked " + event.type + " on the Tile account (noticed " + now.toISOString() + ").\n" +
+          (event.latitude !== '' ? "Last position: " + event.latitude + ", " + event.longitude + "\n" +
+           "https://www.google.com/maps?q=" + event.latitude + "," + event.longitude : "No position reported yet."),
+          { type: event.type, subject: event.tile, latitude: event.latitude, longitude: event.longitude }
+        );
+      }
+    });
+    appendZoneEvents(ss, events);
+    logMessage("Recorded " + events.length + " status change(s): " +
+               events.map(function(event) { return event.tile + " " + event.type; }).join(", ") + ".");
+  } catch (e) {
+    logMessage("Error recording Tile status: " + e);
+  }
+}
+
+/**
+ * Reads the current state from a tile_states entry. Field names vary, so alternatives are checked
+ * (see also describeTileDevice()).
+ * @param {Object} tileState Entry from fetchTileStates().
+ * @return {Object} { tileUuid, lastTimestamp: Date|null, latitude: number|null, longitude: number|null, lost: boolean,
+ *     lostSince: Date|null }.
+ */
+function describeTileState(tileState) {
+  var lastTimestamp = Number(tileState.timestamp || tileState.last_timestamp || 0);
+  var lostTimestamp = Number(tileState.lost_timestamp || 0);
+  var lost = tileState.is_lost != null ? tileState.is_lost : tileState.mode === 'LOST';
+  return {
+    tileUuid: tileState.tile_id,
+    lastTimestamp: lastTimestamp > 0 ? new Date(lastTimestamp) : null,
+    latitude: tileState.latitude != null ? Number(tileState.latitude) : null,
+    longitude: tileState.longitude != null ? Number(tileState.longitude) : null,
+    lost: !!lost,
+    lostSince: lost && lostTimestamp > 0 ? new Date(lostTimestamp) : null
+  };
+}
+
+/**
+ * @param {Object} status Status from recordTileStatus().
+ * @param {string} type One of the STATUS_EVENT_* values.
+ * @param {Date} now When the change was noticed; used as the event time.
+ * @return {Object} Event in the shape appendZoneEvents() writes.
+ */
+function buildStatusEvent(status, type, now) {
+  return {
+    timestamp: type === STATUS_EVENT_REPORTING && status.lastTimestamp ? status.lastTimestamp : now,
+    tile: status.name || status.tileUuid,
+    type: type,
+    zone: '',
+    latitude: status.latitude != null ? status.latitude : '',
+    longitude: status.longitude != null ? status.longitude : '',
+    notified: false
+  };
+}
+
+/**
+ * Rewrites the "Status" tab with one row per Tile, tracked Tiles first.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {Object[]} statuses Statuses from recordTileStatus().
+ * @param {Date} checkedAt Time of the snapshot.
+ * @param {boolean} keepUnseen Whether to keep the existing rows of Tiles that are not in statuses (with their old
+ *     checked_at).
+ */
+function writeStatusSheet(ss, statuses, checkedAt, keepUnseen) {
+  var sheet = ss.getSheetByName(STATUS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(STATUS_SHEET_NAME);
+    logMessage("Created new sheet: " + STATUS_SHEET_NAME);
+  }
+  var seen = {};
+  var rows = statuses.map(function(status) {
+    seen[status.tileUuid] = true;
+    return [status.name, status.tileUuid, status.lastTimestamp || '', status.latitude != null ? status.latitude : '',
+            status.longitude != null ? status.longitude : '', status.lost, status.lostSince || '', status.dark,
+            status.hoursSinceSeen !== null ? Math.round(status.hoursSinceSeen * 10) / 10 : '', checkedAt];
+  });
+  if (keepUnseen && sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, STATUS_HEADERS.length).getValues().forEach(function(row) {
+      if (row[1] && !seen[row[1]]) { rows.push(row); }
+    });
+  }
+  rows.sort(function(a, b) { return (a[0] ? 0 : 1) - (b[0] ? 0 : 1) || String(a[0]).localeCompare(String(b[0])); });
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, STATUS_HEADERS.length).setValues([STATUS_HEADERS]);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, STATUS_HEADERS.length).setValues(rows);
+  }
+  sheet.setFrozenRows(1);
+}
+
+
+// --- Marking Lost ---
+
+/**
+ * Marks a Tile lost or found on the Tile account that has it, then re-reads tile_states to confirm the change
+ * and refreshes the "Status" tab (which records the event). Does nothing unless EXPERIMENTAL_SET_LOST is true.
+ * @param {string} tileName The Tile name, as shown in the Tile app.
+ * @param {boolean} lost True to mark the Tile lost, false to mark it found.
+ * @return {Object} { ok: boolean, lines: string[] } describing what happened, with unverified: true when the
+ *     request was accepted but tile_states did not confirm the change.
+ */
+function setTileLost(tileName, lost) {
+  lost = lost !== false;
+  var lines = [];
+  if (!isSetTileLostEnabled()) {
+    return { ok: false, lines: [SET_LOST_DISABLED_MESSAGE] };
+  }
+  if (getTileAccounts().length === 0 || !SPREADSHEET_ID) {
+    return { ok: false, lines: ["Script properties (TILE_EMAIL, TILE_PASSWORD, SPREADSHEET_ID) are not set."] };
+  }
+  if (!tileName) {
+    return { ok: false, lines: ["No Tile name given."] };
+  }
+  var lock = acquireRunLock();
+  if (!lock) {
+    return { ok: false, lines: ["An update is running. Try again in a minute."] };
+  }
+  try {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var tileConfigs = getTileConfigs(ss);
+    var accountSessions = openAccountSessions();
+    var openSessions = accountSessions.filter(function(accountSession) { return !accountSession.error; });
+    if (openSessions.length === 0) {
+      return { ok: false, lines: accountSessions.map(function(accountSession) { return accountSession.errorMessage; }) };
+    }
+    var tileConfig = tileConfigs.filter(function(config) { return config.tileName === tileName; })[0] ||
+                     { tileName: tileName, account: '' };
+    var resolved = resolveTileAccount(accountSessions, tileConfig);
+    if (isApiError(resolved)) {
+      return { ok: false, lines: ["Tile '" + tileName + "' not found: " + describeApiError(resolved)] };
+    }
+    var tileSession = resolved.accountSession.tileSession;
+    var clientUuid = resolved.accountSession.account.clientUuid;
+    var tileUuid = resolved.tileUuid;
+
+    var result = callWithSessionRetry(tileSession, function(authInfo) {
+      return setTileLostFlag(clientUuid, authInfo, tileUuid, lost);
+    });
+    if (isApiError(result)) {
+      lines.push("Tile did not accept the change: " + describeApiError(result));
+      return { ok: false, lines: lines };
+    }
+
+    // Confirm with a fresh snapshot; the request's response alone doesn't say the flag changed
+    var tileStates = callWithSessionRetry(tileSession, function(authInfo) {
+      return fetchTileStates(clientUuid, authInfo);
+    });
+    var unverifiedLine = "Unverified: the Tile API accepted the (experimental) request, but ";
+    var checkLine = "Check the Tile app to see whether '" + tileName + "' is marked " + (lost ? "lost" : "found") + ".";
+    if (isApiError(tileStates)) {
+      lines.push(unverifiedLine + "re-reading tile_states to confirm it failed: " + describeApiError(tileStates), checkLine);
+      return { ok: false, unverified: true, lines: lines };
+    }
+    resolved.accountSession.tileStates = tileStates;
+    recordTileStatus(ss, mergeAccountTileStates(accountSessions), tileConfigs,
+                     accountSessions.some(function(accountSession) { return accountSession.error; }));
+    var current = tileStates.filter(function(tileState) { return tileState.tile_id === tileUuid; })[0];
+    if (!current || describeTileState(current).lost !== lost) {
+      lines.push(unverifiedLine + "tile_states does not show the change yet.", checkLine);
+      return { ok: false, unverified: true, lines: lines };
+    }
+    lines.push("'" + tileName + "' is now marked " + (lost ? "lost" : "found") + ".");
+    return { ok: true, lines: lines };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * @return {boolean} True if the EXPERIMENTAL_SET_LOST script property allows setTileLost() to send its request.
+ */
+function isSetTileLostEnabled() {
+  return parseConfigBoolean(SCRIPT_PROPS.getProperty(SET_LOST_ENABLED_KEY), false);
+}
+
+/**
+ * Marks a Tile lost. See setTileLost().
+ * @param {string} tileName The Tile name.
+ */
+function markTileLost(tileName) {
+  logMessage(setTileLost(tileName, true).lines.join("\n"));
+}
+
+/**
+ * Marks a Tile found. See setTileLost().
+ * @param {string} tileName The Tile name.
+ */
+function markTileFound(tileName) {
+  logMessage(setTileLost(tileName, false).lines.join("\n"));
+}
@@ -0,0 +1,278 @@
+/**
+ * Tile Tracker - Daily summary.
+ *
+ * Maintains a "Daily Summary" tab with one row per Tile per day (in the
+ * spreadsheet's time zone): point count, first and last report, distance
+ * traveled, maximum distance from home, and the longest gap between reports.
+ *
+ * Outliers (see Quality.js) are skipped. After each update only the affected
+ * days are recomputed: days that got new points, the day before them (its last
+ * point may have been re-flagged), the day after each new point (its first gap
+ * may have shrunk), and any days without reports between the previous report
+ * and the new ones, which get a row with 0 points so silent days stand out.
+ * rebuildDailySummary() recomputes everything.
+ *
+ * The home point is the HOME_LOCATION script property, either "lat,lon" or the
+ * name of a zone in the Zones tab.
+ */
+
+// --- Constants ---
+var DAILY_SUMMARY_SHEET_NAME = 'Daily Summary';
+var DAILY_SUMMARY_HEADERS = ['date', 'tile', 'points', 'first_seen', 'last_seen', 'distance_m', 'max_distance_from_home_m', 'longest_gap_min'];
+
+/**
+ * Updates the summary rows for the days affected by newly appended rows. Reads the Tile's tab from the day before
+ * the earliest new point onward (see readLocationPointsSince()).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Tile's cache sheet.
+ * @param {string} tileName The Tile name.
+ * @param {Array[]} addedRows Rows actually appended by updateSheet().
+ */
+function updateDailySummary(sheet, tileName, addedRows) {
+  if (addedRows.length === 0) { return; }
+  try {
+    var ss = sheet.getParent();
+    var timeZone = ss.getSpreadsheetTimeZone();
+    var earliest = addedRows.reduce(function(min, row) { return Math.min(min, row[0].getTime()); }, Infinity);
+    // Back to the last usable point before the day of the report preceding the earliest new point
+    var points = readLocationPointsSince(sheet, earliest, function(before) {
+      if (before.length === 0) { return false; }
+      var previousDay = formatDayKey(before[before.length - 1].timestamp, timeZone);
+      return before.some(function(point) {
+        return isUsableLocationPoint(point) && formatDayKey(point.timestamp, timeZone) < previousDay;
+      });
+    });
+    var addedMillis = {};
+    addedRows.forEach(function(row) { addedMillis[row[0].getTime()] = true; });
+
+    var days = {};
+    var earliestDay = null;
+    var previousDay = null; // Last reported day before the earliest new point
+    for (var i = 0; i < points.length; i++) {
+      if (!addedMillis[points[i].timestamp.getTime()]) { continue; }
+      var day = formatDayKey(points[i].timestamp, timeZone);
+      days[day] = true;
+      if (i + 1 < points.length) { days[formatDayKey(points[i + 1].timestamp, timeZone)] = true; }
+      if (earliestDay === null || day < earliestDay) {
+        earliestDay = day;
+        previousDay = i > 0 ? formatDayKey(points[i - 1].timestamp, timeZone) : null;
+      }
+    }
+    if (previousDay !== null) {
+      days[previousDay] = true;
+      for (var gapDay = nextDayKey(previousDay); gapDay < earliestDay; gapDay = nextDayKey(gapDay)) {
+        days[gapDay] = true;
+      }
+    }
+
+    var rows = buildDailySummaryRows(tileName, points.filter(isUsableLocationPoint), Object.keys(days), timeZone, getHomePoint(ss));
+    writeDailySummaryRows(ss, tileName, rows, false);
+  } catch (e) {
+    logMessage("Error updating daily summary for '" + tileName + "': " + e);
+  }
+}
+
+/**
+ * Rebuilds the summary from scratch for one Tile, or for every configured Tile if no name is given.
+ * Skipped while an update holds the run lock (see Scheduler.js).
+ * @param {string=} tileName The Tile name as listed in the Tiles config.
+ */
+function rebuildDailySummary(tileName) {
+  var lock = acquireRunLock();
+  if (!lock) {
+    logMessage("An update is still running. The daily summary was not rebuilt. Try again in a minute.");
+    return;
+  }
+  try {
+    rebuildDailySummaryLocked(tileName);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs rebuildDailySummary() while holding the lock that keeps it from overlapping an update.
+ * @param {string=} tileName The Tile name as listed in the Tiles config.
+ */
+function rebuildDailySummaryLocked(tileName) {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var timeZone = ss.getSpreadsheetTimeZone();
+  var home = getHomePoint(ss);
+  getTileConfigs(ss).forEach(function(tileConfig) {
+    if (tileName && tileConfig.tileName !== tileName) { return; }
+    var sheet = ss.getSheetByName(tileConfig.sheetName);
+    var points = sheet ? readLocationPointsWithArchive(sheet, new Date(0), SEGMENTS_LATEST_DATE).filter(isUsableLocationPoint) : [];
+    var days = [];
+    if (points.length > 0) {
+      var lastDay = formatDayKey(points[points.length - 1].timestamp, timeZone);
+      for (var day = formatDayKey(points[0].timestamp, timeZone); day <= lastDay; day = nextDayKey(day)) {
+        days.push(day);
+      }
+    }
+    writeDailySummaryRows(ss, tileConfig.tileName, buildDailySummaryRows(tileConfig.tileName, points, days, timeZone, home), true);
+    logMessage("Rebuilt daily summary for '" + tileConfig.tileName + "': " + days.length + " day(s).");
+  });
+}
+
+/**
+ * Computes summary rows for the given days.
+ * @param {string} tileName The Tile name.
+ * @param {Object[]} points The Tile's points, oldest first, reaching back at least to the last point before the first day.
+ * @param {string[]} days Day keys (yyyy-MM-dd) to compute.
+ * @param {string} timeZone Time zone for day boundaries.
+ * @param {Object|null} home Home point from getHomePoint().
+ * @return {Array[]} Rows in DAILY_SUMMARY_HEADERS order.
+ */
+function buildDailySummaryRows(tileName, points, days, timeZone, home) {
+  var wanted = {};
+  days.forEach(function(day) { wanted[day] = true; });
+  var stats = {};
+  var previousKey = null;
+  for (var i = 0; i < points.length; i++) {
+    var point = points[i];
+    var key = formatDayKey(point.timestamp, timeZone);
+    if (wanted[key]) {
+      var day = stats[key] || (stats[key] = { count: 0, first: point.timestamp, last: point.timestamp, distance: 0, maxFromHome: null, longestGap: null });
+      day.count++;
+      day.last = point.timestamp;
+      if (i > 0) {
+        var previous = points[i - 1];
+        var gap = point.timestamp.getTime() - previous.timestamp.getTime(); // The first gap of a day reaches back to the previous report
+        if (day.longestGap === null || gap > day.longestGap) { day.longestGap = gap; }
+        if (previousKey === key) {
+          day.distance += haversineMeters(previous.latitude, previous.longitude, point.latitude, point.longitude);
+        }
+      }
+      if (home) {
+        var fromHome = haversineMeters(home.latitude, home.longitude, point.latitude, point.longitude);
+        if (day.maxFromHome === null || fromHome > day.maxFromHome) { day.maxFromHome = fromHome; }
+      }
+    }
+    previousKey = key;
+  }
+
+  return days.map(function(key) {
+    var day = stats[key];
+    if (!day) { return [key, tileName, 0, '', '', 0, '', '']; }
+    return [
+      key,
+      tileName,
+      day.count,
+      day.first,
+      day.last,
+      Math.round(day.distance),
+      day.maxFromHome === null ? '' : Math.round(day.maxFromHome),
+      day.longestGap === null ? '' : Math.round(day.longestGap / 60000)
+    ];
+  });
+}
+
+/**
+ * Writes summary rows, replacing existing rows for the same day and Tile, and keeps the tab sorted by date and Tile.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {string} tileName The Tile name.
+ * @param {Array[]} rows Rows from buildDailySummaryRows().
+ * @param {boolean} replaceAll Whether to delete all of the Tile's existing rows first.
+ */
+function writeDailySummaryRows(ss, tileName, rows, replaceAll) {
+  var sheet = ss.getSheetByName(DAILY_SUMMARY_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(DAILY_SUMMARY_SHEET_NAME);
+    sheet.appendRow(DAILY_SUMMARY_HEADERS);
+    sheet.setFrozenRows(1);
+    logMessage("Created new sheet: " + DAILY_SUMMARY_SHEET_NAME);
+  }
+  var timeZone = ss.getSpreadsheetTimeZone();
+  var width = DAILY_SUMMARY_HEADERS.length;
+
+  var values = sheet.getDataRange().getValues();
+  var kept = [];
+  var existingIndex = {};
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i].slice(0, width);
+    if (row[1] === tileName && replaceAll) { continue; }
+    row[0] = row[0] instanceof Date ? formatDayKey(row[0], timeZone) : String(row[0]);
+    existingIndex[row[0] + '|' + row[1]] = kept.length;
+    kept.push(row);
+  }
+  rows.forEach(function(row) {
+    var key = row[0] + '|' + row[1];
+    if (existingIndex.hasOwnProperty(key)) {
+      kept[existingIndex[key]] = row;
+    } else {
+      existingIndex[key] = kept.length;
+      kept.push(row);
+    }
+  });
+  kept.sort(function(a, b) {
+    if (a[0] !== b[0]) { return a[0] < b[0] ? -1 : 1; }
+    return String(a[1]).localeCompare(String(b[1]));
+  });
+
+  // Rewrite the whole tab: it holds one row per Tile per day, so it stays small
+  if (values.length > 1) {
+    sheet.getRange(2, 1, values.length - 1, Math.max(width, values[0].length)).clearContent();
+  }
+  if (kept.length > 0) {
+    sheet.getRange(2, 1, kept.length, width).setValues(kept);
+  }
+}
+
+/**
+ * Reads the home point from the HOME_LOCATION script property: "lat,lon" or the name of a zone.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the Zones tab.
+ * @return {Object|null} { latitude, longitude }, or null if not configured or not found.
+ */
+function getHomePoint(ss) {
+  var value = SCRIPT_PROPS.getProperty('HOME_LOCATION');
+  if (!value) { return null; }
+  var parts = value.split(',');
+  if (parts.length === 2 && !isNaN(parseFloat(parts[0])) && !isNaN(parseFloat(parts[1]))) {
+    return { latitude: parseFloat(parts[0]), longitude: parseFloat(parts[1]) };
+  }
+  var zones = getZones(ss);
+  for (var i = 0; i < zones.length; i++) {
+    if (zones[i].name !== value.trim()) { continue; }
+    if (zones[i].type === 'circle') {
+      return { latitude: zones[i].latitude, longitude: zones[i].longitude };
+    }
+    var sumLat = 0, sumLon = 0;
+    zones[i].polygon.forEach(function(vertex) { sumLat += vertex[0]; sumLon += vertex[1]; });
+    return { latitude: sumLat / zones[i].polygon.length, longitude: sumLon / zones[i].polygon.length };
+  }
+  logMessage("Warning: HOME_LOCATION '" + value + "' is neither 'lat,lon' nor the name of an enabled zone.");
+  return null;
+}
+
+/**
+ * @param {Date} date A date.
+ * @param {string} timeZone Time zone for the day boundary.
+ * @return {string} Day key in yyyy-MM-dd format.
+ */
+function formatDayKey(date, timeZone) {
+  return Utilities.formatDate(date, timeZone, 'yyyy-MM-dd');
+}
+
+/**
+ * @param {string} dayKey Day key in yyyy-MM-dd format.
+ * @param {string} timeZone Time zone for the day boundary.
+ * @return {Date} Midnight at the start of that day in the time zone.
+ */
+function getDayStart(dayKey, timeZone) {
+  var midnightUtc = new Date(dayKey + 'T00:00:00Z').getTime();
+  var start = midnightUtc;
+  for (var i = 0; i < 2; i++) { // The second pass picks up a different offset on a daylight saving change
+    var offset = Utilities.formatDate(new Date(start), timeZone, 'Z'); // e.g. "+0200"
+    var minutes = Number(offset.substring(1, 3)) * 60 + Number(offset.substring(3, 5));
+    start = midnightUtc - (offset.charAt(0) === '-' ? -minutes : minutes) * 60 * 1000;
+  }
+  return new Date(start);
+}
+
+/**
+ * @param {string} dayKey Day key in yyyy-MM-dd format.
+ * @return {string} The following calendar day's key.
+ */
+function nextDayKey(dayKey) {
+  var noon = new Date(dayKey + 'T12:00:00Z');
+  return new Date(noon.getTime() + 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+}
@@ -0,0 +1,498 @@
+/**
+ * Tile Tracker - Tile API client.
+ *
+ * Every Tile API request goes through one client object, created by
+ * createTileClient(transport, baseUrl). The transport does the HTTP and has the
+ * same contract as UrlFetchApp: fetch(url, options) with options { method,
+ * headers, payload, muteHttpExceptions }, where an object payload is sent form
+ * encoded, returning a response with getResponseCode(), getContentText() and
+ * getHeaders(). In Apps Script the transport is UrlFetchApp itself. The Node.js
+ * CLI (node/cli.js) installs a client with its own transport via
+ * setTileClient(), and can point baseUrl at a local mock of the Tile API.
+ *
+ * The client paces and retries requests: it waits at least
+ * TILE_REQUEST_INTERVAL_MS between requests (so loops over many Tiles don't
+ * burst), and retries HTTP 429, 5xx and transient fetch exceptions with
+ * exponential backoff, honoring Retry-After. Only the final response reaches
+ * the caller.
+ *
+ * The request functions below return their value on success, or an apiError()
+ * (see Code.js) on failure. Session handling is in Session.js.
+ */
+
+// --- Constants ---
+var DEFAULT_TILE_MAX_RETRIES = 3;              // Overridable with TILE_MAX_RETRIES
+var DEFAULT_TILE_MAX_RETRY_WAIT_SECONDS = 60;  // Longer waits give up for this run; overridable with TILE_MAX_RETRY_WAIT_SECONDS
+var DEFAULT_TILE_REQUEST_INTERVAL_MS = 250;    // Overridable with TILE_REQUEST_INTERVAL_MS
+var TILE_RETRY_BASE_DELAY_MS = 1000;           // Doubled after each retry, unless the API sends Retry-After
+
+// Client used for all requests in this execution (see getTileClient)
+var tileClient = null;
+
+
+// --- Client ---
+
+/**
+ * Creates a Tile API client.
+ * @param {Object} transport Object with a UrlFetchApp-compatible fetch(url, options), e.g. UrlFetchApp.
+ * @param {string=} baseUrl API root, without a trailing slash. Defaults to BASE_API_URL.
+ * @return {Object} { baseUrl, transport, lastRequestAt, fetch(url, options) }. fetch() paces and retries (see fetchWithRetries).
+ */
+function createTileClient(transport, baseUrl) {
+  var client = {
+    baseUrl: baseUrl || BASE_API_URL,
+    transport: transport,
+    lastRequestAt: 0,
+    fetch: function(url, options) { return fetchWithRetries(client, url, options); }
+  };
+  return client;
+}
+
+/**
+ * @return {Object} The client installed with setTileClient(), or one using UrlFetchApp.
+ */
+function getTileClient() {
+  if (!tileClient) { tileClient = createTileClient(UrlFetchApp); }
+  return tileClient;
+}
+
+/**
+ * Replaces the client used by all Tile API requests, e.g. with one using a different transport or base URL.
+ * @param {Object} client Client from createTileClient().
+ */
+function setTileClient(client) {
+  tileClient = client;
+}
+
+
+// --- Pacing and Retries ---
+
+/**
+ * Sends a request through the client's transport, waiting for the request interval first and retrying
+ * HTTP 429, 5xx and transient fetch exceptions. A Retry-After header sets the wait; otherwise it doubles from
+ * TILE_RETRY_BASE_DELAY_MS. A wait longer than TILE_MAX_RETRY_WAIT_SECONDS is not retried in this run.
+ * @param {Object} client Client from createTileClient().
+ * @param {string} url Request URL.
+ * @param {Object} options UrlFetchApp options; muteHttpExceptions should be set.
+ * @return {GoogleAppsScript.URL_Fetch.HTTPResponse} The last response (or the transport's equivalent).
+ * @throws The last fetch exception, if the final attempt threw.
+ */
+function fetchWithRetries(client, url, options) {
+  var settings = getTileRequestSettings();
+  var label = String(options.method || 'get').toUpperCase() + " " + url.replace(client.baseUrl, '').split('?')[0];
+  for (var attempt = 0; ; attempt++) {
+    paceTileRequest(client, settings.intervalMs);
+    var response = null;
+    var failure = null;
+    try {
+      response = client.transport.fetch(url, options);
+    } catch (e) {
+      if (!isTransientFetchError(e)) { throw e; }
+      failure = e;
+    }
+    if (response && !isRetryableStatus(response.getResponseCode())) { return response; }
+
+    var waitMs = response ? getRetryAfterMs(response) : null;
+    if (waitMs === null) { waitMs = TILE_RETRY_BASE_DELAY_MS * Math.pow(2, attempt); }
+    var outcome = response ? "returned HTTP " + response.getResponseCode() : "threw: " + failure;
+    if (attempt >= settings.maxRetries || waitMs > settings.maxWaitMs) {
+      if (attempt > 0 || waitMs > settings.maxWaitMs) {
+        logMessage("Tile API " + label + " " + outcome + ". Giving up after " + (attempt + 1) + " attempt(s)" +
+                   (waitMs > settings.maxWaitMs ? "; the API asked to wait " + Math.ceil(waitMs / 1000) + "s." : "."));
+      }
+      if (failure) { throw failure; }
+      return response;
+    }
+    logMessage("Tile API " + label + " " + outcome + ". Retrying in " + Math.ceil(waitMs / 1000) + "s (retry " +
+               (attempt + 1) + " of " + settings.maxRetries + ").");
+    Utilities.sleep(waitMs);
+  }
+}
+
+/**
+ * Waits until at least intervalMs have passed since the client's previous request.
+ * @param {Object} client Client from createTileClient().
+ * @param {number} intervalMs Minimum gap between requests.
+ */
+function paceTileRequest(client, intervalMs) {
+  var waitMs = client.lastRequestAt + intervalMs - Date.now();
+  if (waitMs > 0) { Utilities.sleep(waitMs); }
+  client.lastRequestAt = Date.now();
+}
+
+/**
+ * @return {Object} { maxRetries, maxWaitMs, intervalMs } from script properties or the defaults.
+ */
+function getTileRequestSettings() {
+  return {
+    maxRetries: Math.floor(readNumberProperty('TILE_MAX_RETRIES', DEFAULT_TILE_MAX_RETRIES)),
+    maxWaitMs: readNumberProperty('TILE_MAX_RETRY_WAIT_SECONDS', DEFAULT_TILE_MAX_RETRY_WAIT_SECONDS) * 1000,
+    intervalMs: readNumberProperty('TILE_REQUEST_INTERVAL_MS', DEFAULT_TILE_REQUEST_INTERVAL_MS)
+  };
+}
+
+/**
+ * @param {number} responseCode HTTP status code.
+ * @return {boolean} True for 429 Too Many Requests and 5xx server errors.
+ */
+function isRetryableStatus(responseCode) {
+  return responseCode === 429 || responseCode >= 500;
+}
+
+/**
+ * Whether a fetch exception is worth retrying. Apps Script quota errors are not; they last for the day.
+ * @param {Error} error The exception thrown by the transport.
+ * @return {boolean} True for network errors and timeouts.
+ */
+function isTransientFetchError(error) {
+  return !/invoked too many times|quota|bandwidth/i.test(String(error));
+}
+
+/**
+ * Reads Retry-After (delay in seconds or an HTTP date).
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response The response.
+ * @return {number|null} Milliseconds to wait, or null if the header is missing or invalid.
+ */
+function getRetryAfterMs(response) {
+  var headers = response.getHeaders() || {};
+  var value = null;
+  Object.keys(headers).forEach(function(name) {
+    if (name.toLowerCase() === 'retry-after') { value = String(headers[name]).trim(); }
+  });
+  if (!value) { return null; }
+  if (/^\d+$/.test(value)) { return Number(value) * 1000; }
+  var date = new Date(value);
+  return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now());
+}
+
+
+// --- Requests ---
+
+/**
+ * Sends a Tile API request with the app headers (and the session cookie, if given).
+ * @param {string} method HTTP method, e.g. 'get'.
+ * @param {string} path Path below the client's base URL, e.g. "/tiles/tile_states".
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {Object|null} authInfo Authentication info object containing { cookies: string }, or null before login.
+ * @param {Object=} payload Form fields, sent form encoded.
+ * @return {GoogleAppsScript.URL_Fetch.HTTPResponse} The final response (see fetchWithRetries).
+ */
+function tileApiRequest(method, path, clientUuid, authInfo, payload) {
+  var options = {
+    'method': method,
+    'headers': authInfo ? buildAuthHeaders(clientUuid, authInfo) : buildTileHeaders(clientUuid),
+    'muteHttpExceptions': true
+  };
+  if (payload) { options.payload = payload; }
+  return getTileClient().fetch(getTileClient().baseUrl + path, options);
+}
+
+/**
+ * Builds the app headers sent with every Tile API request. The app constants are overridable (see Code.js).
+ * @param {string} clientUuid The unique identifier for this client.
+ * @return {Object} Request headers.
+ */
+function buildTileHeaders(clientUuid) {
+  return {
+    'User-Agent': TILE_USER_AGENT,
+    'tile_api_version': TILE_API_VERSION,
+    'tile_app_id': TILE_APP_ID,
+    'tile_app_version': TILE_APP_VERSION,
+    'tile_client_uuid': clientUuid
+  };
+}
+
+/**
+ * Establishes a session with the Tile API (2-step) and captures authentication cookies.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {string} email User's Tile email.
+ * @param {string} password User's Tile password.
+ * @return {Object} Object containing { userUuid: string, cookies: string, expiresAt: number|null } on success, or an apiError() on failure.
+ */
+function establishSessionAndGetCookies(clientUuid, email, password) {
+  var payloadStep1 = { // Payload for PUT client - form encoded by the transport
+    'app_id': TILE_APP_ID,
+    'app_version': TILE_APP_VERSION,
+    'locale': TILE_LOCALE
+  };
+
+  try {
+    // --- Step 1: Register/Establish Client ---
+    logMessage("Attempting PUT Client to: " + getTileClient().baseUrl + "/clients/" + clientUuid);
+    var responseStep1 = tileApiRequest('put', "/clients/" + clientUuid, clientUuid, null, payloadStep1);
+    var responseCodeStep1 = responseStep1.getResponseCode();
+    logMessage("PUT Client Response Code: " + responseCodeStep1);
+    // logMessage("PUT Client Response Body: " + responseStep1.getContentText()); // Usually empty on success
+
+    // Check for success (e.g., 200 OK, 201 Created, or 204 No Content)
+    if (responseCodeStep1 < 200 || responseCodeStep1 >= 300) {
+      logMessage("PUT Client failed: HTTP " + responseCodeStep1 + ". Body: " + responseStep1.getContentText().substring(0,500));
+      recordApiStatus('login', responseCodeStep1);
+      return httpApiError(responseCodeStep1, "PUT Client", responseStep1.getContentText());
+    }
+    logMessage("PUT Client successful.");
+
+    // --- Step 2: Create Session (Login) ---
+     var responseStep2 = postSessionLogin(clientUuid, email, password, null);
+     var responseCodeStep2 = responseStep2.getResponseCode();
+     var responseBodyStep2 = responseStep2.getContentText();
+     logMessage("POST Session Response Code: " + responseCodeStep2);
+     recordApiStatus('login', responseCodeStep2);
+
+     // --- Step 2b: Verification code (accounts with two-factor login) ---
+     if (isVerificationRequired(responseCodeStep2, tryParseJson(responseBodyStep2))) {
+        logMessage("Tile requires a verification code for this login.");
+        var verificationCode = getVerificationCode(clientUuid);
+        if (!verificationCode) {
+           var codeKey = getAccountPropertyKey('TILE_2FA_CODE', clientUuid);
+           logMessage("ERROR: No verification code available. Set the " + codeKey + " script property to the code Tile sent you and run again.");
+           return apiError(API_ERROR.VERIFICATION_REQUIRED, responseCodeStep2, "Tile requires a verification code. Set " + codeKey + " and run again.");
+        }
+        responseStep2 = postSessionLogin(clientUuid, email, password, verificationCode);
+        responseCodeStep2 = responseStep2.getResponseCode();
+        responseBodyStep2 = responseStep2.getContentText();
+        logMessage("POST Session (with verification code) Response Code: " + responseCodeStep2);
+        recordApiStatus('login', responseCodeStep2);
+     }
+     var responseHeadersStep2 = responseStep2.getHeaders(); // Get all headers
+
+     if (responseCodeStep2 >= 200 && responseCodeStep2 < 300) {
+        var jsonResponse = tryParseJson(responseBodyStep2);
+        // Check for expected data in response
+        if (jsonResponse && jsonResponse.result && jsonResponse.result.user && jsonResponse.result.user.user_uuid) {
+           // CRITICAL: Capture and parse cookies
+           // Header key might be 'Set-Cookie' or 'set-cookie'
+           var setCookieHeader = responseHeadersStep2['Set-Cookie'] || responseHeadersStep2['set-cookie'];
+           var cookieString = parseSetCookieHeaders(setCookieHeader);
+
+           if (!cookieString) {
+               logMessage("Warning: POST Session successful, but no Set-Cookie header found or parsed. Subsequent requests might fail.");
+               // Proceed anyway, but log warning
+           } else {
+               logMessage("Successfully parsed cookies.");
+           }
+
+           // Prefer the expiry the API reports, then the cookie attributes
+           var expiresAt = Number(jsonResponse.result.session_expiration_timestamp) || parseSetCookieExpiry(setCookieHeader);
+
+           return {
+              userUuid: jsonResponse.result.user.user_uuid,
+              cookies: cookieString, // Return the parsed cookie string
+              expiresAt: expiresAt || null
+           };
+        } else {
+           logMessage("POST Session failed: user_uuid not found in expected response structure. Body sample: " + responseBodyStep2.substring(0, 500));
+           return apiError(API_ERROR.SCHEMA_CHANGED, responseCodeStep2, "POST Session response has no result.user.user_uuid.");
+        }
+     } else {
+        logMessage("POST Session failed: HTTP " + responseCodeStep2 + ". Body sample: " + responseBodyStep2.substring(0, 500));
+        var loginError = httpApiError(responseCodeStep2, "POST Session", responseBodyStep2);
+        if (loginError.type === API_ERROR.SESSION_REJECTED || responseCodeStep2 === 400) {
+           loginError.type = API_ERROR.BAD_CREDENTIALS; // A rejected login means the email/password were not accepted
+        }
+        return loginError;
+     }
+
+  } catch (e) {
+    logMessage("Establish session exception: " + e);
+    logMessage("Stack: " + e.stack);
+    return apiError(API_ERROR.NETWORK_ERROR, null, "Login request threw: " + e);
+  }
+}
+
+
+/**
+ * Sends the POST session (login) request, optionally with a verification code.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {string} email User's Tile email.
+ * @param {string} password User's Tile password.
+ * @param {string|null} verificationCode Two-factor code, or null for the first attempt.
+ * @return {GoogleAppsScript.URL_Fetch.HTTPResponse} The raw response (or the transport's equivalent).
+ */
+function postSessionLogin(clientUuid, email, password, verificationCode) {
+  var payload = { // Payload for POST session - form encoded
+     'email': email,
+     'password': password
+  };
+  if (verificationCode) {
+     payload['verification_code'] = verificationCode;
+  }
+  var path = "/clients/" + clientUuid + "/sessions";
+
+  logMessage("Attempting POST Session to: " + getTileClient().baseUrl + path);
+  return tileApiRequest('post', path, clientUuid, null, payload);
+}
+
+
+/**
+ * Builds the headers sent with every authenticated Tile API request.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {Object} authInfo Authentication info object containing { cookies: string }.
+ * @return {Object} Request headers including the session Cookie.
+ */
+function buildAuthHeaders(clientUuid, authInfo) {
+  var headers = buildTileHeaders(clientUuid);
+  headers['Cookie'] = authInfo.cookies; // Add the captured cookies
+  return headers;
+}
+
+
+/**
+ * Whether an HTTP status means the session cookies were not accepted.
+ * @param {number} responseCode HTTP status code.
+ * @return {boolean} True for 401 Unauthorized and 403 Forbidden.
+ */
+function isSessionRejectedCode(responseCode) {
+  return responseCode === 401 || responseCode === 403;
+}
+
+
+/**
+ * Lists the Tiles on the account via tiles/tile_states.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {Object} authInfo Authentication info object containing { cookies: string }.
+ * @return {Object[]|Object} The raw tile state entries (each has at least tile_id), or an apiError() on failure.
+ */
+function fetchTileStates(clientUuid, authInfo) {
+  if (!authInfo || !authInfo.cookies) {
+     logMessage("fetchTileStates Error: Missing authInfo.cookies");
+     return apiError(API_ERROR.SESSION_REJECTED, null, "Missing session cookies.");
+  }
+
+  try {
+     logMessage("Attempting GET Tile States from: " + getTileClient().baseUrl + "/tiles/tile_states");
+     var responseStates = tileApiRequest('get', "/tiles/tile_states", clientUuid, authInfo);
+     var responseCodeStates = responseStates.getResponseCode();
+     var responseBodyStates = responseStates.getContentText();
+     logMessage("Get Tile States Response Code: " + responseCodeStates);
+     recordApiStatus('tile_states', responseCodeStates);
+
+     if (responseCodeStates === 200) {
+        var jsonStates = tryParseJson(responseBodyStates);
+        if (jsonStates && Array.isArray(jsonStates.result)) {
+           var tileStates = jsonStates.result.filter(function(tileState) { return tileState && tileState.tile_id; });
+           logMessage("Found " + tileStates.length + " tile IDs from tile_states.");
+           return tileStates;
+        } else {
+           logMessage("Get Tile States failed: 'result' array not found or invalid. Body sample: " + responseBodyStates.substring(0,500));
+           return apiError(API_ERROR.SCHEMA_CHANGED, responseCodeStates, "tile_states response has no 'result' array.");
+        }
+     } else {
+        logMessage("Get Tile States failed: HTTP " + responseCodeStates + ". Body sample: " + responseBodyStates.substring(0, 500));
+        return httpApiError(responseCodeStates, "Get Tile States", responseBodyStates);
+     }
+  } catch (e) {
+     logMessage("Get Tile States exception: " + e);
+     logMessage("Stack: " + e.stack);
+     return apiError(API_ERROR.NETWORK_ERROR, null, "Get Tile States threw: " + e);
+  }
+}
+
+
+/**
+ * Fetches the details record (name, archetype, firmware, last state...) for one Tile.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {Object} authInfo Authentication info object containing { cookies: string }.
+ * @param {string} tileUuid The unique identifier (UUID) of the Tile.
+ * @return {Object} { code: number, result: Object|null }, or an apiError() if the session was rejected
+ *     or the fetch threw. Tile labels answer with code 412 and no result (as noted in pytile).
+ */
+function fetchTileDetails(clientUuid, authInfo, tileUuid) {
+  try {
+     //logMessage("Attempting GET Tile Details for: " + tileUuid); // Can be very verbose
+     var responseDetails = tileApiRequest('get', "/tiles/" + tileUuid, clientUuid, authInfo);
+     var responseCodeDetails = responseDetails.getResponseCode();
+     recordApiStatus('details', responseCodeDetails);
+     if (isSessionRejectedCode(responseCodeDetails)) {
+        return httpApiError(responseCodeDetails, "Get Tile Details", responseDetails.getContentText());
+     }
+     if (responseCodeDetails !== 200) {
+        return { code: responseCodeDetails, result: null };
+     }
+     var jsonDetails = tryParseJson(responseDetails.getContentText());
+     return { code: responseCodeDetails, result: jsonDetails && jsonDetails.result ? jsonDetails.result : null };
+  } catch (e) {
+     logMessage("Get Tile Details exception for " + tileUuid + ": " + e);
+     return apiError(API_ERROR.NETWORK_ERROR, null, "Get Tile Details threw: " + e);
+  }
+}
+
+
+/**
+ * Fetches location history for a specific Tile UUID using cookies for auth.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {Object} authInfo Authentication info object containing { cookies: string }.
+ * @param {string} tileUuid The unique identifier (UUID) of the Tile.
+ * @param {Date} startTime The start time for the history fetch.
+ * @param {Date} endTime The end time for the history fetch.
+ * @return {Object} Raw history response object, or an apiError() on failure.
+ */
+function fetchTileHistoryFromAPI(clientUuid, authInfo, tileUuid, startTime, endTime) {
+   if (!authInfo || !authInfo.cookies) { logMessage("fetchTileHistoryFromAPI Error: Missing authInfo.cookies"); return apiError(API_ERROR.SESSION_REJECTED, null, "Missing session cookies."); }
+   if (!tileUuid) { logMessage("fetchTileHistoryFromAPI Error: Missing tileUuid"); return apiError(API_ERROR.UNEXPECTED, null, "Missing Tile UUID."); }
+   if (!(startTime instanceof Date) || !(endTime instanceof Date)) { logMessage("fetchTileHistoryFromAPI Error: Invalid startTime or endTime"); return apiError(API_ERROR.UNEXPECTED, null, "Invalid history time range."); }
+
+   var startTimeMillis = startTime.getTime();
+   var endTimeMillis = endTime.getTime();
+   // CORRECTED URL construction with /location/
+   var path = Utilities.formatString("/tiles/location/history/%s?start_timestamp_ms=%s&end_timestamp_ms=%s",
+                                    tileUuid, startTimeMillis, endTimeMillis);
+
+   try {
+     logMessage("Attempting GET History from: " + getTileClient().baseUrl + path);
+     var response = tileApiRequest('get', path, clientUuid, authInfo);
+     var responseCode = response.getResponseCode();
+     var responseBody = response.getContentText();
+     logMessage("Get History Response Code: " + responseCode);
+     recordApiStatus('history', responseCode);
+
+     if (responseCode === 200) {
+       var jsonResponse = tryParseJson(responseBody);
+       // Check if the expected structure is present before returning
+       if (jsonResponse && jsonResponse.result && jsonResponse.result.hasOwnProperty('location_updates') &&
+           (jsonResponse.result.location_updates === null || Array.isArray(jsonResponse.result.location_updates))) {
+          if (jsonResponse.result.location_updates === null) { jsonResponse.result.location_updates = []; } // No points in range
+          logMessage("Tile history fetch successful. Found " + jsonResponse.result.location_updates.length + " items in result.location_updates.");
+          return jsonResponse; // Return the whole object
+       } else {
+          logMessage("Tile history fetch failed: 'result.location_updates' structure not found or invalid. Body sample: " + responseBody.substring(0,500));
+          return apiError(API_ERROR.SCHEMA_CHANGED, responseCode, "History response has no 'result.location_updates' array.");
+       }
+     } else {
+       logMessage("Tile history fetch failed: HTTP " + responseCode + ". Body sample: " + responseBody.substring(0, 500));
+       return httpApiError(responseCode, "Get History", responseBody);
+     }
+   } catch (e) {
+     logMessage("Tile history fetch exception: " + e);
+     logMessage("Stack: " + e.stack);
+     return apiError(API_ERROR.NETWORK_ERROR, null, "Get History threw: " + e);
+   }
+}
+
+
+/**
+ * Sets or clears a Tile's lost flag. Experimental: neither the Tile API nor pytile documents a call for this, so
+ * PUT tiles/<uuid> with is_lost is unverified. setTileLost() only sends it when EXPERIMENTAL_SET_LOST is on, and
+ * re-reads tile_states to check that it took effect.
+ * @param {string} clientUuid The unique identifier for this client.
+ * @param {Object} authInfo Authentication info object containing { cookies: string }.
+ * @param {string} tileUuid The unique identifier (UUID) of the Tile.
+ * @param {boolean} lost The new lost flag.
+ * @return {boolean|Object} True if the API accepted the request, or an apiError() on failure.
+ */
+function setTileLostFlag(clientUuid, authInfo, tileUuid, lost) {
+  try {
+     logMessage("Attempting PUT Tile lost=" + lost + " for: " + tileUuid);
+     var response = tileApiRequest('put', "/tiles/" + tileUuid, clientUuid, authInfo, { 'is_lost': lost ? 'true' : 'false' });
+     var responseCode = response.getResponseCode();
+     logMessage("Set Lost Response Code: " + responseCode);
+     if (responseCode >= 200 && responseCode < 300) {
+        return true;
+     }
+     logMessage("Set Lost failed: HTTP " + responseCode + ". Body sample: " + response.getContentText().substring(0, 500));
+     return httpApiError(responseCode, "Set Lost", response.getContentText());
+  } catch (e) {
+     logMessage("Set Lost exception: " + e);
+     return apiError(API_ERROR.NETWORK_ERROR, null, "Set Lost threw: " + e);
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Tile Tracker - Tracked Tile configuration.
+ *
+ * Reads the list of Tiles to track from a "Tiles" config sheet or, if that tab
+ * does not exist, from the TILES_CONFIG script property (JSON array). Falls back
+ * to the legacy single TILE_NAME / SHEET_NAME script properties.
+ */
+
+// --- Constants ---
+var TILES_CONFIG_SHEET_NAME = 'Tiles';
+var TILES_CONFIG_HEADERS = ['tile_name', 'sheet_name', 'enabled', 'backfill_days', 'backfill_window_days', 'stale_after_hours',
+                            'interval_minutes', 'account'];
+var DEFAULT_BACKFILL_DAYS = 120;
+var DEFAULT_BACKFILL_WINDOW_DAYS = 7; // Overridable with the BACKFILL_WINDOW_DAYS script property
+var DEFAULT_INTERVAL_MINUTES = 60;     // Overridable with the UPDATE_INTERVAL_MINUTES script property
+
+/**
+ * Returns the configured Tiles, in the order they are listed.
+ * Precedence: "Tiles" sheet, then TILES_CONFIG script property, then TILE_NAME/SHEET_NAME.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the config tab.
+ * @return {Object[]} Array of { tileName: string, sheetName: string, enabled: boolean, backfillDays: number,
+ *     backfillWindowDays: number, staleAfterHours: number, intervalMinutes: number, account: string }.
+ */
+function getTileConfigs(ss) {
+  var configSheet = ss ? ss.getSheetByName(TILES_CONFIG_SHEET_NAME) : null;
+  if (configSheet) {
+    var sheetConfigs = readTileConfigsFromSheet(configSheet);
+    logMessage("Loaded " + sheetConfigs.length + " tile config(s) from sheet '" + TILES_CONFIG_SHEET_NAME + "'.");
+    return sheetConfigs;
+  }
+
+  var json = SCRIPT_PROPS.getProperty('TILES_CONFIG');
+  if (json) {
+    try {
+      var parsed = JSON.parse(json);
+      if (!Array.isArray(parsed)) {
+        logMessage("ERROR: TILES_CONFIG script property must be a JSON array.");
+        return [];
+      }
+      var propConfigs = parsed.map(normalizeTileConfig).filter(function(config) { return config !== null; });
+      logMessage("Loaded " + propConfigs.length + " tile config(s) from TILES_CONFIG script property.");
+      return propConfigs;
+    } catch (e) {
+      logMessage("ERROR: Could not parse TILES_CONFIG script property: " + e);
+      return [];
+    }
+  }
+
+  // Legacy single-tile configuration
+  if (TILE_NAME) {
+    logMessage("No Tiles config found. Falling back to TILE_NAME/SHEET_NAME script properties.");
+    var legacy = normalizeTileConfig({ tile_name: TILE_NAME, sheet_name: SHEET_NAME || TILE_NAME });
+    return legacy ? [legacy] : [];
+  }
+  return [];
+}
+
+/**
+ * Finds a configured Tile by name, whether or not it is enabled.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the config tab.
+ * @param {string} tileName The Tile name as listed in the Tiles config.
+ * @return {Object|null} The tile config, or null if no Tile has that name.
+ */
+function findTileConfig(ss, tileName) {
+  var configs = getTileConfigs(ss);
+  for (var i = 0; i < configs.length; i++) {
+    if (configs[i].tileName === tileName) { return configs[i]; }
+  }
+  return null;
+}
+
+/**
+ * Reads tile configs from the config sheet. Columns are located by header name, so they can be reordered.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Tiles" config sheet.
+ * @return {Object[]} Array of normalized tile configs. Rows without a tile name are skipped.
+ */
+function readTileConfigsFromSheet(sheet) {
+  var values = sheet.getDataRange().getValues();
+  if (values.length <= 1) { return []; }
+
+  var header = values[0].map(function(h) { return String(h).trim().toLowerCase(); });
+  var configs = [];
+  for (var i = 1; i < values.length; i++) {
+    var raw = {};
+    for (var c = 0; c < header.length; c++) {
+      if (header[c]) { raw[header[c]] = values[i][c]; }
+    }
+    var config = normalizeTileConfig(raw);
+    if (config) { configs.push(config); }
+  }
+  return configs;
+}
+
+/**
+ * Normalizes a raw config object (from the sheet or JSON) into a tile config.
+ * Accepts snake_case keys as used in the sheet header, or camelCase keys in JSON.
+ * @param {Object} raw e.g. { tile_name: 'Milkdud3', sheet_name: 'Milkdud3', enabled: true, backfill_days: 30, backfill_window_days: 7, stale_after_hours: 24, interval_minutes: 10, account: 'work' }.
+ * @return {Object|null} Normalized config, or null if the tile name is missing.
+ */
+function normalizeTileConfig(raw) {
+  if (!raw || typeof raw !== 'object') { return null; }
+  var tileName = pickConfigValue(raw, 'tile_name', 'tileName');
+  tileName = tileName == null ? '' : String(tileName).trim();
+  if (!tileName) { return null; }
+
+  var sheetName = pickConfigValue(raw, 'sheet_name', 'sheetName');
+  sheetName = sheetName == null || String(sheetName).trim() === '' ? tileName : String(sheetName).trim();
+
+  var backfillDays = Number(pickConfigValue(raw, 'backfill_days', 'backfillDays'));
+  if (isNaN(backfillDays) || backfillDays <= 0) { backfillDays = DEFAULT_BACKFILL_DAYS; }
+
+  var backfillWindowDays = Number(pickConfigValue(raw, 'backfill_window_days', 'backfillWindowDays') ||
+                                  SCRIPT_PROPS.getProperty('BACKFILL_WINDOW_DAYS'));
+  if (isNaN(backfillWindowDays) || backfillWindowDays <= 0) { backfillWindowDays = DEFAULT_BACKFILL_WINDOW_DAYS; }
+
+  // 0 disables the "not seen" alert for this Tile
+  var staleAfterHours = pickConfigValue(raw, 'stale_after_hours', 'staleAfterHours');
+  if (staleAfterHours == null) { staleAfterHours = SCRIPT_PROPS.getProperty('STALE_AFTER_HOURS'); }
+  staleAfterHours = Number(staleAfterHours == null || staleAfterHours === '' ? DEFAULT_STALE_AFTER_HOURS : staleAfterHours);
+  if (isNaN(staleAfterHours) || staleAfterHours < 0) { staleAfterHours = DEFAULT_STALE_AFTER_HOURS; }
+
+  // How often scheduledUpdate() updates this Tile (see Scheduler.js)
+  var intervalMinutes = Number(pickConfigValue(raw, 'interval_minutes', 'intervalMinutes') ||
+                               SCRIPT_PROPS.getProperty('UPDATE_INTERVAL_MINUTES'));
+  if (isNaN(intervalMinutes) || intervalMinutes <= 0) { intervalMinutes = DEFAULT_INTERVAL_MINUTES; }
+
+  // Tile account to update it through (see Accounts.js); empty for the first account that has the Tile
+  var account = pickConfigValue(raw, 'account', 'account');
+
+  return {
+    tileName: tileName,
+    sheetName: sheetName,
+    enabled: parseConfigBoolean(pickConfigValue(raw, 'enabled', 'enabled'), true),
+    backfillDays: backfillDays,
+    backfillWindowDays: backfillWindowDays,
+    staleAfterHours: staleAfterHours,
+    intervalMinutes: intervalMinutes,
+    account: account == null ? '' : String(account).trim()
+  };
+}
+
+/**
+ * Returns the first defined, non-empty value among the given keys.
+ * @param {Object} raw The raw config object.
+ * @param {string} snakeKey Key as used in the sheet header.
+ * @param {string} camelKey Key as used in JSON.
+ * @return {*} The value, or null if neither key is set.
+ */
+function pickConfigValue(raw, snakeKey, camelKey) {
+  if (raw[snakeKey] != null && raw[snakeKey] !== '') { return raw[snakeKey]; }
+  if (raw[camelKey] != null && raw[camelKey] !== '') { return raw[camelKey]; }
+  return null;
+}
+
+/**
+ * Parses a checkbox / string / number into a boolean.
+ * @param {*} value e.g. true, 'TRUE', 'yes', 0, 'off'.
+ * @param {boolean} defaultValue Returned when the value is empty.
+ * @return {boolean}
+ */
+function parseConfigBoolean(value, defaultValue) {
+  if (value == null || value === '') { return defaultValue; }
+  if (typeof value === 'boolean') { return value; }
+  if (typeof value === 'number') { return value !== 0; }
+  var normalized = String(value).trim().toLowerCase();
+  if (['false', 'no', 'n', '0', 'off', 'disabled'].indexOf(normalized) !== -1) { return false; }
+  if (['true', 'yes', 'y', '1', 'on', 'enabled'].indexOf(normalized) !== -1) { return true; }
+  return defaultValue;
+}
+
+/**
+ * Creates the "Tiles" config tab with headers, seeded from TILE_NAME/SHEET_NAME if set.
+ * Run this once from the editor to switch to sheet-based configuration.
+ */
+function createTilesConfigSheet() {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  if (ss.getSheetByName(TILES_CONFIG_SHEET_NAME)) {
+    logMessage("Sheet '" + TILES_CONFIG_SHEET_NAME + "' already exists.");
+    return;
+  }
+  var sheet = ss.insertSheet(TILES_CONFIG_SHEET_NAME);
+  sheet.appendRow(TILES_CONFIG_HEADERS);
+  if (TILE_NAME) {
+    sheet.appendRow([TILE_NAME, SHEET_NAME || TILE_NAME, true, DEFAULT_BACKFILL_DAYS, DEFAULT_BACKFILL_WINDOW_DAYS, DEFAULT_STALE_AFTER_HOURS,
+                    DEFAULT_INTERVAL_MINUTES]);
+  }
+  sheet.setFrozenRows(1);
+  logMessage("Created config sheet: " + TILES_CONFIG_SHEET_NAME);
+}
@@ -0,0 +1,23 @@
+/**
+ * Tile Tracker - Web app entry point.
+ *
+ * A project has a single doGet(), so requests are routed by their parameters:
+ *   format=gpx|kml|geojson|csv   track export (Export.js)
+ *   api=tiles|track              dashboard JSON (Dashboard.js)
+ *   anything else                the map dashboard page (Dashboard.js)
+ */
+
+/**
+ * @param {Object} e The web app event.
+ * @return {GoogleAppsScript.HTML.HtmlOutput|GoogleAppsScript.Content.TextOutput} The response.
+ */
+function doGet(e) {
+  var params = (e && e.parameter) || {};
+  if (params.format) {
+    return handleExportRequest(params);
+  }
+  if (params.api) {
+    return handleDashboardApiRequest(params);
+  }
+  return handleDashboardPageRequest(params);
+}
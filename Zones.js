@@ -0,0 +1,262 @@
+/**
+ * Tile Tracker - Geofence zones.
+ *
+ * Zones are listed in a "Zones" tab, either as a circle (center + radius) or a
+ * polygon. Every new point is tagged with the first zone that contains it. When
+ * a Tile's zone changes, an enter/exit event is appended to the "Events" tab and
+ * a notification is sent by email (ZONE_ALERT_EMAIL) and/or to a webhook
+ * (ZONE_WEBHOOK_URL).
+ *
+ * The last zone seen per Tile is kept in the ZONE_STATE script property, so only
+ * points newer than the last processed one can cause a transition. Backfilled
+ * history is tagged and recorded, but only recent transitions are notified.
+ */
+
+// --- Constants ---
+var ZONES_SHEET_NAME = 'Zones';
+var ZONES_HEADERS = ['name', 'center_latitude', 'center_longitude', 'radius_m', 'polygon', 'enabled', 'notify'];
+var EVENTS_SHEET_NAME = 'Events';
+var EVENTS_HEADERS = ['timestamp', 'tile', 'event', 'zone', 'latitude', 'longitude', 'notified'];
+var ZONE_STATE_KEY = 'ZONE_STATE';
+var ZONE_NOTIFY_MAX_AGE_MINUTES = 120; // Older transitions (e.g. from a backfill) are recorded but not notified
+
+// Zones loaded during this execution (see getZones)
+var loadedZones = null;
+
+/**
+ * Returns the enabled zones from the "Zones" tab, loading them once per execution.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the Zones tab.
+ * @return {Object[]} Zones { name, type: 'circle'|'polygon', latitude, longitude, radiusMeters, polygon, notify }.
+ */
+function getZones(ss) {
+  if (loadedZones) { return loadedZones; }
+  loadedZones = [];
+  var sheet = ss.getSheetByName(ZONES_SHEET_NAME);
+  if (!sheet) { return loadedZones; }
+
+  var values = sheet.getDataRange().getValues();
+  if (values.length <= 1) { return loadedZones; }
+  var header = values[0].map(function(h) { return String(h).trim().toLowerCase(); });
+  for (var i = 1; i < values.length; i++) {
+    var raw = {};
+    for (var c = 0; c < header.length; c++) {
+      if (header[c]) { raw[header[c]] = values[i][c]; }
+    }
+    var zone = parseZone(raw, i + 1);
+    if (zone) { loadedZones.push(zone); }
+  }
+  logMessage("Loaded " + loadedZones.length + " zone(s) from sheet '" + ZONES_SHEET_NAME + "'.");
+  return loadedZones;
+}
+
+/**
+ * Parses one row of the Zones tab.
+ * @param {Object} raw Row values keyed by header name.
+ * @param {number} rowNumber Sheet row, for error messages.
+ * @return {Object|null} The zone, or null if it is disabled or invalid.
+ */
+function parseZone(raw, rowNumber) {
+  var name = raw.name == null ? '' : String(raw.name).trim();
+  if (!name || !parseConfigBoolean(raw.enabled, true)) { return null; }
+  var notify = parseConfigBoolean(raw.notify, true);
+
+  if (raw.polygon != null && String(raw.polygon).trim() !== '') {
+    var polygon = parseZonePolygon(String(raw.polygon));
+    if (!polygon) {
+      logMessage("Warning: Zone '" + name + "' (row " + rowNumber + ") has an invalid polygon. Expected 'lat,lon; lat,lon; lat,lon'.");
+      return null;
+    }
+    return { name: name, type: 'polygon', polygon: polygon, notify: notify };
+  }
+
+  var latitude = parseFloat(raw.center_latitude);
+  var longitude = parseFloat(raw.center_longitude);
+  var radiusMeters = parseFloat(raw.radius_m);
+  if (isNaN(latitude) || isNaN(longitude) || isNaN(radiusMeters) || radiusMeters <= 0) {
+    logMessage("Warning: Zone '" + name + "' (row " + rowNumber + ") needs center_latitude, center_longitude and a positive radius_m, or a polygon.");
+    return null;
+  }
+  return { name: name, type: 'circle', latitude: latitude, longitude: longitude, radiusMeters: radiusMeters, notify: notify };
+}
+
+/**
+ * Parses a polygon written as "lat,lon; lat,lon; ..." or as a JSON array [[lat, lon], ...].
+ * @param {string} text The cell value.
+ * @return {number[][]|null} At least three vertices, or null if invalid.
+ */
+function parseZonePolygon(text) {
+  var vertices = null;
+  var trimmed = text.trim();
+  if (trimmed.charAt(0) === '[') {
+    vertices = tryParseJson(trimmed);
+  } else {
+    vertices = trimmed.split(';').map(function(pair) {
+      return pair.split(',').map(function(part) { return parseFloat(part); });
+    });
+  }
+  if (!Array.isArray(vertices) || vertices.length < 3) { return null; }
+  var valid = vertices.every(function(vertex) {
+    return Array.isArray(vertex) && vertex.length === 2 && !isNaN(vertex[0]) && !isNaN(vertex[1]);
+  });
+  return valid ? vertices : null;
+}
+
+/**
+ * Finds the first zone containing a point.
+ * @param {Object[]} zones Zones from getZones().
+ * @param {number} latitude Latitude in degrees.
+ * @param {number} longitude Longitude in degrees.
+ * @return {string} The zone name, or '' if the point is outside every zone.
+ */
+function findZoneForPoint(zones, latitude, longitude) {
+  for (var i = 0; i < zones.length; i++) {
+    var zone = zones[i];
+    var inside = zone.type === 'polygon' ?
+                 pointInPolygon(latitude, longitude, zone.polygon) :
+                 haversineMeters(latitude, longitude, zone.latitude, zone.longitude) <= zone.radiusMeters;
+    if (inside) { return zone.name; }
+  }
+  return '';
+}
+
+/**
+ * Fills the zone column of location rows in place.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet holding the Zones tab.
+ * @param {Array[]} rows Rows from processHistoryData().
+ */
+function tagRowsWithZones(ss, rows) {
+  var zones = getZones(ss);
+  var zoneIndex = getLocationColumnIndex('zone');
+  var latIndex = getLocationColumnIndex('latitude');
+  var lonIndex = getLocationColumnIndex('longitude');
+  rows.forEach(function(row) {
+    row[zoneIndex] = zones.length > 0 ? findZoneForPoint(zones, row[latIndex], row[lonIndex]) : '';
+  });
+}
+
+/**
+ * Detects enter/exit transitions in newly added rows, records them and sends notifications.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {string} tileName The Tile name.
+ * @param {Array[]} addedRows Rows actually appended by updateSheet(), already tagged with zones and quality flags.
+ *     Outliers are ignored.
+ */
+function processZoneTransitions(ss, tileName, addedRows) {
+  if (addedRows.length === 0 || getZones(ss).length === 0) { return; }
+
+  var zoneIndex = getLocationColumnIndex('zone');
+  var flagIndex = getLocationColumnIndex('flag');
+  var states = tryParseJson(SCRIPT_PROPS.getProperty(ZONE_STATE_KEY) || '{}') || {};
+  var state = states[tileName] || null;
+  var rows = addedRows.slice().sort(function(a, b) { return a[0].getTime() - b[0].getTime(); });
+
+  var events = [];
+  rows.forEach(function(row) {
+    var timestampMillis = row[0].getTime();
+    if (state && timestampMillis <= state.timestamp) { return; } // Older than what we already processed
+    if (row[flagIndex] === QUALITY_FLAG_OUTLIER) { return; }
+    var zone = row[zoneIndex] || '';
+    if (state && zone !== state.zone) {
+      if (state.zone) { events.push(buildZoneEvent(tileName, 'exit', state.zone, row)); }
+      if (zone) { events.push(buildZoneEvent(tileName, 'enter', zone, row)); }
+    }
+    state = { zone: zone, timestamp: timestampMillis };
+  });
+
+  states[tileName] = state;
+  SCRIPT_PROPS.setProperty(ZONE_STATE_KEY, JSON.stringify(states));
+  if (events.length === 0) { return; }
+
+  var notifyCutoff = Date.now() - ZONE_NOTIFY_MAX_AGE_MINUTES * 60 * 1000;
+  var zonesByName = {};
+  getZones(ss).forEach(function(zone) { zonesByName[zone.name] = zone; });
+  events.forEach(function(event) {
+    var zone = zonesByName[event.zone];
+    if (zone && zone.notify && event.timestamp.getTime() >= notifyCutoff) {
+      event.notified = sendZoneNotification(event);
+    }
+  });
+  appendZoneEvents(ss, events);
+  logMessage("Recorded " + events.length + " zone transition(s) for '" + tileName + "'.");
+}
+
+/**
+ * @param {string} tileName The Tile name.
+ * @param {string} type 'enter' or 'exit'.
+ * @param {string} zone The zone name.
+ * @param {Array} row The location row that caused the transition.
+ * @return {Object} Event { timestamp, tile, type, zone, latitude, longitude, notified }.
+ */
+function buildZoneEvent(tileName, type, zone, row) {
+  return {
+    timestamp: row[0],
+    tile: tileName,
+    type: type,
+    zone: zone,
+    latitude: row[getLocationColumnIndex('latitude')],
+    longitude: row[getLocationColumnIndex('longitude')],
+    notified: false
+  };
+}
+
+/**
+ * Appends events to the "Events" tab, creating it if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {Object[]} events Events from buildZoneEvent().
+ */
+function appendZoneEvents(ss, events) {
+  var sheet = ss.getSheetByName(EVENTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(EVENTS_SHEET_NAME);
+    sheet.appendRow(EVENTS_HEADERS);
+    sheet.setFrozenRows(1);
+    logMessage("Created new sheet: " + EVENTS_SHEET_NAME);
+  }
+  var rows = events.map(function(event) {
+    return [event.timestamp, event.tile, event.type, event.zone, event.latitude, event.longitude, event.notified];
+  });
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, EVENTS_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Sends a zone transition by email (ZONE_ALERT_EMAIL) and/or webhook (ZONE_WEBHOOK_URL).
+ * @param {Object} event Event from buildZoneEvent().
+ * @return {boolean} True if at least one notification was sent.
+ */
+function sendZoneNotification(event) {
+  var verb = event.type === 'enter' ? 'arrived at' : 'left';
+  var subject = "Tile Tracker: " + event.tile + " " + verb + " " + event.zone;
+  var body = event.tile + " " + verb + " " + event.zone + " at " + event.timestamp.toISOString() + ".\n" +
+             "Position: " + event.latitude + ", " + event.longitude + "\n" +
+             "https://www.google.com/maps?q=" + event.latitude + "," + event.longitude;
+  return sendNotification({
+    subject: subject,
+    body: body,
+    emailTo: SCRIPT_PROPS.getProperty('ZONE_ALERT_EMAIL'),
+    webhookUrl: SCRIPT_PROPS.getProperty('ZONE_WEBHOOK_URL'),
+    payload: {
+      event: event.type,
+      tile: event.tile,
+      zone: event.zone,
+      timestamp: event.timestamp.toISOString(),
+      latitude: event.latitude,
+      longitude: event.longitude
+    }
+  });
+}
+
+/**
+ * Creates the "Zones" tab with headers and an example row. Run once from the editor.
+ */
+function createZonesSheet() {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  if (ss.getSheetByName(ZONES_SHEET_NAME)) {
+    logMessage("Sheet '" + ZONES_SHEET_NAME + "' already exists.");
+    return;
+  }
+  var sheet = ss.insertSheet(ZONES_SHEET_NAME);
+  sheet.appendRow(ZONES_HEADERS);
+  sheet.appendRow(['Home', 0, 0, 150, '', false, true]);
+  sheet.setFrozenRows(1);
+  logMessage("Created zones sheet: " + ZONES_SHEET_NAME + ". Fill in the example row and set enabled to TRUE.");
+}
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Tile Tracker - Command line runner for Node.js.
+ *
+ * Runs the same login, backfill and incremental update code as the Apps Script
+ * version, writing points to CSV files or a SQLite database instead of a
+ * spreadsheet. See "Running under Node.js" in the README.
+ *
+ *   node node/cli.js run   --config tracker.json [--tile NAME]... [--code 123456]
+ *   node node/cli.js tiles --config tracker.json [--code 123456]
+ *   node node/cli.js forget --config tracker.json
+ *
+ * "run" updates every enabled Tile (or only the --tile ones) and exits with
+ * status 1 if any failed, so it can be run from cron. "tiles" lists the Tiles
+ * on each account. "forget" deletes the stored sessions, e.g. after changing
+ * a password in the config file. --code passes a Tile verification code for the next login
+ * of the default account.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadTracker } = require('./runtime');
+const { createNodeTransport } = require('./transport');
+const { createCsvLocationStore, openSqliteDatabase, createSqliteLocationStore } = require('./stores');
+
+const USAGE = 'Usage: node node/cli.js <run|tiles|forget> --config <file> [--tile NAME]... [--code CODE]';
+
+
+// --- Arguments and Config ---
+
+/**
+ * @param {string[]} argv Arguments after the script name.
+ * @return {Object} { command, config, tiles: string[], code }.
+ */
+function parseArguments(argv) {
+  const args = { command: null, config: null, tiles: [], code: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config' || arg === '--tile' || arg === '--code') {
+      const value = argv[++i];
+      if (value == null) { throw new Error(arg + ' needs a value.'); }
+      if (arg === '--config') { args.config = value; }
+      if (arg === '--tile') { args.tiles.push(value); }
+      if (arg === '--code') { args.code = value; }
+    } else if (!args.command && !arg.startsWith('--')) {
+      args.command = arg;
+    } else {
+      throw new Error('Unknown argument: ' + arg);
+    }
+  }
+  if (['run', 'tiles', 'forget'].indexOf(args.command) === -1 || !args.config) {
+    throw new Error(USAGE);
+  }
+  return args;
+}
+
+/**
+ * Reads the config file. Relative paths in it are resolved against the file's directory.
+ * @param {string} file Path to the JSON config.
+ * @return {Object} { properties, storage: { type, path }, state, apiBaseUrl }.
+ */
+function readConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const directory = path.dirname(path.resolve(file));
+  const storage = config.storage || {};
+  const type = storage.type || 'csv';
+  if (type !== 'csv' && type !== 'sqlite') {
+    throw new Error('storage.type must be "csv" or "sqlite", not "' + type + '".');
+  }
+  return {
+    properties: config.properties || {},
+    storage: {
+      type: type,
+      path: path.resolve(directory, storage.path || (type === 'csv' ? 'data' : 'tile-tracker.sqlite'))
+    },
+    state: path.resolve(directory, config.state || path.basename(file, '.json') + '.state.json'),
+    apiBaseUrl: config.apiBaseUrl || null
+  };
+}
+
+
+// --- Commands ---
+
+/**
+ * Logs in to each Tile account and lists its Tiles.
+ * @return {Object[]} Entries from openAccountSessions(), or null if no account opened (already logged).
+ */
+function openSessions() {
+  if (getTileAccounts().length === 0) {
+    logMessage("ERROR: Set TILE_EMAIL and TILE_PASSWORD (or TILE_ACCOUNTS) under \"properties\" in the config file.");
+    return null;
+  }
+  const accountSessions = openAccountSessions();
+  if (accountSessions.every(function(accountSession) { return accountSession.error; })) {
+    return null;
+  }
+  return accountSessions;
+}
+
+/**
+ * Updates the configured Tiles into the configured store.
+ * @param {Object} config From readConfig().
+ * @param {string[]} tileNames Only update these Tiles; all enabled Tiles if empty.
+ * @return {number} Exit status.
+ */
+function runCommand(config, tileNames) {
+  const tileConfigs = getTileConfigs(null).filter(function(tileConfig) {
+    return tileNames.length > 0 ? tileNames.indexOf(tileConfig.tileName) !== -1 : tileConfig.enabled;
+  });
+  if (tileConfigs.length === 0) {
+    logMessage("ERROR: No Tiles to update. Set TILES_CONFIG (or TILE_NAME) under \"properties\" in the config file.");
+    return 1;
+  }
+
+  const accountSessions = openSessions();
+  if (!accountSessions) { return 1; }
+
+  const headers = getLocationHeaders();
+  const db = config.storage.type === 'sqlite' ? openSqliteDatabase(config.storage.path, headers) : null;
+  const failedTiles = [];
+  const claimedUuids = {};
+  try {
+    tileConfigs.forEach(function(tileConfig) {
+      logMessage("--- Updating Tile: " + tileConfig.tileName + " ---");
+      const store = db ? createSqliteLocationStore(db, tileConfig.tileName, headers)
+                       : createCsvLocationStore(config.storage.path, tileConfig.sheetName, headers);
+      let result;
+      try {
+        const resolved = resolveTileAccount(accountSessions, tileConfig, claimedUuids);
+        result = isApiError(resolved) ? { ok: false, error: resolved }
+                                      : updateTileStore(resolved.accountSession.tileSession, resolved.tileUuid, tileConfig, store);
+      } catch (tileError) {
+        logMessage("ERROR updating Tile '" + tileConfig.tileName + "': " + tileError);
+        logMessage("Stack Trace: " + tileError.stack);
+        result = { ok: false, error: apiError(API_ERROR.UNEXPECTED, null, String(tileError)) };
+      }
+      if (!result.ok) {
+        logMessage("ERROR: Update failed for '" + tileConfig.tileName + "': " + describeApiError(result.error));
+        failedTiles.push(tileConfig.tileName);
+      }
+    });
+  } finally {
+    if (db) { db.close(); }
+  }
+
+  const failedAccounts = accountSessions.filter(function(accountSession) { return accountSession.error; });
+  if (failedTiles.length > 0 || failedAccounts.length > 0) {
+    logMessage("Tile location update finished with failures for: " + failedTiles.concat(failedAccounts.map(function(accountSession) {
+      return "account " + accountSession.account.name;
+    })).join(", "));
+    return 1;
+  }
+  logMessage("Tile location update finished successfully for " + tileConfigs.length + " Tile(s).");
+  return 0;
+}
+
+/**
+ * Prints the Tiles on the accounts, one per line: name, UUID, product, account(s).
+ * @return {number} Exit status.
+ */
+function tilesCommand() {
+  const accountSessions = openSessions();
+  if (!accountSessions) { return 1; }
+  const directories = [];
+  let status = 0;
+  accountSessions.forEach(function(accountSession) {
+    if (accountSession.error) {
+      status = 1;
+      return;
+    }
+    const directory = callWithSessionRetry(accountSession.tileSession, function(authInfo) {
+      return getTileDirectory(accountSession.account.clientUuid, authInfo, accountSession.tileStates);
+    });
+    if (isApiError(directory)) {
+      logMessage("ERROR: Failed to fetch Tile details for account '" + accountSession.account.name + "'. " + describeApiError(directory));
+      status = 1;
+      return;
+    }
+    directories.push({ accountName: accountSession.account.name, directory: directory });
+  });
+  mergeTileDirectories(directories).devices.forEach(function(device) {
+    console.log([device.name, device.tileUuid, device.product, device.account].join('\t'));
+  });
+  return status;
+}
+
+
+// --- Main ---
+
+function main() {
+  let args;
+  let config;
+  try {
+    args = parseArguments(process.argv.slice(2));
+    config = readConfig(args.config);
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  loadTracker({ properties: config.properties, statePath: config.state });
+  setTileClient(createTileClient(createNodeTransport(), config.apiBaseUrl));
+  BACKFILL_TIME_BUDGET_MS = Infinity; // No execution time limit outside Apps Script
+  if (args.code) {
+    SCRIPT_PROPS.setProperty('TILE_2FA_CODE', args.code);
+  }
+
+  if (args.command === 'forget') {
+    forgetTileSessions().forEach(function(line) { logMessage(line); });
+    return 0;
+  }
+  return args.command === 'run' ? runCommand(config, args.tiles) : tilesCommand();
+}
+
+process.exitCode = main();
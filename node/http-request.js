@@ -0,0 +1,27 @@
+/**
+ * Tile Tracker - One HTTP request, run as a child process by transport.js.
+ *
+ * Reads { url, method, headers, body } as JSON from stdin and writes
+ * { status, headers, body } or { error } as JSON to stdout. Set-Cookie is kept
+ * as an array, since a response can set several cookies.
+ */
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', function(chunk) { input += chunk; });
+process.stdin.on('end', function() {
+  const request = JSON.parse(input);
+  fetch(request.url, { method: request.method, headers: request.headers, body: request.body }).then(function(response) {
+    const headers = {};
+    response.headers.forEach(function(value, name) {
+      if (name !== 'set-cookie') { headers[name] = value; }
+    });
+    const cookies = response.headers.getSetCookie();
+    if (cookies.length > 0) { headers['Set-Cookie'] = cookies; }
+    return response.text().then(function(body) {
+      process.stdout.write(JSON.stringify({ status: response.status, headers: headers, body: body }));
+    });
+  }).catch(function(error) {
+    process.stdout.write(JSON.stringify({ error: String(error.cause || error) }));
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tile Tracker - Node.js runtime for the Apps Script sources.
+ *
+ * Loads the tracker's .js files from the repository root into this process's
+ * global scope, the way Apps Script does, after installing small stand-ins for
+ * the Apps Script services the update pipeline uses:
+ *   Logger             console, with a timestamp.
+ *   PropertiesService  Script properties read from the config file, with
+ *                      everything the tracker writes (stored session,
+ *                      checkpoints, UUID cache...) kept in a JSON state file.
+ *                      User properties are the same store: credentials
+ *                      live in the config file, which only its owner
+ *                      should be able to read.
+ *   Utilities          getUuid, formatString, formatDate, sleep.
+ * Other services (SpreadsheetApp, MailApp, LockService...) are not provided;
+ * the sheet-only features that use them do not run under Node.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE_DIR = path.join(__dirname, '..');
+
+
+// --- Loading ---
+
+/**
+ * Installs the service stand-ins and loads the tracker sources into the global scope.
+ * @param {Object} options { properties: Object, statePath: string }.
+ *     properties are the script properties from the config file; non-string values are stored as JSON.
+ */
+function loadTracker(options) {
+  globalThis.Logger = { log: function(message) { console.log(new Date().toISOString() + ' ' + message); } };
+  const getProperties = createFileProperties(options.properties || {}, options.statePath);
+  globalThis.PropertiesService = { getScriptProperties: getProperties, getUserProperties: getProperties };
+  globalThis.Utilities = createUtilities();
+
+  fs.readdirSync(SOURCE_DIR).filter(function(name) { return name.endsWith('.js'); }).sort(function(a, b) {
+    // Code.js defines SCRIPT_PROPS and the configuration the other files read at load time
+    if (a === 'Code.js' || b === 'Code.js') { return a === 'Code.js' ? -1 : 1; }
+    return a.localeCompare(b);
+  }).forEach(function(name) {
+    const file = path.join(SOURCE_DIR, name);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+  });
+}
+
+
+// --- Script Properties ---
+
+/**
+ * @param {Object} defaults Script properties from the config file.
+ * @param {string} statePath JSON file holding the properties the tracker sets.
+ * @return {function(): Object} getScriptProperties() returning a Properties-like object.
+ */
+function createFileProperties(defaults, statePath) {
+  const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+  function save() {
+    const temporary = statePath + '.tmp';
+    fs.writeFileSync(temporary, JSON.stringify(state, null, 2));
+    fs.renameSync(temporary, statePath); // Never leave a half-written state file
+  }
+  const properties = {
+    getProperty: function(key) {
+      if (Object.prototype.hasOwnProperty.call(state, key)) { return state[key]; }
+      const value = defaults[key];
+      if (value == null) { return null; }
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    },
+    setProperty: function(key, value) {
+      state[key] = String(value);
+      save();
+      return properties;
+    },
+    setProperties: function(values) {
+      Object.keys(values).forEach(function(key) { state[key] = String(values[key]); });
+      save();
+      return properties;
+    },
+    deleteProperty: function(key) {
+      delete state[key];
+      save();
+      return properties;
+    }
+  };
+  return function() { return properties; };
+}
+
+
+// --- Utilities ---
+
+/**
+ * @return {Object} The subset of Apps Script's Utilities used by the update pipeline.
+ */
+function createUtilities() {
+  return {
+    getUuid: function() { return crypto.randomUUID(); },
+    formatString: function(template) {
+      const args = Array.prototype.slice.call(arguments, 1);
+      let i = 0;
+      return template.replace(/%s/g, function() { return String(args[i++]); });
+    },
+    formatDate: formatDate,
+    sleep: function(milliseconds) {
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, milliseconds);
+    }
+  };
+}
+
+/**
+ * Formats a date like Utilities.formatDate() for the pattern letters yyyy, MM, dd, HH, mm, ss and quoted text.
+ * @param {Date} date The date.
+ * @param {string} timeZone IANA time zone, e.g. "Europe/Berlin".
+ * @param {string} pattern e.g. "yyyy-MM-dd'T'HH:mm:ss".
+ * @return {string}
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(function(part) { parts[part.type] = part.value; });
+  const fields = { yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second };
+  return pattern.replace(/'([^']*)'|yyyy|MM|dd|HH|mm|ss/g, function(token, quoted) {
+    return quoted !== undefined ? quoted : fields[token];
+  });
+}
+
+module.exports = { loadTracker };
@@ -0,0 +1,195 @@
+/**
+ * Tile Tracker - CSV and SQLite location stores for the Node.js CLI.
+ *
+ * Both implement the location store interface the update pipeline writes
+ * through (see LocationStore.js): getName(), getLatestTimestamp() and
+ * addRows(rows), where rows are in LOCATION_COLUMNS order and timestamps that
+ * are already stored are skipped.
+ *
+ *   CSV     One file per Tile, named after its sheet_name, with the same
+ *           columns as a Tile tab. Kept sorted by timestamp: newer rows are
+ *           appended, older ones (from a backfill) are merged in. Files from
+ *           an older version get the new columns added, empty, as the Tile
+ *           tabs do (see Schema.js).
+ *   SQLite  One "locations" table for all Tiles, keyed by Tile name and
+ *           timestamp (epoch millis). Needs Node.js 22.5 or later (node:sqlite).
+ *
+ * Only the points are stored. Zones, places, quality flags, visits/trips and
+ * the daily summary are computed by the spreadsheet version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+
+// --- CSV ---
+
+/**
+ * @param {string} directory Directory holding the CSV files; created if missing.
+ * @param {string} name The Tile's sheet_name.
+ * @param {string[]} headers Column names, from getLocationHeaders().
+ * @return {Object} Location store.
+ */
+function createCsvLocationStore(directory, name, headers) {
+  const file = path.join(directory, name.replace(/[\\/:*?"<>|]/g, '_') + '.csv');
+  const headerLine = headers.join(',');
+
+  function readLines() {
+    if (!fs.existsSync(file)) { return []; }
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(function(line) { return line !== ''; });
+    if (lines.length > 0 && lines[0] !== headerLine) {
+      if (headerLine.indexOf(lines[0] + ',') !== 0) {
+        throw new Error("CSV file " + file + " has different columns than this version writes. Move it aside to start a new file.");
+      }
+      return migrateLines(lines);
+    }
+    return lines.slice(1);
+  }
+
+  // Columns are only ever appended, so older lines just need empty cells at the end
+  function migrateLines(lines) {
+    const padding = ','.repeat(headers.length - lines[0].split(',').length);
+    const migrated = lines.slice(1).map(function(line) { return line + padding; });
+    const temporary = file + '.tmp';
+    fs.writeFileSync(temporary, [headerLine].concat(migrated).join('\n') + '\n');
+    fs.renameSync(temporary, file);
+    logMessage("Added the new columns to " + file + ".");
+    return migrated;
+  }
+
+  return {
+    getName: function() { return file; },
+
+    getLatestTimestamp: function() {
+      const lines = readLines();
+      return lines.length > 0 ? new Date(csvTimestamp(lines[lines.length - 1])) : null;
+    },
+
+    addRows: function(rows) {
+      const lines = readLines();
+      const existing = new Set(lines.map(csvTimestamp));
+      const added = new Map();
+      rows.forEach(function(row) {
+        const timestamp = row[0].toISOString();
+        if (!existing.has(timestamp) && !added.has(timestamp)) { added.set(timestamp, formatCsvLine(row)); }
+      });
+      if (added.size === 0) { return 0; }
+      const newLines = Array.from(added.keys()).sort().map(function(timestamp) { return added.get(timestamp); });
+
+      fs.mkdirSync(directory, { recursive: true });
+      if (lines.length === 0) {
+        fs.writeFileSync(file, [headerLine].concat(newLines).join('\n') + '\n');
+      } else if (csvTimestamp(newLines[0]) > csvTimestamp(lines[lines.length - 1])) {
+        fs.appendFileSync(file, newLines.join('\n') + '\n');
+      } else {
+        // ISO timestamps sort as text, so the merged file stays in time order
+        const merged = lines.concat(newLines).sort(function(a, b) {
+          const x = csvTimestamp(a);
+          const y = csvTimestamp(b);
+          return x < y ? -1 : (x > y ? 1 : 0);
+        });
+        const temporary = file + '.tmp';
+        fs.writeFileSync(temporary, [headerLine].concat(merged).join('\n') + '\n');
+        fs.renameSync(temporary, file);
+      }
+      return added.size;
+    }
+  };
+}
+
+/**
+ * @param {string} line A data line.
+ * @return {string} Its timestamp cell (ISO 8601; never quoted).
+ */
+function csvTimestamp(line) {
+  return line.substring(0, line.indexOf(','));
+}
+
+/**
+ * @param {Array} row Row in LOCATION_COLUMNS order.
+ * @return {string} CSV line, escaped with escapeCsvCell() from Export.js.
+ */
+function formatCsvLine(row) {
+  return row.map(function(value) {
+    if (value instanceof Date) { return value.toISOString(); }
+    return value == null ? '' : escapeCsvCell(value);
+  }).join(',');
+}
+
+
+// --- SQLite ---
+
+/**
+ * Opens (or creates) the database and its "locations" table, adding columns that newer versions write.
+ * @param {string} file Database file.
+ * @param {string[]} headers Column names, from getLocationHeaders(); the first is the timestamp.
+ * @return {Object} DatabaseSync from node:sqlite.
+ */
+function openSqliteDatabase(file, headers) {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (e) {
+    throw new Error("SQLite storage needs Node.js 22.5 or later (node:sqlite). Use CSV storage on this version.");
+  }
+  const db = new sqlite.DatabaseSync(file);
+  const columns = headers.slice(1).map(sqliteColumn);
+  db.exec('CREATE TABLE IF NOT EXISTS locations (tile TEXT NOT NULL, timestamp INTEGER NOT NULL, ' +
+          columns.join(', ') + ', PRIMARY KEY (tile, timestamp))');
+  const present = db.prepare('PRAGMA table_info(locations)').all().map(function(column) { return column.name; });
+  columns.forEach(function(column) {
+    if (present.indexOf(column) === -1) { db.exec('ALTER TABLE locations ADD COLUMN ' + column); }
+  });
+  return db;
+}
+
+/**
+ * @param {Object} db Database from openSqliteDatabase().
+ * @param {string} tileName The Tile name.
+ * @param {string[]} headers Column names, from getLocationHeaders().
+ * @return {Object} Location store.
+ */
+function createSqliteLocationStore(db, tileName, headers) {
+  const columns = ['tile', 'timestamp'].concat(headers.slice(1).map(sqliteColumn));
+  const insert = db.prepare('INSERT OR IGNORE INTO locations (' + columns.join(', ') + ') VALUES (' +
+                            columns.map(function() { return '?'; }).join(', ') + ')');
+  const latest = db.prepare('SELECT MAX(timestamp) AS latest FROM locations WHERE tile = ?');
+
+  return {
+    getName: function() { return 'locations/' + tileName; },
+
+    getLatestTimestamp: function() {
+      const row = latest.get(tileName);
+      return row && row.latest != null ? new Date(Number(row.latest)) : null;
+    },
+
+    addRows: function(rows) {
+      let added = 0;
+      db.exec('BEGIN');
+      try {
+        rows.forEach(function(row) {
+          const values = [tileName, row[0].getTime()].concat(row.slice(1).map(function(value) {
+            return value === '' || value == null ? null : value;
+          }));
+          added += Number(insert.run.apply(insert, values).changes);
+        });
+        db.exec('COMMIT');
+      } catch (e) {
+        db.exec('ROLLBACK');
+        throw e;
+      }
+      return added;
+    }
+  };
+}
+
+/**
+ * @param {string} header A location column name.
+ * @return {string} The name, checked to be safe to use unquoted in SQL.
+ */
+function sqliteColumn(header) {
+  if (!/^[a-z_]+$/.test(header)) { throw new Error("Unexpected column name: " + header); }
+  return header;
+}
+
+module.exports = { createCsvLocationStore, openSqliteDatabase, createSqliteLocationStore };
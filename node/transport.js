@@ -0,0 +1,67 @@
+/**
+ * Tile Tracker - Synchronous HTTP transport for Node.js.
+ *
+ * The tracker's request code is synchronous, like UrlFetchApp. Node's fetch()
+ * is not, so each request runs in a short-lived child process (see
+ * http-request.js) and this process waits for its result. That costs a process
+ * start per request, which is fine for the few requests of a run.
+ *
+ * The transport follows UrlFetchApp's contract (see TileClient.js): an object
+ * payload is sent form encoded, HTTP errors throw unless muteHttpExceptions is
+ * set, and network errors throw.
+ */
+
+const childProcess = require('child_process');
+const path = require('path');
+
+const REQUEST_SCRIPT = path.join(__dirname, 'http-request.js');
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Creates a transport for createTileClient().
+ * @return {Object} { fetch(url, options) }.
+ */
+function createNodeTransport() {
+  return { fetch: fetchSync };
+}
+
+/**
+ * @param {string} url Request URL.
+ * @param {Object=} options UrlFetchApp-style { method, headers, payload, contentType, muteHttpExceptions }.
+ * @return {Object} Response with getResponseCode(), getContentText() and getHeaders().
+ */
+function fetchSync(url, options) {
+  options = options || {};
+  const headers = Object.assign({}, options.headers || {});
+  let body = null;
+  if (options.payload != null) {
+    if (typeof options.payload === 'string') {
+      body = options.payload;
+      if (options.contentType) { headers['Content-Type'] = options.contentType; }
+    } else {
+      body = new URLSearchParams(options.payload).toString();
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+  }
+  const request = { url: url, method: (options.method || 'get').toUpperCase(), headers: headers, body: body };
+
+  const output = childProcess.execFileSync(process.execPath, [REQUEST_SCRIPT], {
+    input: JSON.stringify(request),
+    timeout: REQUEST_TIMEOUT_MS,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  const response = JSON.parse(output.toString('utf8'));
+  if (response.error) {
+    throw new Error("Request to " + url + " failed: " + response.error);
+  }
+  if (response.status >= 400 && !options.muteHttpExceptions) {
+    throw new Error("Request failed for " + url + " returned code " + response.status);
+  }
+  return {
+    getResponseCode: function() { return response.status; },
+    getContentText: function() { return response.body; },
+    getHeaders: function() { return response.headers; }
+  };
+}
+
+module.exports = { createNodeTransport };